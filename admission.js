@@ -0,0 +1,94 @@
+// --- Pre-Admission Scan ---
+// A short detection pass the host can run on a caller while they are still in the waiting room, so a
+// suspected deepfake can be denied before it ever joins the main call. The host doesn't answer a waiting
+// call, so the caller's camera is sampled on their side and sent as still frames over the data channel
+// (SCAN_REQUEST / SCAN_FRAME in protocol.js). They go through the same worker pipeline as the live loop
+// (detection-client.js) under their own source key, which is reset afterwards.
+// Five seconds is usually too short for the track state machine to confirm an anomaly (see tracker.js),
+// so the mean smoothed score is judged as well.
+
+const ADMISSION_SCAN_MS = 5000;
+const ADMISSION_SCAN_FPS = 5;
+const ADMISSION_SCAN_GRACE_MS = 3000;     // Frames stop counting this long after the scan should have ended
+const ADMISSION_SCAN_MIN_FACE_FRAMES = 5; // Fewer frames with a face than this and the scan is inconclusive
+const MAX_FRAME_IMAGE_LENGTH = 500000;    // Characters; a 480px JPEG is well under this
+
+// Frames and waiting room previews arrive from a caller the host hasn't admitted, so only inline JPEGs
+// are used; a URL would make the host's browser fetch whatever the caller points it at
+function isFrameImage(image) {
+    return typeof image === 'string' && image.length <= MAX_FRAME_IMAGE_LENGTH && image.startsWith('data:image/jpeg;base64,');
+}
+
+// `frames`: [{ faces: [{ smoothed, state }], worstState }] as returned by detectionClient.analyze().
+// `threshold` is the real/anomaly cut in effect (the host's detection settings).
+// Returns { verdict: 'clean' | 'suspicious' | 'anomaly' | 'no-face', frames, faceFrames, meanScore, maxFaces }
+function summarizeAdmissionScan(frames, threshold = REAL_CONFIDENCE_THRESHOLD) {
+    const faceFrames = frames.filter(({ faces }) => faces.length > 0);
+    const maxFaces = frames.reduce((max, { faces }) => Math.max(max, faces.length), 0);
+    const summary = { verdict: 'no-face', frames: frames.length, faceFrames: faceFrames.length, meanScore: null, maxFaces };
+    if (faceFrames.length < ADMISSION_SCAN_MIN_FACE_FRAMES) return summary;
+
+    // The caller is the lowest-scoring face on each frame, so a second, genuine face can't mask a fake one
+    const scores = faceFrames.map(({ faces }) => Math.min(...faces.map(({ smoothed }) => smoothed)));
+    summary.meanScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+
+    const scoreState = summary.meanScore <= threshold ? TRACK_STATES.SUSPICIOUS : TRACK_STATES.CLEAN;
+    summary.verdict = mostSevereState(scoreState, ...faceFrames.map(({ worstState }) => worstState));
+    return summary;
+}
+
+// Browser only: analyzes the frames fed to `addFrame({ t, image, last })` (a SCAN_FRAME payload; `t` is the
+// capture time in ms since the scan started) one at a time, in arrival order, calling onProgress(fraction)
+// as they come. The scan ends with the caller's last frame, or ADMISSION_SCAN_GRACE_MS after `durationMs`
+// if frames stop coming. `promise` resolves with summarizeAdmissionScan()'s result; `cancel()` ends it early.
+function runAdmissionScan(client, sourceKey, { durationMs = ADMISSION_SCAN_MS, threshold = detectionPolicy.threshold, onProgress } = {}) {
+    const frames = [];
+    let analyzing = Promise.resolve();
+    let cancelled = false;
+    let end;
+    const ended = new Promise((resolve) => {
+        end = resolve;
+    });
+    const timeout = setTimeout(() => end(), durationMs + ADMISSION_SCAN_GRACE_MS);
+    client.reset(sourceKey);
+
+    async function analyzeImage(image, t) {
+        if (cancelled) return;
+        try {
+            const { faces, worstState } = await client.analyze(await decodeFrameImage(image), sourceKey, t);
+            frames.push({ faces, worstState });
+        } catch (error) {
+            console.warn(`Pre-admission frame failed (${sourceKey}):`, error);
+        }
+    }
+
+    const promise = ended.then(async () => {
+        clearTimeout(timeout);
+        await analyzing;
+        client.reset(sourceKey);
+        return summarizeAdmissionScan(frames, threshold);
+    });
+    return {
+        promise,
+        addFrame({ t, image, last }) {
+            if (cancelled) return;
+            if (isFrameImage(image)) analyzing = analyzing.then(() => analyzeImage(image, t));
+            if (onProgress) onProgress(Math.min(1, t / durationMs));
+            if (last) end();
+        },
+        cancel() {
+            cancelled = true;
+            end();
+        }
+    };
+}
+
+function decodeFrameImage(dataUrl) {
+    const image = new Image();
+    image.src = dataUrl;
+    return image.decode().then(() => image);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ADMISSION_SCAN_MS, isFrameImage, summarizeAdmissionScan };
+}
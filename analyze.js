@@ -0,0 +1,306 @@
+// --- Offline Recording Analysis (analyze.html) ---
+// Runs a local video file through the same BlazeFace + classifier + state machine pipeline as a live
+// meeting (detector.js), seeking frame by frame so it goes as fast as inference allows and the results
+// are reproducible for a given file and sample rate. Produces the same report format as a live session.
+
+const analysisFileInput = document.getElementById('videoFileInput');
+const sampleRateSelect = document.getElementById('sampleRateSelect');
+const analyzeButton = document.getElementById('analyzeButton');
+const cancelAnalysisButton = document.getElementById('cancelAnalysisButton');
+const analysisStatus = document.getElementById('status');
+const analysisVideo = document.getElementById('analysisVideo');
+const analysisCanvas = document.getElementById('analysisCanvas');
+const timelineCanvas = document.getElementById('timelineChart');
+const flaggedStrip = document.getElementById('flagged-strip');
+const flaggedList = document.getElementById('flagged-list');
+const analysisReportActions = document.getElementById('analysis-report-actions');
+const analysisStatsElement = document.getElementById('detection-stats');
+
+const ANALYSIS_SOURCE_ID = 'file'; // Stands in for the peer ID in the session report
+const CHART_UPDATE_EVERY = 10;     // Redraw the timeline every N analyzed frames while running
+const DURATION_PROBE_TIME = 1e101;       // Seek target past the end of any video (see resolveDuration)
+const DURATION_PROBE_TIMEOUT_MS = 10000;
+const ANALYZE_LIBRARIES = ['chartjs', 'tfjs', 'blazeface', 'mobilenet']; // See loadLibraries in config.js
+
+let analysisRun = 0;         // Bumped to cancel a running analysis
+let analysisReport = null;
+let analysisFrames = [];     // [{ t, faces }] kept so the overlay can be redrawn while scrubbing
+let timelineChart = null;
+let analysisClient = null;   // Worker-backed detection (see detection-client.js)
+let analysisInFlight = Promise.resolve(); // Settles once the frame being analyzed (if any) is done
+
+// 1. Frame access
+// Resolves true on `eventName`, or false after `timeoutMs` (if given) with both listeners removed again
+function waitForEvent(target, eventName, { timeoutMs = null } = {}) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const detach = () => {
+            clearTimeout(timer);
+            target.removeEventListener(eventName, onEvent);
+            target.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            detach();
+            resolve(true);
+        };
+        const onError = () => {
+            detach();
+            reject(target.error || new Error(`Video ${eventName} failed`));
+        };
+        target.addEventListener(eventName, onEvent, { once: true });
+        target.addEventListener('error', onError, { once: true });
+        if (timeoutMs !== null) {
+            timer = setTimeout(() => {
+                detach();
+                resolve(false);
+            }, timeoutMs);
+        }
+    });
+}
+
+async function seekTo(video, time) {
+    if (Math.abs(video.currentTime - time) < 0.001) return;
+    const seeked = waitForEvent(video, 'seeked');
+    video.currentTime = time;
+    await seeked;
+}
+
+// MediaRecorder WebM files (the app's own recordings among them) have no duration in their header, so the
+// browser reports Infinity until it has scanned to the end. Seeking past the end makes it find the real one.
+async function resolveDuration(video) {
+    if (video.duration === Infinity) {
+        const options = { timeoutMs: DURATION_PROBE_TIMEOUT_MS };
+        const probed = Promise.all([waitForEvent(video, 'durationchange', options), waitForEvent(video, 'seeked', options)]);
+        video.currentTime = DURATION_PROBE_TIME;
+        await probed;
+        if (Number.isFinite(video.duration)) await seekTo(video, 0);
+    }
+    if (!Number.isFinite(video.duration) || video.duration <= 0) {
+        throw new Error("Could not determine the length of this video. Re-saving it with a video editor or ffmpeg usually fixes that.");
+    }
+    return video.duration;
+}
+
+async function loadVideoFile(file) {
+    analysisVideo.pause();
+    if (analysisVideo.src) URL.revokeObjectURL(analysisVideo.src);
+    const loaded = waitForEvent(analysisVideo, 'loadeddata');
+    analysisVideo.src = URL.createObjectURL(file);
+    await loaded;
+
+    analysisCanvas.width = analysisVideo.videoWidth;
+    analysisCanvas.height = analysisVideo.videoHeight;
+}
+
+// 2. Timeline chart (click to seek)
+function createTimelineChart() {
+    if (timelineChart) timelineChart.destroy();
+    const options = baseLineChartOptions(100, 'Face Consistency % / Integrity');
+    options.onClick = (event, elements, chart) => {
+        const time = chart.scales.x.getValueForPixel(event.x);
+        if (Number.isFinite(time)) showAnalysisAt(Math.max(0, Math.min(analysisVideo.duration, time)));
+    };
+
+    timelineChart = new Chart(timelineCanvas, {
+        type: 'line',
+        data: {
+            datasets: [{ label: 'Integrity', data: [], borderColor: '#4CAF50', borderDash: [6, 4] }]
+        },
+        options
+    });
+    return timelineChart;
+}
+
+function faceDataset(faceId) {
+    const label = `Face #${faceId}`;
+    let dataset = timelineChart.data.datasets.find((candidate) => candidate.label === label);
+    if (!dataset) {
+        const color = FACE_SERIES_COLORS[(timelineChart.data.datasets.length - 1) % FACE_SERIES_COLORS.length];
+        dataset = { label, data: [], borderColor: color, backgroundColor: color };
+        timelineChart.data.datasets.push(dataset);
+    }
+    return dataset;
+}
+
+// 3. Scrubbing: seek the video and redraw the closest analyzed frame
+function nearestAnalyzedFrame(time) {
+    let nearest = null;
+    analysisFrames.forEach((frame) => {
+        if (!nearest || Math.abs(frame.t - time) < Math.abs(nearest.t - time)) nearest = frame;
+    });
+    return nearest;
+}
+
+function drawNearestFrame() {
+    const frame = nearestAnalyzedFrame(analysisVideo.currentTime);
+    drawFaceDetections(analysisCanvas.getContext('2d'), frame ? frame.faces : []);
+}
+
+function showAnalysisAt(time) {
+    analysisVideo.pause();
+    analysisVideo.currentTime = time;
+}
+
+// 4. Flagged segments
+function renderFlaggedSegments(report, durationSeconds, epoch) {
+    const toSeconds = (iso) => (Date.parse(iso) - epoch) / 1000;
+    flaggedStrip.innerHTML = '';
+    flaggedList.innerHTML = '';
+
+    if (report.flaggedIntervals.length === 0) {
+        flaggedList.innerHTML = `<li class="participant-empty">No anomalies were confirmed.</li>`;
+        return;
+    }
+
+    report.flaggedIntervals.forEach((interval) => {
+        const start = toSeconds(interval.start);
+        const end = interval.end ? toSeconds(interval.end) : durationSeconds;
+        const title = `Face #${interval.face}: ${start.toFixed(1)}s - ${end.toFixed(1)}s (lowest ${(interval.minConfidence * 100).toFixed(1)}% consistent)`;
+
+        const segment = document.createElement('div');
+        segment.className = 'flagged-segment';
+        segment.style.left = `${(start / durationSeconds) * 100}%`;
+        segment.style.width = `${Math.max(0.5, ((end - start) / durationSeconds) * 100)}%`;
+        segment.title = title;
+        segment.addEventListener('click', () => showAnalysisAt(start));
+        flaggedStrip.appendChild(segment);
+
+        const item = document.createElement('li');
+        item.innerHTML = `<span></span> <span class="state-badge fake">Anomaly</span>`;
+        item.firstChild.textContent = title;
+        item.addEventListener('click', () => showAnalysisAt(start));
+        flaggedList.appendChild(item);
+    });
+}
+
+// 5. The analysis run
+async function analyzeRecording(file, sampleFps) {
+    const run = ++analysisRun;
+    analysisReport = null;
+    analysisFrames = [];
+    if (analysisReportActions) analysisReportActions.style.display = 'none';
+    analyzeButton.disabled = true;
+    cancelAnalysisButton.disabled = false;
+
+    try {
+        analysisStatus.className = 'status-message';
+        analysisStatus.innerHTML = "⏳ Loading AI Models...";
+        await loadLibraries(ANALYZE_LIBRARIES);
+        if (!analysisClient) analysisClient = createDetectionClient();
+        await analysisClient.ready;
+        await loadVideoFile(file);
+
+        const duration = await resolveDuration(analysisVideo);
+        const step = 1 / sampleFps;
+        const epoch = Date.now();
+        let videoTime = 0;
+
+        // Fresh tracks for every run, once a cancelled run's last frame can no longer add to them
+        await analysisInFlight;
+        if (run !== analysisRun) return;
+        analysisClient.reset(ANALYSIS_SOURCE_ID);
+        const scorer = createIntegrityScorer();
+        const recorder = createSessionRecorder({ meetingId: `file:${file.name}`, now: () => epoch + videoTime * 1000 });
+        const integrityData = createTimelineChart().data.datasets[0].data;
+        const ctx = analysisCanvas.getContext('2d');
+        const startedAt = performance.now();
+
+        recorder.participantJoined(ANALYSIS_SOURCE_ID, file.name);
+
+        for (let frameIndex = 0; frameIndex * step <= duration; frameIndex++) {
+            if (run !== analysisRun) return;
+            videoTime = Math.min(frameIndex * step, duration);
+            await seekTo(analysisVideo, videoTime);
+            if (run !== analysisRun) return;
+
+            const analyzed = analysisClient.analyze(analysisVideo, ANALYSIS_SOURCE_ID, videoTime * 1000);
+            analysisInFlight = analyzed.catch(() => {});
+            const { faces } = await analyzed;
+            if (run !== analysisRun) return; // Cancelled while this frame was analyzed
+            drawFaceDetections(ctx, faces);
+            analysisFrames.push({
+                t: videoTime,
+                faces: faces.map(({ track, box, confidence, state }) => ({ track, box, confidence, state }))
+            });
+
+            recorder.recordFrame(ANALYSIS_SOURCE_ID, file.name, faces.map(({ track, confidence, state, previous, changed, smoothed }) => (
+                { face: track.id, confidence, state, previous, changed, smoothed }
+            )));
+            faces.forEach(({ track, confidence }) => faceDataset(track.id).data.push({ x: videoTime, y: confidence * 100 }));
+
+            if (faces.length > 0) {
+                const worst = faces.reduce((a, b) => (b.confidence < a.confidence ? b : a));
+                scorer.update(worst.confidence, faces.some(({ confidence }) => confidence <= REAL_CONFIDENCE_THRESHOLD));
+            }
+            recorder.recordIntegrity(scorer.score());
+            integrityData.push({ x: videoTime, y: scorer.score() });
+
+            if (frameIndex % CHART_UPDATE_EVERY === 0) {
+                const speed = videoTime / Math.max(0.001, (performance.now() - startedAt) / 1000);
+                analysisStatus.innerHTML = `⏳ Analyzing... ${((videoTime / duration) * 100).toFixed(0)}% (${speed.toFixed(1)}x real time)`;
+                timelineChart.update('none');
+                renderDetectionStats(analysisStatsElement, analysisClient.stats());
+            }
+        }
+
+        recorder.participantLeft(ANALYSIS_SOURCE_ID, file.name);
+        recorder.finish();
+        analysisReport = recorder.buildReport({
+            source: { type: 'file', name: file.name, sizeBytes: file.size, durationMs: Math.round(duration * 1000), sampleFps }
+        });
+
+        timelineChart.update('none');
+        renderFlaggedSegments(analysisReport, duration, epoch);
+        const flagged = analysisReport.flaggedIntervals.length;
+        analysisStatus.className = `status-message ${flagged > 0 ? 'fake' : 'real'}`;
+        analysisStatus.innerHTML = flagged > 0
+            ? `⚠️ ${flagged} flagged segment(s) in ${formatDuration(duration * 1000)} of video.`
+            : `🟢 No anomalies confirmed in ${formatDuration(duration * 1000)} of video.`;
+        if (analysisReportActions) analysisReportActions.style.display = 'flex';
+    } catch (error) {
+        console.error("Analysis failed:", error);
+        analysisStatus.className = 'status-message fake';
+        analysisStatus.innerHTML = `❌ Analysis failed: ${escapeHtml(error.message || error)}`;
+    } finally {
+        if (run === analysisRun) {
+            analyzeButton.disabled = false;
+            cancelAnalysisButton.disabled = true;
+        }
+    }
+}
+
+// --- Event Listeners ---
+if (analyzeButton) {
+    analyzeButton.addEventListener('click', () => {
+        const file = analysisFileInput.files[0];
+        if (!file) {
+            alert("Please choose a video file to analyze.");
+            return;
+        }
+        analyzeRecording(file, Number(sampleRateSelect.value) || 5);
+    });
+}
+if (cancelAnalysisButton) {
+    cancelAnalysisButton.addEventListener('click', () => {
+        analysisRun++;
+        analyzeButton.disabled = false;
+        cancelAnalysisButton.disabled = true;
+        analysisStatus.className = 'status-message';
+        analysisStatus.innerHTML = 'Analysis cancelled.';
+    });
+}
+if (analysisVideo) {
+    // Only redraw from stored results once a run is finished; during a run the loop draws live
+    analysisVideo.addEventListener('seeked', () => analysisReport && drawNearestFrame());
+    analysisVideo.addEventListener('timeupdate', () => analysisReport && drawNearestFrame());
+}
+if (analysisReportActions) {
+    analysisReportActions.querySelectorAll('[data-report-format]').forEach((button) => {
+        button.addEventListener('click', () => {
+            if (!analysisReport) return;
+            const format = button.dataset.reportFormat;
+            if (format === 'print') openPrintableReport(analysisReport);
+            else downloadReport(analysisReport, format);
+        });
+    });
+}
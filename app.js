@@ -1,6 +1,7 @@
 // --- Core DOM Elements ---
 const hostVideoElement = document.getElementById('webcam'); // Used in Host page for analysis/detection
-const participantVideoElement = document.getElementById('participant-video'); // Used in Host page for remote stream
+const participantGrid = document.getElementById('participant-grid'); // Used in Host page, one tile per remote participant
+const participantList = document.getElementById('participant-list'); // Host sidebar, per-participant status
 const localPreviewElement = document.getElementById('localWebcam'); // Used in both pages for the small local preview
 const statusElement = document.getElementById('status');
 const meetingIdDisplay = document.getElementById('meeting-id-display');
@@ -8,32 +9,70 @@ const currentMeetingIdDisplay = document.getElementById('currentMeetingIdDisplay
 
 const joinButton = document.getElementById('joinButton');
 const meetingIdInput = document.getElementById('meetingIdInput');
+const lobbyPreview = document.getElementById('lobbyPreview'); // Participant page, camera self-check before joining
+const lobbyCanvas = document.getElementById('lobbyCanvas');
+const lobbyGuidance = document.getElementById('lobby-guidance');
+const consentCheckbox = document.getElementById('consentCheckbox');
 
 const joinScreen = document.getElementById('join-screen');
 const meetingRoom = document.getElementById('meeting-room');
 const cutButton = document.getElementById('cutButton');
+const forceDisconnectButton = document.getElementById('forceDisconnectButton');
+const muteButton = document.getElementById('muteButton');
+const videoButton = document.getElementById('videoButton');
+const cameraSelect = document.getElementById('cameraSelect');
+const micSelect = document.getElementById('micSelect');
+const hostMediaBadges = document.getElementById('host-media-badges'); // Participant page, over the host's video
+const reportScreen = document.getElementById('report-screen'); // Host page, shown after the session ends
+const evidenceGallery = document.getElementById('evidence-gallery'); // Host sidebar, stored anomaly snapshots
+const downloadEvidenceButton = document.getElementById('downloadEvidenceButton');
+const removedScreen = document.getElementById('removed-screen');
+const removedReason = document.getElementById('removed-reason');
+const challengeParticipantSelect = document.getElementById('challengeParticipantSelect'); // Host sidebar, liveness challenges
+const challengeTypeSelect = document.getElementById('challengeTypeSelect');
+const issueChallengeButton = document.getElementById('issueChallengeButton');
+const challengeBanner = document.getElementById('challenge-banner'); // Participant page, the challenge to perform
+const shareStatusCheckbox = document.getElementById('shareStatusCheckbox'); // Host sidebar, push integrity status to participants
+const integrityStatusElement = document.getElementById('integrity-status'); // Participant page, status shared by the host
+const detectionStatsElement = document.getElementById('detection-stats'); // Host sidebar, detector backend/fps/latency
+const connectionBanner = document.getElementById('connection-banner'); // Both pages, shown while reconnecting
+const waitingList = document.getElementById('waiting-list'); // Host sidebar, callers not yet admitted
+const admissionBanner = document.getElementById('admission-banner'); // Participant page, shown while waiting to be admitted
+const inviteForm = document.getElementById('invite-form'); // Host sidebar, create named invites
+const inviteNameInput = document.getElementById('inviteNameInput');
+const inviteExpirySelect = document.getElementById('inviteExpirySelect');
+const inviteList = document.getElementById('invite-list');
+const inviteInfo = document.getElementById('invite-info'); // Participant join screen, the invite from the link
+const removedTitle = document.getElementById('removed-title');
+const detectionSettingsForm = document.getElementById('detection-settings-form'); // Host sidebar, detection policy (see settings.js)
+const detectionSettingsStatus = document.getElementById('detection-settings-status');
+const exportSettingsButton = document.getElementById('exportSettingsButton');
+const importSettingsInput = document.getElementById('importSettingsInput');
+const resetSettingsButton = document.getElementById('resetSettingsButton');
 
 // --- Global Variables ---
 let localStream = null;
 let peer = null;
-let remoteConnection = null;
-let chart1, chart2; // For the TensorFlow charts
-
-// --- PeerJS Configuration (Fixing Connection Issues) ---
-// Using Google's STUN server for reliable connection brokering
-const peerConfig = {
-    host: '0.peerjs.com',
-    port: 443,
-    path: '/',
-    secure: true,
-    debug: 2,
-    config: {
-        'iceServers': [
-            { 'urls': 'stun:stun.l.google.com:19302' },
-            // Add other STUN/TURN servers for better connectivity if needed
-        ]
-    }
-};
+let remoteConnection = null; // Participant page: the call to the host
+let hostChannel = null; // Participant page: the message channel to the host (see message-channel.js)
+let chatPanel = null; // Both pages: the in-call chat (see chat.js)
+let connectionManager = null; // Both pages: signaling / media reconnection (see connection-manager.js)
+let inviteBook = null; // Host page: invites created for this meeting ID (see invites.js)
+let inviteToken = null; // Participant page: the token from the invite link, sent to the host on every (re)connect
+let inviteAcceptedAs = null; // Participant page: the name on the invite, once the host has accepted it
+let room = null; // Host page: every connected participant (see room.js)
+let removedByHost = false; // Participant page: set once a kick arrives so the closing call doesn't redirect
+let sessionCharts = null; // Confidence Trend + Session Integrity Score (see charts.js)
+let mediaControls = null; // Mute / video-off / device switching for localStream (see media-controls.js)
+let sessionRecorder = null; // Host page: everything needed for the end-of-session report (see session-recorder.js)
+let lobbyFaceCheck = null; // Participant page: BlazeFace self-check running in the lobby (see lobby.js)
+let consentRecord = null; // Participant page: sent to the host when the control channel opens
+let detectionClient = null; // Host page: worker-backed detection shared by every video (see detection-client.js)
+let detectionSettings = null; // Host page: the detection policy from the settings panel (see settings.js)
+
+// --- PeerJS Configuration ---
+// Signaling server and ICE servers are resolved at startup by loadPeerConfig() (see config.js)
+let peerConfig = null;
 
 // --- Utility Functions ---
 
@@ -62,6 +101,7 @@ async function setupWebcam() {
         });
 
         if (statusElement) statusElement.innerHTML = "<span class='real'>✅ Webcam stream ready.</span>";
+        setupMediaControls();
         return true;
     } catch (error) {
         if (statusElement) statusElement.innerHTML = `<span class="fake">❌ ERROR: Could not access webcam.</span>`;
@@ -72,72 +112,1241 @@ async function setupWebcam() {
 }
 
 // 2. Host Page Logic
+// Loaded from the URLs in peer-config.json (see loadLibraries in config.js), in this order
+const HOST_LIBRARIES = ['peerjs', 'chartjs', 'tfjs', 'blazeface', 'mobilenet'];
+
 async function startHostSession() {
     const streamReady = await setupWebcam();
     if (!streamReady) return;
 
+    try {
+        await loadLibraries(HOST_LIBRARIES);
+    } catch (error) {
+        console.error("Library load error:", error);
+        if (statusElement) statusElement.innerHTML = `<span class="fake">❌ ERROR: ${error.message}. Check "libraries" in peer-config.json.</span>`;
+        return;
+    }
+
+    sessionCharts = createSessionCharts(document.getElementById('confidenceChart'), document.getElementById('integrityChart'));
+    room = createRoom();
+    refreshEvidenceGallery();
+
     if (statusElement) statusElement.innerHTML = "⏳ Connecting to PeerJS server...";
+    peerConfig = await loadPeerConfig();
     
-    // Create Peer with a random ID
-    peer = new Peer(peerConfig);
+    // Register the Peer under the shareable meeting ID (see meeting-id.js)
+    let meetingId;
+    try {
+        ({ peer, meetingId } = await openHostPeer(peerConfig));
+    } catch (err) {
+        console.error("PeerJS Error:", err);
+        if (statusElement) statusElement.innerHTML = `<span class="fake">❌ Connection Error: ${err.type}</span>`;
+        return;
+    }
+
+    if (statusElement) statusElement.innerHTML = `<span class='real'>✅ Meeting ID: ${meetingId}</span>. Waiting for participant...`;
+    renderMeetingId(meetingId);
+    sessionRecorder = createSessionRecorder({ meetingId });
+    sessionRecorder.detectionSettingsApplied(detectionSettings, 'startup');
+    inviteBook = createInviteBook(meetingId);
+    renderInviteList();
+    console.log('My peer ID is: ' + meetingId);
 
-    peer.on('open', (id) => {
-        if (statusElement) statusElement.innerHTML = `<span class='real'>✅ Peer ID: ${id}</span>. Waiting for participant...`;
-        if (meetingIdDisplay) meetingIdDisplay.textContent = `Meeting ID: ${id}`;
-        console.log('My peer ID is: ' + id);
+    // The peer keeps the meeting ID across signaling reconnects; running calls are not affected
+    connectionManager = createConnectionManager({
+        peer,
+        onStatusChange: renderConnectionStatus,
+        onGiveUp: () => {
+            alert("Lost the connection to the signaling server and could not reconnect. The session will end.");
+            endSession();
+        }
     });
 
     peer.on('error', (err) => {
+        if (connectionManager.handlePeerError(err)) {
+            console.warn("PeerJS connection problem, recovering:", err.type);
+            return;
+        }
         console.error("PeerJS Error:", err);
         if (statusElement) statusElement.innerHTML = `<span class="fake">❌ Connection Error: ${err.type}</span>`;
     });
 
+    // Participants dial the host's data channel; a reconnecting participant is re-attached to its existing channel
     peer.on('connection', (conn) => {
-        conn.on('open', () => {
-            conn.send('Hello Participant! You are connected.');
-        });
+        const peerId = conn.peer;
+        if (room.isBlocked(peerId)) {
+            const channel = createMessageChannel({ onMessage: () => {} });
+            channel.attach(conn);
+            sendKick(channel, 'You were removed from this meeting and cannot rejoin.');
+            return;
+        }
+        let channel = room.getChannel(peerId);
+        if (!channel) {
+            channel = createMessageChannel({
+                onOpen: () => greetParticipant(peerId, channel),
+                onMessage: (message) => handleParticipantMessage(peerId, message),
+                onStatusChange: (status) => {
+                    console.log(`Data channel to ${peerId}: ${status}`);
+                    watchWaitingChannel(peerId, status);
+                },
+                onVersionMismatch: (version) => console.warn(`${peerId} speaks protocol v${version}; this host speaks v${PROTOCOL_VERSION}.`)
+            });
+            room.setChannel(peerId, channel);
+        }
+        channel.attach(conn);
     });
 
-    // Listen for incoming calls
+    // New callers wait in the waiting room until the host admits them. A participant calling back
+    // after a dropped call skips it and gets their existing tile and analysis back.
     peer.on('call', (call) => {
         console.log("Incoming call from:", call.peer);
-        remoteConnection = call;
+        if (room.isBlocked(call.peer)) {
+            console.warn(`Rejected call from removed participant ${call.peer}.`);
+            call.close();
+            return;
+        }
+        if (room.get(call.peer)) {
+            call.answer(localStream);
+            closeOnIceLoss(call);
+            joinParticipant(call);
+        } else {
+            holdInWaitingRoom(call);
+        }
+    });
+
+    // Start detection on the HOST's local stream for visual verification
+    if (hostVideoElement) {
+        // We only start the detection loop once the local stream is ready
+        setTimeout(() => startDetection(hostVideoElement, true, { isCameraOff: () => !mediaControls.isEnabled('video') }), 1000); 
+    }
+}
+
+// Every admitted caller gets their own tile and detection loop; `call` has just been answered
+function joinParticipant(call) {
+    const participant = room.join(call.peer, call);
+    if (!participant) {
+        call.close(); // Blocked while the call was being answered
+        return;
+    }
 
-        // Answer the call, sending our local stream
-        call.answer(localStream);
+    const onStream = (remoteStream) => {
+        // PeerJS may fire 'stream' once per track; only the first one sets up the tile
+        if (room.get(call.peer) !== participant || participant.call !== call || participant.stream) return;
+        console.log(`Received remote stream from ${call.peer}.`);
+        room.attachStream(call.peer, remoteStream);
+        if (participant.tile) {
+            resumeParticipant(participant, remoteStream);
+            return;
+        }
+
+        const { video, canvas } = addParticipantTile(participant);
+        video.srcObject = remoteStream;
+        video.play();
+        renderParticipantMedia(call.peer);
+        renderParticipantList();
+        broadcastPresence();
+        if (chatPanel) chatPanel.addNotice(`${participantDisplayName(participant)} joined.`);
+        sessionRecorder.participantJoined(call.peer, participant.label);
+        if (statusElement) statusElement.innerHTML = `<span class='real'>🟢 ${participant.label} Connected. Starting Analysis...</span>`;
 
-        call.on('stream', (remoteStream) => {
-            console.log("Received remote stream.");
-            if (participantVideoElement) {
-                participantVideoElement.srcObject = remoteStream;
-                participantVideoElement.play();
+        // Detection on this participant's REMOTE stream only starts once they have consented
+        participant.startAnalysis = () => startDetection(video, false, {
+            canvas,
+            label: participant.label,
+            onStateChange: (state) => updateParticipantState(call.peer, state),
+            onDetails: (details) => updateParticipantDetails(call.peer, details),
+            onFrame: (faces, integrityScore) => {
+                sessionRecorder.recordFrame(call.peer, participant.label, faces);
+                if (integrityScore !== null) sessionRecorder.recordIntegrity(integrityScore);
+            },
+            onAnomalyConfirmed: (face, frame) => actOnConfirmedAnomaly(participant, frame, canvas, face),
+            onFacesAnalyzed: (faces) => {
+                feedMouthSamples(participant, faces);
+                feedChallenge(participant, faces);
+            },
+            isCameraOff: () => room.getMedia(call.peer).video === false,
+            isReconnecting: () => participant.reconnecting === true,
+            onPauseChange: () => {
+                renderParticipantList();
+                renderRoomState();
             }
-            if (statusElement) statusElement.innerHTML = `<span class='real'>🟢 Participant Connected. Starting Analysis...</span>`;
-            // Start detection on the REMOTE stream
-            startDetection(participantVideoElement); 
         });
+        startParticipantAnalysis(call.peer);
+    };
+    call.on('stream', onStream);
+
+    // A dropped call only holds the participant's seat; they leave for good on LEAVE or when the hold expires
+    const drop = () => {
+        if (room.get(call.peer) === participant && participant.call === call) holdParticipant(participant);
+    };
+    call.on('close', drop);
+    call.on('error', drop);
+}
 
-        call.on('close', endSession);
+// Meeting ID plus a copy button for the invite link
+function renderMeetingId(meetingId) {
+    if (!meetingIdDisplay) return;
+    const inviteLink = buildInviteLink(meetingId);
+
+    meetingIdDisplay.innerHTML = `
+        Meeting ID: <span class="meeting-id-code">${meetingId}</span>
+        <button id="copyInviteButton" class="copy-invite-button">Copy Invite Link</button>
+    `;
+    document.getElementById('copyInviteButton').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(inviteLink);
+            alert('Invite Link Copied! (Share this link to join)');
+        } catch (error) {
+            prompt('Copy this invite link:', inviteLink);
+        }
     });
+}
 
-    // Start detection on the HOST's local stream for visual verification
-    if (hostVideoElement) {
-        // We only start the detection loop once the local stream is ready
-        setTimeout(() => startDetection(hostVideoElement, true), 1000); 
+// --- Participant Grid and Sidebar (Host Only) ---
+function addParticipantTile(participant) {
+    const tile = document.createElement('div');
+    tile.className = 'participant-tile';
+    tile.dataset.peerId = participant.peerId;
+
+    const video = document.createElement('video');
+    video.id = `participant-video-${participant.peerId}`;
+    video.autoplay = true;
+    video.playsInline = true;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'participant-overlay';
+
+    const label = document.createElement('div');
+    label.className = 'video-label';
+    label.textContent = participantDisplayName(participant);
+    label.title = participant.peerId;
+
+    const badges = document.createElement('div');
+    badges.className = 'media-badges';
+
+    tile.append(video, canvas, label, badges);
+    if (participantGrid) participantGrid.appendChild(tile);
+
+    participant.tile = tile;
+    participant.video = video;
+    participant.badges = badges;
+    participant.details = [];
+    return { tile, video, canvas };
+}
+
+function removeParticipantTile(peerId) {
+    if (!participantGrid) return;
+    const tile = participantGrid.querySelector(`[data-peer-id="${CSS.escape(peerId)}"]`);
+    if (!tile) return;
+    const video = tile.querySelector('video');
+    if (video) {
+        video.pause();
+        video.srcObject = null; // Ends that participant's detection loop
+        // A loop that had already stopped never resets, and a rejoin under the same peer ID reuses the key
+        if (detectionClient) detectionClient.reset(video.id);
+    }
+    tile.remove();
+}
+
+function removeParticipant(peerId) {
+    const participant = room.leave(peerId);
+    if (!participant) return;
+    clearTimeout(participant.reconnectTimer);
+    console.log(`${participant.label} (${peerId}) left the meeting.`);
+    if (sessionRecorder) sessionRecorder.participantLeft(peerId, participant.label);
+    const channel = room.dropChannel(peerId);
+    if (channel) channel.close();
+    broadcastPresence();
+    if (chatPanel) chatPanel.addNotice(`${participant.label} left.`);
+
+    removeParticipantTile(peerId);
+    renderParticipantList();
+    renderRoomState();
+    renderAnomalyDetails();
+}
+
+// --- Participant Reconnects (Host Only) ---
+// The participant redials with the same peer ID (see connection-manager.js). Until they do, their tile,
+// detection history, voice analysis and chart series stay in place.
+function holdParticipant(participant) {
+    if (participant.reconnecting) return;
+    const { peerId, label } = participant;
+    participant.reconnecting = true;
+    participant.stream = null;
+    console.log(`${label} (${peerId}) dropped, holding their seat for a reconnect...`);
+    if (participant.tile) participant.tile.classList.add('reconnecting');
+    if (sessionRecorder) sessionRecorder.connectionChanged(peerId, label, 'reconnecting');
+    if (chatPanel) chatPanel.addNotice(`${label} lost connection. Waiting for them to reconnect...`, 'warn');
+    participant.reconnectTimer = setTimeout(() => {
+        if (room.get(peerId) !== participant || !participant.reconnecting) return;
+        if (sessionRecorder) sessionRecorder.connectionChanged(peerId, label, 'lost');
+        removeParticipant(peerId);
+    }, PARTICIPANT_RECONNECT_GRACE_MS);
+    renderParticipantList();
+}
+
+function resumeParticipant(participant, remoteStream) {
+    const { peerId, label } = participant;
+    clearTimeout(participant.reconnectTimer);
+    if (participant.reconnecting) {
+        if (sessionRecorder) sessionRecorder.connectionChanged(peerId, label, 'reconnected');
+        if (chatPanel) chatPanel.addNotice(`${label} reconnected.`, 'real');
+    }
+    participant.reconnecting = false;
+    participant.tile.classList.remove('reconnecting');
+
+    // The detection loop picks the new stream up from the same <video> (see startDetection)
+    participant.video.srcObject = remoteStream;
+    participant.video.play();
+    if (participant.voice) attachVoiceMonitor(participant);
+    renderParticipantMedia(peerId);
+    renderParticipantList();
+    if (statusElement) statusElement.innerHTML = `<span class='real'>🟢 ${label} Reconnected.</span>`;
+}
+
+// --- Waiting Room (Host Only) ---
+// New callers' calls stay unanswered until the host admits them, so no media flows either way before that.
+// The host sees the caller only through still frames sent over the data channel: a thumbnail preview, and
+// the frames of an optional pre-admission scan (see admission.js).
+const DEFAULT_DENY_REASON = "The host did not admit you to this meeting.";
+
+const ADMISSION_VERDICTS = {
+    clean: { className: 'real', text: '✅ Looks real' },
+    suspicious: { className: 'warn', text: '⚠️ Suspicious' },
+    anomaly: { className: 'fake', text: '🚨 Likely deepfake' },
+    'no-face': { className: '', text: '❔ No face seen' }
+};
+
+let nextScanId = 1;
+
+function holdInWaitingRoom(call) {
+    const peerId = call.peer;
+    const previous = room.release(peerId);
+    if (previous) dropWaitingEntry(previous);
+
+    const entry = room.hold(peerId, call);
+    if (!entry) {
+        call.close();
+        return;
+    }
+    const leave = () => {
+        if (room.getWaiting(peerId) !== entry) return;
+        console.log(`${peerId} left the waiting room.`);
+        dismissCaller(peerId);
+    };
+    call.on('close', leave);
+    call.on('error', leave);
+
+    const channel = room.getChannel(peerId);
+    if (channel) channel.send(MESSAGE_TYPES.ADMISSION, { status: 'waiting' });
+    addWaitingEntry(entry);
+    console.log(`${peerId} is waiting to be admitted.`);
+    if (chatPanel) chatPanel.addNotice(`🔔 ${waitingName(peerId)} is waiting to join.`, 'warn');
+    if (sessionRecorder) sessionRecorder.connectionChanged(peerId, null, 'waiting');
+}
+
+function waitingName(peerId) {
+    const invite = inviteBook ? inviteBook.forPeer(peerId) : null;
+    return invite ? invite.name : 'A caller without an invite';
+}
+
+function admitCaller(peerId) {
+    const entry = room.getWaiting(peerId);
+    if (!entry) return;
+    if (entry.scan && entry.scan.result && ['suspicious', 'anomaly'].includes(entry.scan.result.verdict)) {
+        if (!confirm(`The pre-admission scan flagged ${waitingName(peerId)} as ${entry.scan.result.verdict}. Admit anyway?`)) return;
+    }
+    room.release(peerId);
+    stopAdmissionScan(entry);
+    removeWaitingEntry(entry);
+
+    const channel = room.getChannel(peerId);
+    if (channel) channel.send(MESSAGE_TYPES.ADMISSION, { status: 'admitted' });
+    if (sessionRecorder) sessionRecorder.hostAction('admit', { peerId, caller: waitingName(peerId), scan: entry.scan ? entry.scan.result : null });
+    entry.call.answer(localStream);
+    closeOnIceLoss(entry.call);
+    joinParticipant(entry.call);
+}
+
+function denyCaller(peerId, reason = DEFAULT_DENY_REASON) {
+    const entry = room.getWaiting(peerId);
+    if (!entry) return;
+    const channel = room.dropChannel(peerId);
+    room.block(peerId);
+    if (channel) sendAndClose(channel, MESSAGE_TYPES.ADMISSION, { status: 'denied', reason });
+    if (sessionRecorder) sessionRecorder.hostAction('deny', { peerId, reason, scan: entry.scan ? entry.scan.result : null });
+    dismissCaller(peerId);
+    console.log(`Denied ${peerId}: ${reason}`);
+}
+
+// An unanswered call never reports the caller going away, so a waiting caller whose channel stays down is dropped
+function watchWaitingChannel(peerId, status) {
+    const entry = room.getWaiting(peerId);
+    if (!entry) return;
+    clearTimeout(entry.channelLostTimer);
+    if (status !== CHANNEL_STATUS.RECONNECTING) return;
+    entry.channelLostTimer = setTimeout(() => {
+        if (room.getWaiting(peerId) !== entry) return;
+        console.log(`${peerId} left the waiting room.`);
+        dismissCaller(peerId);
+    }, PARTICIPANT_RECONNECT_GRACE_MS);
+}
+
+// Caller gone from the waiting room for any reason; their call is closed shortly after
+function dismissCaller(peerId) {
+    const entry = room.release(peerId);
+    if (entry) dropWaitingEntry(entry);
+}
+
+function dropWaitingEntry(entry) {
+    clearTimeout(entry.channelLostTimer);
+    stopAdmissionScan(entry);
+    removeWaitingEntry(entry);
+    setTimeout(() => entry.call.close(), KICK_GRACE_MS);
+}
+
+async function startAdmissionScan(entry) {
+    if (!room.hasConsent(entry.peerId)) {
+        alert("This caller hasn't agreed to video analysis yet, so they can't be scanned.");
+        return;
+    }
+    const channel = room.getChannel(entry.peerId);
+    if (!channel || !entry.preview) return;
+    if (!detectionReady) await loadModels();
+    if (!detectionReady) return;
+
+    stopAdmissionScan(entry);
+    const scan = { id: nextScanId++, run: null, progress: 0, result: null };
+    entry.scan = scan;
+    scan.run = runAdmissionScan(detectionClient, `waiting-${entry.peerId}`, {
+        onProgress: (fraction) => {
+            scan.progress = fraction;
+            if (entry.scan === scan) renderWaitingEntry(entry);
+        }
+    });
+    channel.send(MESSAGE_TYPES.SCAN_REQUEST, { id: scan.id, durationMs: ADMISSION_SCAN_MS, fps: ADMISSION_SCAN_FPS });
+    renderWaitingEntry(entry);
+    const result = await scan.run.promise;
+    if (entry.scan !== scan) return; // Cancelled meanwhile
+    entry.scan = { run: null, progress: 1, result };
+    if (sessionRecorder) sessionRecorder.hostAction('pre-admission-scan', { peerId: entry.peerId, ...result });
+    renderWaitingEntry(entry);
+}
+
+function stopAdmissionScan(entry) {
+    if (!entry.scan || !entry.scan.run) return;
+    entry.scan.run.cancel();
+    entry.scan = null;
+}
+
+// Still frames from a waiting caller (see the participant's side in sendWaitingPreview / sendScanFrames)
+function handleWaitingPreview(peerId, { image }) {
+    const entry = room.getWaiting(peerId);
+    if (!entry || !isFrameImage(image)) return;
+    entry.preview = image;
+    if (entry.thumbnail) entry.thumbnail.src = image;
+    renderWaitingEntry(entry);
+}
+
+function handleScanFrame(peerId, { scanId, t, image, last }) {
+    const entry = room.getWaiting(peerId);
+    if (!entry || !entry.scan || !entry.scan.run || entry.scan.id !== scanId) return;
+    entry.scan.run.addFrame({ t: Number(t) || 0, image, last: last === true });
+}
+
+function addWaitingEntry(entry) {
+    if (!waitingList) return;
+    const item = document.createElement('li');
+    item.className = 'waiting-entry';
+    item.innerHTML = `
+        <img class="waiting-thumbnail" alt="">
+        <div class="waiting-info">
+            <span class="participant-name"></span>
+            <code class="waiting-peer-id"></code>
+            <span class="waiting-scan"></span>
+            <div class="waiting-actions">
+                <button class="control-button" data-action="admit">✅ Admit</button>
+                <button class="control-button" data-action="scan">🔍 Scan</button>
+                <button class="control-button cut-button" data-action="deny">⛔ Deny</button>
+            </div>
+        </div>
+    `;
+    item.querySelector('.waiting-peer-id').textContent = entry.peerId;
+    item.querySelector('[data-action="admit"]').addEventListener('click', () => admitCaller(entry.peerId));
+    item.querySelector('[data-action="scan"]').addEventListener('click', () => startAdmissionScan(entry));
+    item.querySelector('[data-action="deny"]').addEventListener('click', () => {
+        const reason = prompt(`Reason shown to ${waitingName(entry.peerId)}:`, DEFAULT_DENY_REASON);
+        if (reason !== null) denyCaller(entry.peerId, reason.trim() || DEFAULT_DENY_REASON);
+    });
+    entry.element = item;
+    entry.thumbnail = item.querySelector('img');
+    if (entry.preview) entry.thumbnail.src = entry.preview;
+    waitingList.appendChild(item);
+    renderWaitingEntry(entry);
+}
+
+function renderWaitingEntry(entry) {
+    if (!entry.element) return;
+    entry.element.querySelector('.participant-name').textContent = waitingName(entry.peerId);
+    const scanLine = entry.element.querySelector('.waiting-scan');
+    const scanButton = entry.element.querySelector('[data-action="scan"]');
+    scanButton.disabled = !entry.preview || Boolean(entry.scan && entry.scan.run);
+
+    if (!room.hasConsent(entry.peerId)) {
+        scanLine.className = 'waiting-scan';
+        scanLine.textContent = '🔒 No analysis consent yet';
+    } else if (entry.scan && entry.scan.run) {
+        scanLine.className = 'waiting-scan';
+        scanLine.textContent = `⏳ Scanning... ${Math.round(entry.scan.progress * 100)}%`;
+    } else if (entry.scan && entry.scan.result) {
+        const { verdict, meanScore } = entry.scan.result;
+        const badge = ADMISSION_VERDICTS[verdict];
+        scanLine.className = `waiting-scan ${badge.className}`;
+        scanLine.textContent = meanScore === null ? badge.text : `${badge.text} (${(meanScore * 100).toFixed(0)}% consistent)`;
+    } else {
+        scanLine.className = 'waiting-scan';
+        scanLine.textContent = entry.preview ? 'Not scanned' : 'Waiting for a preview...';
+    }
+    renderWaitingEmpty();
+}
+
+function removeWaitingEntry(entry) {
+    if (entry.element) {
+        entry.element.remove();
+        entry.element = null;
+        entry.thumbnail = null;
+    }
+    renderWaitingEmpty();
+}
+
+function renderWaitingEmpty() {
+    if (!waitingList) return;
+    const empty = waitingList.querySelector('.participant-empty');
+    if (room.listWaiting().length === 0 && !empty) {
+        waitingList.innerHTML = `<li class="participant-empty">No one is waiting.</li>`;
+    } else if (room.listWaiting().length > 0 && empty) {
+        empty.remove();
+    }
+}
+
+// Invite and consent arrive over the data channel while the caller waits
+function refreshWaitingEntry(peerId) {
+    const entry = room.getWaiting(peerId);
+    if (entry) renderWaitingEntry(entry);
+}
+
+// --- Force Disconnect (Host Only) ---
+const KICK_GRACE_MS = 500; // Lets the kick message reach the participant before their call is torn down
+const KICK_ACK_TIMEOUT_MS = 3000; // The channel is closed once the kick is acknowledged, or after this
+
+// The last message on a channel: closed once it is acknowledged, or after KICK_ACK_TIMEOUT_MS
+function sendAndClose(channel, type, payload) {
+    const close = () => channel.close();
+    channel.send(type, payload).then(close);
+    setTimeout(close, KICK_ACK_TIMEOUT_MS);
+}
+
+function sendKick(channel, reason) {
+    sendAndClose(channel, MESSAGE_TYPES.KICK, { reason });
+}
+
+// Eject one participant: notify them over the data channel, drop their call and block their peer ID
+function forceDisconnect(peerId, reason = 'The host removed you from the meeting.') {
+    const participant = room.get(peerId);
+    const channel = room.dropChannel(peerId); // Taken out of the room so removeParticipant leaves it open for the kick
+    room.block(peerId);
+
+    if (channel) sendKick(channel, reason);
+    if (sessionRecorder) sessionRecorder.hostAction('force-disconnect', { peerId, participant: participant ? participant.label : null, reason });
+    removeParticipant(peerId);
+    if (participant && participant.call) {
+        setTimeout(() => participant.call.close(), KICK_GRACE_MS);
+    }
+    console.log(`Force-disconnected ${participant ? participant.label : peerId} (${peerId}).`);
+}
+
+// The alert's button removes everyone currently confirmed as an anomaly
+function forceDisconnectFlagged() {
+    const flagged = room.list().filter((participant) => participant.state === TRACK_STATES.ANOMALY);
+    if (flagged.length === 0) return;
+
+    const names = flagged.map((participant) => participant.label).join(', ');
+    if (!confirm(`Force disconnect ${names}? They will not be able to rejoin this session.`)) return;
+    flagged.forEach((participant) => forceDisconnect(participant.peerId, 'The host removed you after a deepfake anomaly was confirmed on your video.'));
+}
+
+// --- Data Channel Messages from Participants (Host Only) ---
+// Sent on every (re)connect of a participant's channel, so they always hold the current state
+function greetParticipant(peerId, channel) {
+    const participant = room.get(peerId);
+    channel.send(MESSAGE_TYPES.HELLO, {
+        text: 'Hello Participant! You are connected.',
+        protocolVersion: PROTOCOL_VERSION,
+        label: participant ? participant.label : null
+    });
+    channel.send(MESSAGE_TYPES.MEDIA_STATE, mediaControls.state());
+    if (participant) channel.send(MESSAGE_TYPES.PRESENCE, presencePayload());
+    if (room.getWaiting(peerId)) channel.send(MESSAGE_TYPES.ADMISSION, { status: 'waiting' });
+}
+
+// `message` is already parsed and de-duplicated by the channel (see message-channel.js)
+function handleParticipantMessage(peerId, message) {
+    if (message.type === MESSAGE_TYPES.MEDIA_STATE) {
+        room.setMedia(peerId, message.payload);
+        renderParticipantMedia(peerId);
+        renderParticipantList();
+    } else if (message.type === MESSAGE_TYPES.CONSENT) {
+        handleParticipantConsent(peerId, message.payload);
+    } else if (message.type === MESSAGE_TYPES.CHAT) {
+        relayParticipantChat(peerId, message);
+    } else if (message.type === MESSAGE_TYPES.INVITE) {
+        handleParticipantInvite(peerId, message.payload.token);
+    } else if (message.type === MESSAGE_TYPES.PREVIEW) {
+        handleWaitingPreview(peerId, message.payload);
+    } else if (message.type === MESSAGE_TYPES.SCAN_FRAME) {
+        handleScanFrame(peerId, message.payload);
+    } else if (message.type === MESSAGE_TYPES.LEAVE) {
+        dismissCaller(peerId);
+        removeParticipant(peerId);
+    }
+}
+
+// --- Invites (Host Only) ---
+// The host's invite book (invites.js) decides; the participant learns the outcome via INVITE_RESULT.
+function participantDisplayName(participant) {
+    const invite = inviteBook ? inviteBook.forPeer(participant.peerId) : null;
+    return invite ? `${participant.label} (${invite.name})` : participant.label;
+}
+
+function handleParticipantInvite(peerId, token) {
+    const channel = room.getChannel(peerId);
+    const participant = room.get(peerId);
+    const label = participant ? participant.label : null;
+    const alreadyRedeemed = Boolean(inviteBook.forPeer(peerId));
+    const result = inviteBook.redeem(token, peerId);
+
+    if (!result.accepted) {
+        rejectInvite(peerId, result.reason);
+        return;
+    }
+    if (channel) channel.send(MESSAGE_TYPES.INVITE_RESULT, { accepted: true, name: result.invite.name });
+    if (alreadyRedeemed) return; // Re-sent after a reconnect
+
+    console.log(`${peerId} redeemed the invite for ${result.invite.name}.`);
+    if (sessionRecorder) sessionRecorder.inviteChecked(peerId, label, { accepted: true, name: result.invite.name, expiresAt: result.invite.expiresAt });
+    if (chatPanel) chatPanel.addNotice(`🎟️ ${label || 'A participant'} is using the invite for ${result.invite.name}.`, 'real');
+    if (participant && participant.tile) participant.tile.querySelector('.video-label').textContent = participantDisplayName(participant);
+    renderParticipantList();
+    renderInviteList();
+    refreshWaitingEntry(peerId);
+}
+
+// Turned away like a kick, but with the invite's reason; the rejected peer hangs up on its own
+function rejectInvite(peerId, reason) {
+    const participant = room.get(peerId);
+    const channel = room.dropChannel(peerId);
+    room.block(peerId);
+    console.warn(`Rejected invite from ${peerId}: ${reason}`);
+    if (sessionRecorder) sessionRecorder.inviteChecked(peerId, participant ? participant.label : null, { accepted: false, reason });
+    if (chatPanel) chatPanel.addNotice(`🎟️ Turned away ${participant ? participant.label : 'a caller'}: ${reason}`, 'fake');
+
+    if (channel) sendAndClose(channel, MESSAGE_TYPES.INVITE_RESULT, { accepted: false, reason });
+    dismissCaller(peerId);
+    if (participant) {
+        removeParticipant(peerId);
+        if (participant.call) setTimeout(() => participant.call.close(), KICK_GRACE_MS);
+    }
+}
+
+const INVITE_REFRESH_MS = 30000;
+let inviteRefreshTimer = null; // Cleared in endSession
+const INVITE_STATUS_BADGES = {
+    active: { className: 'real', text: 'Active' },
+    used: { className: '', text: 'Used' },
+    expired: { className: 'warn', text: 'Expired' },
+    revoked: { className: 'fake', text: 'Revoked' }
+};
+
+function createInvite() {
+    if (!inviteBook) {
+        alert("The meeting is still starting. Try again in a moment.");
+        return;
+    }
+    let invite;
+    try {
+        invite = inviteBook.create(inviteNameInput.value, Number(inviteExpirySelect.value));
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    inviteNameInput.value = '';
+    if (sessionRecorder) sessionRecorder.hostAction('invite-created', { name: invite.name, expiresAt: new Date(invite.expiresAt).toISOString() });
+    renderInviteList();
+    copyInviteLink(invite);
+}
+
+async function copyInviteLink(invite) {
+    const link = buildInviteTokenLink(invite.meetingId, invite.token);
+    try {
+        await navigator.clipboard.writeText(link);
+        alert(`Invite link for ${invite.name} copied. It works once, until ${formatInviteTime(invite.expiresAt)}.`);
+    } catch (error) {
+        prompt(`Copy the invite link for ${invite.name}:`, link);
+    }
+}
+
+function renderInviteList() {
+    if (!inviteList || !inviteBook) return;
+    const invites = inviteBook.list();
+    if (invites.length === 0) {
+        inviteList.innerHTML = `<li class="participant-empty">No invites yet.</li>`;
+        return;
+    }
+    inviteList.innerHTML = '';
+    invites.forEach((invite) => {
+        const badge = INVITE_STATUS_BADGES[invite.status];
+        const participant = invite.usedBy ? room.get(invite.usedBy) : null;
+        const detail = invite.status === INVITE_STATUS.ACTIVE
+            ? `until ${formatInviteTime(invite.expiresAt)}`
+            : (participant ? `by ${participant.label}` : '');
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="participant-name"></span> <span class="state-badge ${badge.className}">${badge.text}</span> <span class="invite-detail"></span>`;
+        item.querySelector('.participant-name').textContent = invite.name;
+        item.querySelector('.invite-detail').textContent = detail;
+        if (invite.status === INVITE_STATUS.ACTIVE) {
+            const copy = document.createElement('button');
+            copy.className = 'copy-invite-button';
+            copy.textContent = 'Copy Link';
+            copy.addEventListener('click', () => copyInviteLink(invite));
+            const revoke = document.createElement('button');
+            revoke.className = 'kick-button';
+            revoke.title = 'Cancel this invite';
+            revoke.textContent = '✖';
+            revoke.addEventListener('click', () => {
+                inviteBook.revoke(invite.token);
+                if (sessionRecorder) sessionRecorder.hostAction('invite-revoked', { name: invite.name });
+                renderInviteList();
+            });
+            item.append(copy, ' ', revoke);
+        }
+        inviteList.appendChild(item);
+    });
+}
+
+// --- Chat, Presence and Analysis Notices (Host Only) ---
+function presencePayload() {
+    return { participants: room.list().map(({ peerId, label }) => ({ peerId, label })) };
+}
+
+// Chat and presence only go to admitted participants, not to callers still in the waiting room
+function admittedChannels() {
+    return room.list().map(({ peerId }) => room.getChannel(peerId)).filter(Boolean);
+}
+
+function broadcastPresence() {
+    const payload = presencePayload();
+    admittedChannels().forEach((channel) => channel.send(MESSAGE_TYPES.PRESENCE, payload));
+    if (chatPanel) {
+        chatPanel.setPresence(payload.participants.length > 0
+            ? `In call: You (host), ${payload.participants.map(({ label }) => label).join(', ')}`
+            : 'No participants yet.');
+    }
+}
+
+// The host names the sender (never trusting payload.from) and forwards the line to everyone else
+function relayParticipantChat(peerId, message) {
+    const text = normalizeChatText(message.payload.text);
+    if (!text) return;
+    const participant = room.get(peerId);
+    if (!participant) return; // Callers in the waiting room can't chat yet
+    const from = participant.label;
+    if (chatPanel) chatPanel.addMessage({ from, text, sentAt: message.sentAt });
+    admittedChannels()
+        .filter((channel) => channel !== room.getChannel(peerId))
+        .forEach((channel) => channel.send(MESSAGE_TYPES.CHAT, { text, from }));
+}
+
+// Resolves true once every connected participant has acknowledged it
+async function sendHostChat(text) {
+    const channels = admittedChannels();
+    if (channels.length === 0) return false;
+    const delivered = await Promise.all(channels.map((channel) => channel.send(MESSAGE_TYPES.CHAT, { text, from: 'Host' })));
+    return delivered.every(Boolean);
+}
+
+const INTEGRITY_NOTICES = {
+    clean: 'Your video is passing the integrity check.',
+    suspicious: 'Some frames of your video look unusual. Check your lighting and camera.',
+    anomaly: "The host's detector has flagged your video as a possible deepfake.",
+    none: 'No face is currently detected in your video.'
+};
+
+function sendAnalysisNotice(peerId, kind, text, state = null) {
+    const channel = room.getChannel(peerId);
+    if (channel) channel.send(MESSAGE_TYPES.ANALYSIS_NOTICE, { kind, state, text });
+}
+
+// Integrity status is only pushed to participants while the host has sharing switched on
+function shareIntegrityStatus(participant) {
+    if (!shareStatusCheckbox || !shareStatusCheckbox.checked || !participant.analysisStarted) return;
+    const state = participant.state || 'none';
+    sendAnalysisNotice(participant.peerId, 'integrity', INTEGRITY_NOTICES[state], participant.state);
+}
+
+// Consent arrives over the data channel, usually before the call; the analysis waits for whichever is last
+function handleParticipantConsent(peerId, record) {
+    const participant = room.get(peerId);
+    const label = participant ? participant.label : null;
+    if (!isValidConsent(record)) {
+        console.warn(`Invalid consent record from ${peerId}; their video will not be analyzed.`, record);
+        return;
+    }
+    // The participant re-sends consent on every reconnect; only the first one is logged
+    if (!room.hasConsent(peerId) && sessionRecorder) sessionRecorder.consentReceived(peerId, label, record);
+    room.setConsent(peerId, record);
+    startParticipantAnalysis(peerId);
+    renderParticipantList();
+    refreshWaitingEntry(peerId);
+}
+
+function startParticipantAnalysis(peerId) {
+    const participant = room.get(peerId);
+    if (!participant || !participant.startAnalysis || participant.analysisStarted) return;
+
+    if (!room.hasConsent(peerId)) {
+        sendAnalysisNotice(peerId, 'analysis-refused', 'The host cannot analyze your video until you consent.');
+        participant.details = ['🔒 No analysis consent received: analysis not started.'];
+        renderAnomalyDetails();
+        renderParticipantList();
+        renderRoomState();
+        return;
+    }
+    participant.analysisStarted = true;
+    participant.details = [];
+    renderAnomalyDetails();
+    participant.startAnalysis();
+    startVoiceAnalysis(participant);
+    sendAnalysisNotice(peerId, 'analysis-started', 'The host has started analyzing your video and audio.');
+}
+
+function renderParticipantMedia(peerId) {
+    const participant = room.get(peerId);
+    if (!participant || !participant.tile) return;
+    const media = room.getMedia(peerId);
+    renderMediaBadges(participant.badges, media);
+    participant.tile.classList.toggle('camera-off', media.video === false);
+}
+
+// --- Voice Liveness (Host Only) ---
+// Audio features and the voice score come from audio-analysis.js. The voice score runs its own state
+// machine (tracker.js) and is merged with the face state into the participant's verdict.
+const VOICE_VERDICT_MS = 500;
+
+function startVoiceAnalysis(participant) {
+    const { peerId, stream } = participant;
+    if (!stream || stream.getAudioTracks().length === 0 || participant.voice) return;
+
+    const analyzer = createVoiceAnalyzer();
+    // Same hysteresis as the face tracks, following the detection threshold from the settings panel
+    const voice = { analyzer, machine: createTrackStateMachine(policyTrackerOptions().stateMachine), score: null, state: null, components: null, monitor: null };
+    participant.voice = voice;
+    if (!attachVoiceMonitor(participant)) return;
+
+    // Stops itself once the participant leaves
+    const timer = setInterval(() => {
+        if (room.get(peerId) !== participant) {
+            clearInterval(timer);
+            voice.monitor.stop();
+            return;
+        }
+        const { score, components } = analyzer.evaluate();
+        voice.components = components;
+        voice.score = score;
+        if (score !== null) {
+            const transition = voice.machine.push(score, performance.now());
+            if (sessionRecorder) sessionRecorder.recordFrame(peerId, participant.label, [{ face: VOICE_CHANNEL, confidence: score, ...transition }]);
+            if (transition.changed || voice.state === null) {
+                voice.state = transition.state;
+                applyParticipantVerdict(participant);
+            }
+        }
+        renderVoiceDetails(participant);
+    }, VOICE_VERDICT_MS);
+}
+
+// (Re)connects the voice analyzer to the participant's current stream, e.g. after a reconnect
+function attachVoiceMonitor(participant) {
+    const { peerId, stream, voice } = participant;
+    if (voice.monitor) voice.monitor.stop();
+    try {
+        voice.monitor = createAudioMonitor(stream, {
+            onSample: (sample) => {
+                if (room.getMedia(peerId).audio !== false) voice.analyzer.addAudioSample(sample);
+            }
+        });
+        return true;
+    } catch (error) {
+        console.error(`Voice analysis unavailable for ${peerId}:`, error);
+        voice.monitor = { stop() {} };
+        participant.voiceDetails = ['Voice: analysis unavailable in this browser.'];
+        renderAnomalyDetails();
+        return false;
+    }
+}
+
+// The participant is taken to be the largest face on their tile
+function largestFace(faces) {
+    return faces.reduce((a, b) => (b.box.width * b.box.height > a.box.width * a.box.height ? b : a));
+}
+
+// Lip movement of the largest face on the tile, paired with voice activity by the analyzer
+function feedMouthSamples(participant, faces) {
+    if (!participant.voice || faces.length === 0) return;
+    const speaker = largestFace(faces);
+    participant.voice.analyzer.addMouthSample(performance.now(), mouthOpening(speaker.landmarks, speaker.box));
+}
+
+function renderVoiceDetails(participant) {
+    const { voice } = participant;
+    const percent = (value) => (value === null ? '--' : `${(value * 100).toFixed(0)}%`);
+    let line;
+    if (!audioAnalysisRunning()) {
+        line = 'Voice: paused until you click anywhere on this page (browser audio policy).';
+    } else if (room.getMedia(participant.peerId).audio === false) {
+        line = 'Voice: 🔇 muted.';
+    } else if (voice.score === null) {
+        line = 'Voice: waiting for speech...';
+    } else {
+        const { flatness, pitch, lipSync } = voice.components;
+        line = `Voice: **${TRACK_STATE_STYLES[voice.state].label}** (${percent(voice.score)} voice consistency; flatness ${percent(flatness)}, pitch ${percent(pitch)}, lip sync ${percent(lipSync)})`;
+    }
+    participant.voiceDetails = [line];
+    renderAnomalyDetails();
+}
+
+// --- Liveness Challenges (Host Only) ---
+// The host picks a challenge from challenges.js; the participant sees the instruction and the host's
+// detection loop feeds every analyzed frame of that participant to the verifier until it passes or times out.
+const CHALLENGE_POLL_MS = 250;      // Countdown refresh, and timeout check when no face is seen
+const CHALLENGE_RESULTS_SHOWN = 3;  // Most recent results kept in the anomaly details panel
+let nextChallengeId = 1;
+
+function issueChallenge(peerId, type) {
+    const participant = room.get(peerId);
+    const channel = room.getChannel(peerId);
+    if (!participant || !channel || !channel.open) {
+        alert("That participant has no open control channel.");
+        return;
+    }
+    if (!participant.analysisStarted) {
+        alert(`${participant.label} has not consented to analysis, so a challenge cannot be verified.`);
+        return;
+    }
+    if (participant.challenge && participant.challenge.verifier.result.status === 'pending') {
+        alert(`${participant.label} already has a challenge in progress.`);
+        return;
+    }
+
+    const definition = LIVENESS_CHALLENGES[type];
+    const verifier = createChallengeVerifier(type, { issuedAt: performance.now() });
+    const challenge = { id: nextChallengeId++, type, label: definition.label, verifier, finished: false };
+    participant.challenge = challenge;
+
+    channel.send(MESSAGE_TYPES.CHALLENGE, { id: challenge.id, type, instruction: definition.instruction, timeoutMs: verifier.timeoutMs });
+    if (sessionRecorder) sessionRecorder.hostAction('liveness-challenge', { peerId, participant: participant.label, challengeId: challenge.id, challenge: type });
+
+    challenge.timer = setInterval(() => {
+        if (room.get(peerId) !== participant) {
+            clearInterval(challenge.timer);
+            return;
+        }
+        if (verifier.expire(performance.now()).status !== 'pending') finishChallenge(participant);
+        else renderChallengeDetails(participant);
+    }, CHALLENGE_POLL_MS);
+    renderChallengeDetails(participant);
+}
+
+function feedChallenge(participant, faces) {
+    const { challenge } = participant;
+    if (!challenge || challenge.finished || faces.length === 0) return;
+
+    const face = largestFace(faces);
+    const result = challenge.verifier.push({
+        t: performance.now(),
+        landmarks: face.landmarks,
+        box: face.box,
+        eyeContrast: LIVENESS_CHALLENGES[challenge.type].usesEyePatches ? face.eyeContrast : null
+    });
+    if (result.status !== 'pending') finishChallenge(participant);
+}
+
+function finishChallenge(participant) {
+    const { challenge } = participant;
+    if (challenge.finished) return;
+    challenge.finished = true;
+    clearInterval(challenge.timer);
+
+    const { status, responseMs, reason } = challenge.verifier.result;
+    const passed = status === 'passed';
+    console.log(`Liveness challenge "${challenge.label}" for ${participant.label}: ${status} after ${responseMs} ms.`);
+
+    participant.challengeResults = [{ label: challenge.label, passed, responseMs, reason }, ...(participant.challengeResults || [])]
+        .slice(0, CHALLENGE_RESULTS_SHOWN);
+    const channel = room.getChannel(participant.peerId);
+    if (channel) channel.send(MESSAGE_TYPES.CHALLENGE_RESULT, { id: challenge.id, passed });
+    if (sessionRecorder) {
+        sessionRecorder.challengeResult(participant.peerId, participant.label, {
+            challengeId: challenge.id, challenge: challenge.type, label: challenge.label, passed, responseMs, reason
+        });
+    }
+    renderChallengeDetails(participant);
+}
+
+function renderChallengeDetails(participant) {
+    const lines = [];
+    const { challenge } = participant;
+    if (challenge && !challenge.finished) {
+        const remaining = Math.max(0, (challenge.verifier.issuedAt + challenge.verifier.timeoutMs - performance.now()) / 1000);
+        lines.push(`🎯 Challenge "${challenge.label}": waiting for response (${remaining.toFixed(0)}s left)`);
+    }
+    (participant.challengeResults || []).forEach(({ label, passed, responseMs, reason }) => {
+        lines.push(passed
+            ? `✅ Challenge "${label}" passed in ${(responseMs / 1000).toFixed(1)}s`
+            : `❌ Challenge "${label}" failed after ${(responseMs / 1000).toFixed(1)}s (${reason})`);
+    });
+    participant.challengeDetails = lines;
+    renderAnomalyDetails();
+}
+
+function renderChallengeControls() {
+    if (!challengeParticipantSelect) return;
+    const selected = challengeParticipantSelect.value;
+    challengeParticipantSelect.innerHTML = '';
+    room.list().forEach((participant) => {
+        const option = document.createElement('option');
+        option.value = participant.peerId;
+        option.textContent = participant.label;
+        challengeParticipantSelect.appendChild(option);
+    });
+    if (room.get(selected)) challengeParticipantSelect.value = selected;
+    if (issueChallengeButton) issueChallengeButton.disabled = room.size === 0;
+}
+
+// --- Evidence Snapshots (Host Only) ---
+// A face track on `participant` just confirmed an anomaly: go as far as the host's anomaly action says
+// `frame` is the analyzed frame the anomaly was confirmed on; it is only valid until this first awaits
+async function actOnConfirmedAnomaly(participant, frame, overlayCanvas, face) {
+    const action = detectionSettings.anomalyAction;
+    if (anomalyActionIncludes(action, ANOMALY_ACTIONS.SNAPSHOT)) await captureAnomalyEvidence(participant, frame, overlayCanvas, face);
+    // Several faces can confirm at once; only the first one disconnects
+    if (!anomalyActionIncludes(action, ANOMALY_ACTIONS.DISCONNECT) || room.get(participant.peerId) !== participant) return;
+    if (sessionRecorder) sessionRecorder.hostAction('auto-disconnect', { peerId: participant.peerId, participant: participant.label, face: face.face });
+    forceDisconnect(participant.peerId, 'You were removed automatically after a deepfake anomaly was confirmed on your video.');
+}
+
+async function captureAnomalyEvidence(participant, frame, overlayCanvas, face) {
+    try {
+        const { frameBlob, faceBlob } = await captureEvidenceImages(frame, overlayCanvas, face.box);
+        const id = await saveSnapshot({
+            meetingId: sessionRecorder ? sessionRecorder.meetingId : null,
+            peerId: participant.peerId,
+            participant: participant.label,
+            face: face.face,
+            confidence: face.confidence,
+            smoothed: face.smoothed,
+            capturedAt: Date.now(),
+            frameBlob,
+            faceBlob
+        });
+        if (sessionRecorder) sessionRecorder.hostAction('evidence-captured', { snapshotId: id, peerId: participant.peerId, participant: participant.label, face: face.face });
+        refreshEvidenceGallery();
+    } catch (error) {
+        console.error("Evidence capture failed:", error);
+    }
+}
+
+async function refreshEvidenceGallery() {
+    if (!evidenceGallery) return;
+    try {
+        const snapshots = await listSnapshots();
+        renderEvidenceGallery(evidenceGallery, snapshots, {
+            onDelete: async (snapshot) => {
+                if (!confirm(`Delete the snapshot of ${snapshot.participant} (Face #${snapshot.face})?`)) return;
+                await deleteSnapshot(snapshot.id);
+                refreshEvidenceGallery();
+            },
+            onDownload: async (snapshot) => {
+                downloadFile(`${snapshotBaseName(snapshot)}.zip`, await snapshotsToZip([snapshot]), 'application/zip');
+            }
+        });
+        if (downloadEvidenceButton) downloadEvidenceButton.disabled = snapshots.length === 0;
+    } catch (error) {
+        console.error("Could not load evidence snapshots:", error);
+        evidenceGallery.innerHTML = `<p class="evidence-empty">Snapshot storage is unavailable in this browser.</p>`;
+    }
+}
+
+async function downloadAllEvidence() {
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(`evidence-snapshots-${stamp}.zip`, await snapshotsToZip(snapshots), 'application/zip');
+}
+
+const STATE_BADGES = {
+    clean: { className: 'real', text: 'OK' },
+    suspicious: { className: 'warn', text: 'Suspicious' },
+    anomaly: { className: 'fake', text: 'Anomaly' }
+};
+
+function renderParticipantList() {
+    renderChallengeControls();
+    if (!participantList) return;
+    const participants = room.list();
+    if (participants.length === 0) {
+        participantList.innerHTML = `<li class="participant-empty">No participants yet.</li>`;
+        return;
     }
+
+    participantList.innerHTML = '';
+    participants.forEach((participant) => {
+        const cameraOff = room.getMedia(participant.peerId).video === false;
+        let badge = STATE_BADGES[participant.state] || { className: '', text: 'Scanning' };
+        if (participant.reconnecting) badge = { className: 'warn', text: 'Reconnecting' };
+        else if (!room.hasConsent(participant.peerId)) badge = { className: '', text: 'No Consent' };
+        else if (cameraOff) badge = { className: '', text: 'Camera Off' };
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="participant-name"></span> <span class="state-badge ${badge.className}">${badge.text}</span> <button class="kick-button" title="Force disconnect">✖</button>`;
+        item.querySelector('.participant-name').textContent = participantDisplayName(participant);
+        item.querySelector('.kick-button').addEventListener('click', () => {
+            if (confirm(`Force disconnect ${participant.label}? They will not be able to rejoin this session.`)) {
+                forceDisconnect(participant.peerId);
+            }
+        });
+        item.title = participant.peerId;
+        participantList.appendChild(item);
+    });
+}
+
+// Overall status reflects the most severe participant, naming whoever is flagged
+function renderRoomState() {
+    const state = room.worstState();
+    const flagged = room.list().filter((participant) => participant.state === state).map((participant) => participant.label);
+    if (room.size === 0) {
+        renderDetectionState(null);
+        if (statusElement) statusElement.innerHTML = `Waiting for participants...`;
+        return;
+    }
+    if (!state && room.list().every((participant) => !room.hasConsent(participant.peerId))) {
+        renderDetectionState(null);
+        if (statusElement) statusElement.innerHTML = `🔒 Waiting for participant consent before analysis.`;
+        return;
+    }
+    if (!state && room.list().every((participant) => room.getMedia(participant.peerId).video === false)) {
+        renderDetectionState(null);
+        if (statusElement) statusElement.innerHTML = `⏸️ Analysis paused: participant camera is off.`;
+        return;
+    }
+    renderDetectionState(state, state ? flagged : []);
+}
+
+// `faceState` is the worst face track on the video; the verdict also includes the voice channel
+function updateParticipantState(peerId, faceState) {
+    const participant = room.get(peerId);
+    if (!participant) return;
+    participant.faceState = faceState;
+    applyParticipantVerdict(participant);
+}
+
+function applyParticipantVerdict(participant) {
+    const state = mostSevereState(participant.faceState, participant.voice ? participant.voice.state : null);
+    const changed = state !== participant.state;
+    room.setState(participant.peerId, state);
+    if (changed) shareIntegrityStatus(participant);
+
+    if (participant.tile) {
+        participant.tile.classList.toggle('state-suspicious', state === TRACK_STATES.SUSPICIOUS);
+        participant.tile.classList.toggle('state-anomaly', state === TRACK_STATES.ANOMALY);
+    }
+    renderParticipantList();
+    renderRoomState();
+}
+
+function updateParticipantDetails(peerId, details) {
+    const participant = room.get(peerId);
+    if (!participant) return;
+    participant.details = details;
+    renderAnomalyDetails();
+}
+
+function renderAnomalyDetails() {
+    const anomalyDetails = document.getElementById('anomaly-details');
+    if (!anomalyDetails) return;
+    const sections = room.list()
+        .map((participant) => ({
+            participant,
+            lines: [...(participant.details || []), ...(participant.voiceDetails || []), ...(participant.challengeDetails || [])]
+        }))
+        .filter(({ lines }) => lines.length > 0)
+        .map(({ participant, lines }) => `<strong>${participant.label}</strong><br>${lines.join('<br>')}`);
+    anomalyDetails.innerHTML = sections.length > 0 ? sections.join('<hr>') : 'Awaiting face detection.';
 }
 
 // 3. Participant Page Logic
+// Lobby: camera preview with a live self-check before the participant agrees to analysis and joins
+async function startLobby() {
+    const streamReady = await setupWebcam();
+    if (!streamReady || !lobbyPreview) return;
+    lobbyPreview.srcObject = localStream;
+
+    lobbyFaceCheck = createFaceCheck(lobbyPreview, {
+        modelUrl: (await loadAssetConfig()).models.blazeface,
+        onResult: ({ predictions, guidance }) => {
+            if (lobbyCanvas) {
+                if (lobbyCanvas.width !== lobbyPreview.videoWidth) lobbyCanvas.width = lobbyPreview.videoWidth;
+                if (lobbyCanvas.height !== lobbyPreview.videoHeight) lobbyCanvas.height = lobbyPreview.videoHeight;
+                drawFaceCheck(lobbyCanvas.getContext('2d'), predictions);
+            }
+            renderGuidance(lobbyGuidance, guidance);
+        }
+    });
+    try {
+        renderGuidance(lobbyGuidance, [{ level: 'warn', text: 'Loading face check...' }]);
+        await loadLibraries(['tfjs', 'blazeface']);
+        await lobbyFaceCheck.start();
+    } catch (error) {
+        console.error("Lobby face check unavailable:", error);
+        renderGuidance(lobbyGuidance, [{ level: 'warn', text: 'Self-check unavailable in this browser. You can still join.' }]);
+    }
+}
+
 function joinMeeting() {
-    const meetingId = meetingIdInput.value.trim();
-    if (!meetingId) {
-        alert("Please enter a Meeting ID.");
+    const meetingId = normalizeMeetingId(meetingIdInput.value);
+    const validationError = validateMeetingId(meetingId);
+    if (validationError) {
+        alert(validationError);
+        return;
+    }
+    if (consentCheckbox && !consentCheckbox.checked) {
+        alert("Please read the video analysis notice and agree to it before joining.");
         return;
     }
+    inviteToken = inviteFromUrl();
+    if (inviteToken) {
+        const inviteError = inviteTokenError(inviteToken);
+        if (inviteError) {
+            alert(inviteError);
+            return;
+        }
+    }
+    meetingIdInput.value = meetingId;
+    consentRecord = createConsentRecord(meetingId);
+    if (lobbyFaceCheck) lobbyFaceCheck.stop();
 
-    // Connect to camera first
-    setupWebcam().then((streamReady) => {
+    // Connect to camera first (usually already open from the lobby)
+    Promise.all([localStream ? true : setupWebcam(), loadPeerConfig(), loadLibraries(['peerjs'])]).then(([streamReady, config]) => {
         if (!streamReady) return;
+        peerConfig = config;
 
         if (currentMeetingIdDisplay) currentMeetingIdDisplay.textContent = meetingId;
         if (joinScreen) joinScreen.style.display = 'none';
@@ -147,97 +1356,702 @@ function joinMeeting() {
         // Create Peer without ID (PeerJS will assign one)
         peer = new Peer(peerConfig);
 
-        peer.on('open', (id) => {
+        // Only the first 'open'; the peer fires it again after a signaling reconnect
+        peer.once('open', (id) => {
             if (statusElement) statusElement.innerHTML = `<span class='real'>✅ My Peer ID: ${id}</span>. Calling host...`;
             console.log('My peer ID is: ' + id);
 
-            // Call the host, sending our local stream
-            const call = peer.call(meetingId, localStream);
-            remoteConnection = call;
-
-            call.on('stream', (remoteStream) => {
-                console.log("Received remote host stream.");
-                if (hostVideoElement) {
-                    // In meeting.html, the main video is 'webcam'
-                    hostVideoElement.srcObject = remoteStream; 
-                    hostVideoElement.play();
+            // Open the control channel first so a kick can always reach us; it redials on its own if it drops
+            hostChannel = createMessageChannel({
+                connect: () => peer.connect(meetingId, { reliable: true }),
+                onOpen: () => {
+                    if (inviteToken) hostChannel.send(MESSAGE_TYPES.INVITE, { token: inviteToken });
+                    hostChannel.send(MESSAGE_TYPES.CONSENT, consentRecord);
+                    hostChannel.send(MESSAGE_TYPES.MEDIA_STATE, mediaControls.state());
+                },
+                onMessage: handleHostMessage,
+                onStatusChange: renderHostChannelStatus,
+                onVersionMismatch: (version) => {
+                    alert(`The host is running a different version of this app (protocol v${version}, yours is v${PROTOCOL_VERSION}). Please reload the page.`);
                 }
-                if (statusElement) statusElement.innerHTML = `<span class='real'>🟢 Connected to Host.</span>`;
             });
 
-            call.on('close', endSession);
+            // A dropped call is redialed to the same meeting ID; the session only ends once that keeps failing
+            connectionManager = createConnectionManager({
+                peer,
+                redial: () => callHost(meetingId),
+                onStatusChange: renderConnectionStatus,
+                onSignalingRestored: () => {
+                    if (!hostChannel.open) hostChannel.reconnect();
+                },
+                onCallRestored: () => {
+                    if (!hostChannel.open) hostChannel.reconnect();
+                },
+                onGiveUp: () => {
+                    alert("Lost the connection to the host and could not reconnect.");
+                    endSession();
+                }
+            });
+            connectionManager.watchCall(callHost(meetingId));
         });
 
         peer.on('error', (err) => {
+            if (removedByHost) return;
+            if (connectionManager && connectionManager.handlePeerError(err)) {
+                console.warn("PeerJS connection problem, recovering:", err.type);
+                return;
+            }
             console.error("PeerJS Error:", err);
-            alert(`Connection failed: ${err.type}. Check the ID and try again.`);
+            if (err.type === 'peer-unavailable') {
+                alert(`Meeting ${meetingId} was not found, or the host has ended it.`);
+            } else {
+                alert(`Connection failed: ${err.type}. Check the ID and try again.`);
+            }
             endSession();
         });
+    }).catch((error) => {
+        console.error("Join error:", error);
+        alert(`Could not join: ${error.message}. Please reload the page and try again.`);
+    });
+}
+
+// Call the host, sending our local stream (also used to redial after a drop)
+function callHost(meetingId) {
+    const call = peer.call(meetingId, localStream);
+    remoteConnection = call;
+
+    call.on('stream', (remoteStream) => {
+        if (call !== remoteConnection) return;
+        console.log("Received remote host stream.");
+        if (hostVideoElement) {
+            // In meeting.html, the main video is 'webcam'
+            hostVideoElement.srcObject = remoteStream; 
+            hostVideoElement.play();
+        }
+        const stillWaiting = admissionBanner && admissionBanner.style.display === 'block';
+        if (statusElement && !stillWaiting) statusElement.innerHTML = `<span class='real'>🟢 Connected to Host.</span>`;
     });
+    return call;
+}
+
+// Control messages from the host (see protocol.js)
+// `message` is already parsed and de-duplicated by the channel (see message-channel.js)
+function handleHostMessage(message) {
+    if (message.type === MESSAGE_TYPES.HELLO) {
+        console.log("Host:", message.payload.text);
+    } else if (message.type === MESSAGE_TYPES.KICK) {
+        showRemovedScreen(message.payload.reason);
+    } else if (message.type === MESSAGE_TYPES.MEDIA_STATE) {
+        renderMediaBadges(hostMediaBadges, message.payload);
+    } else if (message.type === MESSAGE_TYPES.CHALLENGE) {
+        showChallenge(message.payload);
+    } else if (message.type === MESSAGE_TYPES.CHALLENGE_RESULT) {
+        showChallengeResult(message.payload);
+    } else if (message.type === MESSAGE_TYPES.CHAT) {
+        if (chatPanel) chatPanel.addMessage({ from: message.payload.from || 'Host', text: normalizeChatText(message.payload.text), sentAt: message.sentAt });
+    } else if (message.type === MESSAGE_TYPES.PRESENCE) {
+        renderPresence(message.payload.participants || []);
+    } else if (message.type === MESSAGE_TYPES.ANALYSIS_NOTICE) {
+        showAnalysisNotice(message.payload);
+    } else if (message.type === MESSAGE_TYPES.ADMISSION) {
+        showAdmission(message.payload);
+    } else if (message.type === MESSAGE_TYPES.SCAN_REQUEST) {
+        sendScanFrames(message.payload);
+    } else if (message.type === MESSAGE_TYPES.END) {
+        hostEndedMeeting();
+    } else if (message.type === MESSAGE_TYPES.INVITE_RESULT) {
+        if (message.payload.accepted) {
+            if (inviteAcceptedAs) return; // The host confirms again after every reconnect
+            inviteAcceptedAs = message.payload.name;
+            if (chatPanel) chatPanel.addNotice(`🎟️ Invite accepted. The host sees you as ${message.payload.name}.`, 'real');
+        } else {
+            showRemovedScreen(message.payload.reason, '🎟️ Invite Not Accepted');
+        }
+    }
+}
+
+// The channel acknowledged END before handing it to us; the host is tearing the call down, so don't redial
+function hostEndedMeeting() {
+    if (connectionManager) connectionManager.hangUp();
+    farewellSent = true; // The host is gone; no LEAVE to wait for
+    alert("The host ended the meeting.");
+    endSession();
+}
+
+function showAdmission({ status, reason }) {
+    const waiting = status === 'waiting';
+    if (waiting) startWaitingPreviews();
+    else stopWaitingPreviews();
+    if (status === 'denied') {
+        showRemovedScreen(reason, '⛔ Not Admitted');
+        return;
+    }
+    if (admissionBanner) admissionBanner.style.display = waiting ? 'block' : 'none';
+    if (statusElement) statusElement.innerHTML = waiting ? "⏳ In the waiting room..." : `<span class='real'>🟢 Connected to Host.</span>`;
+    if (!waiting && chatPanel) chatPanel.addNotice('The host let you in.', 'real');
+}
+
+// While we wait, the host hasn't answered our call, so it sees us only through still frames from our camera:
+// a small preview every WAITING_PREVIEW_MS, and the frames of a pre-admission scan when it asks for one
+// (we agreed to video analysis before joining). See the host's side in handleWaitingPreview / handleScanFrame.
+const WAITING_PREVIEW_MS = 2000;
+const WAITING_PREVIEW_WIDTH = 160;
+const SCAN_FRAME_WIDTH = 480;
+const MAX_SCAN_FPS = 10;
+const FRAME_JPEG_QUALITY = 0.7;
+let waitingPreviewTimer = null;
+let scanFrameTimer = null;
+
+// A JPEG data URL of the current local camera frame, `width` pixels wide, or null before the camera is ready
+function captureLocalFrame(width) {
+    const video = localPreviewElement;
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.round((width * video.videoHeight) / video.videoWidth);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', FRAME_JPEG_QUALITY);
+}
+
+function sendWaitingPreview() {
+    const image = captureLocalFrame(WAITING_PREVIEW_WIDTH);
+    if (image && hostChannel) hostChannel.send(MESSAGE_TYPES.PREVIEW, { image });
+}
+
+function startWaitingPreviews() {
+    if (waitingPreviewTimer) return; // The host repeats 'waiting' after every reconnect
+    sendWaitingPreview();
+    waitingPreviewTimer = setInterval(sendWaitingPreview, WAITING_PREVIEW_MS);
+}
+
+function stopWaitingPreviews() {
+    clearInterval(waitingPreviewTimer);
+    waitingPreviewTimer = null;
+    clearTimeout(scanFrameTimer);
+    scanFrameTimer = null;
+}
+
+// Frames carry their capture time, so the host's tracker sees the real spacing even if delivery is uneven
+function sendScanFrames({ id, durationMs, fps }) {
+    if (!waitingPreviewTimer || !consentRecord) return; // Only while waiting, and only with consent
+    clearTimeout(scanFrameTimer);
+    const intervalMs = 1000 / Math.min(MAX_SCAN_FPS, Math.max(1, Number(fps) || 1));
+    const lengthMs = Number(durationMs) || 0;
+    const startedAt = performance.now();
+
+    const sendFrame = () => {
+        const t = Math.round(performance.now() - startedAt);
+        const last = t >= lengthMs;
+        if (hostChannel) hostChannel.send(MESSAGE_TYPES.SCAN_FRAME, { scanId: id, t, image: captureLocalFrame(SCAN_FRAME_WIDTH), last });
+        scanFrameTimer = last ? null : setTimeout(sendFrame, intervalMs);
+    };
+    sendFrame();
+}
+
+// Join screen: say up front whether the invite link is usable
+function renderInviteInfo() {
+    const token = inviteFromUrl();
+    if (!inviteInfo || !token) return;
+    const error = inviteTokenError(token);
+    const parsed = parseInviteToken(token);
+    inviteInfo.className = `invite-info ${error ? 'fake' : 'real'}`;
+    inviteInfo.textContent = error || `🎟️ Joining with an invite, valid until ${formatInviteTime(parsed.expiresAt)}. It works once.`;
+    inviteInfo.style.display = 'block';
+}
+
+function renderPresence(participants) {
+    if (!chatPanel) return;
+    const names = participants.map(({ peerId, label }) => (peer && peerId === peer.id ? `${label} (you)` : label));
+    chatPanel.setPresence(`In call: Host${names.length > 0 ? `, ${names.join(', ')}` : ''}`);
+}
+
+function showAnalysisNotice({ kind, state, text }) {
+    if (chatPanel) chatPanel.addNotice(`🛡️ ${text}`, kind === 'integrity' && STATE_BADGES[state] ? STATE_BADGES[state].className : '');
+    if (kind === 'integrity' && integrityStatusElement) {
+        const badge = STATE_BADGES[state] || { className: '', text: 'No face' };
+        integrityStatusElement.className = `state-badge ${badge.className}`;
+        integrityStatusElement.textContent = `Integrity: ${badge.text}`;
+        integrityStatusElement.style.display = 'inline-block';
+    }
+}
+
+let hostChannelWasOpen = false;
+
+function renderHostChannelStatus(status) {
+    if (!chatPanel) return;
+    if (status === CHANNEL_STATUS.OPEN) {
+        if (hostChannelWasOpen) chatPanel.addNotice('Reconnected to the host.', 'real');
+        hostChannelWasOpen = true;
+    } else if (status === CHANNEL_STATUS.RECONNECTING) {
+        chatPanel.addNotice('Connection to the host lost. Reconnecting...', 'warn');
+    } else if (status === CHANNEL_STATUS.CLOSED && !removedByHost) {
+        chatPanel.addNotice('Chat disconnected from the host.', 'fake');
+    }
+}
+
+// Liveness challenge from the host: show the instruction with a countdown until the result arrives
+const CHALLENGE_RESULT_DISPLAY_MS = 4000;
+let activeChallenge = null; // { id, timer }
+
+function showChallenge({ id, instruction, timeoutMs }) {
+    if (!challengeBanner) return;
+    if (activeChallenge) clearInterval(activeChallenge.timer);
+    const deadline = Date.now() + timeoutMs;
+    const render = () => {
+        const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        challengeBanner.textContent = `🎯 Host check: ${instruction} (${remaining}s)`;
+    };
+    activeChallenge = { id, timer: setInterval(render, 250) };
+    render();
+    challengeBanner.className = 'challenge-banner';
+    challengeBanner.style.display = 'block';
+}
+
+function showChallengeResult({ id, passed }) {
+    if (!challengeBanner || !activeChallenge || activeChallenge.id !== id) return;
+    clearInterval(activeChallenge.timer);
+    activeChallenge = null;
+    challengeBanner.className = `challenge-banner ${passed ? 'real' : 'fake'}`;
+    challengeBanner.textContent = passed ? '✅ Check complete. Thank you!' : '❌ The host could not verify that check.';
+    setTimeout(() => {
+        if (!activeChallenge) challengeBanner.style.display = 'none';
+    }, CHALLENGE_RESULT_DISPLAY_MS);
+}
+
+// Tear the call down without redirecting, and tell the participant why they were dropped
+function showRemovedScreen(reason, title = null) {
+    removedByHost = true;
+    console.log("Removed by host:", reason);
+
+    // The channel acknowledged the kick before handing it to us, so it can close straight away
+    if (connectionManager) connectionManager.hangUp();
+    if (hostChannel) hostChannel.close();
+
+    if (remoteConnection) remoteConnection.close();
+    if (localStream) localStream.getTracks().forEach(track => track.stop());
+    if (peer) peer.destroy();
+
+    if (meetingRoom) meetingRoom.style.display = 'none';
+    if (joinScreen) joinScreen.style.display = 'none';
+    if (removedScreen) removedScreen.style.display = 'block';
+    if (removedReason && reason) removedReason.textContent = reason;
+    if (removedTitle && title) removedTitle.textContent = title;
+}
+
+// --- Mic / Camera Controls (both pages) ---
+function setupMediaControls() {
+    mediaControls = createMediaControls({
+        getStream: () => localStream,
+        getPeerConnections: activePeerConnections,
+        onChange: (media) => {
+            renderMediaButtons(media);
+            broadcastMediaState(media);
+            if (sessionRecorder) sessionRecorder.hostAction('media-toggle', media);
+        }
+    });
+    renderMediaButtons(mediaControls.state());
+    refreshDeviceSelects();
+}
+
+// Every RTCPeerConnection currently carrying localStream
+function activePeerConnections() {
+    const calls = room ? room.list().map((participant) => participant.call) : [remoteConnection];
+    return calls.filter((call) => call && call.peerConnection).map((call) => call.peerConnection);
+}
+
+function broadcastMediaState(media) {
+    const channels = room ? room.listChannels() : [hostChannel];
+    channels.forEach((channel) => {
+        if (channel) channel.send(MESSAGE_TYPES.MEDIA_STATE, media);
+    });
+}
+
+function renderMediaButtons(media) {
+    if (muteButton) {
+        muteButton.innerHTML = media.audio ? '🔇 Mute' : '🎤 Unmute';
+        muteButton.classList.toggle('off', !media.audio);
+    }
+    if (videoButton) {
+        videoButton.innerHTML = media.video ? '📷 Video Off' : '📹 Video On';
+        videoButton.classList.toggle('off', !media.video);
+    }
+}
+
+function refreshDeviceSelects() {
+    // enumerateDevices can reject (e.g. permissions revoked); keep the current options rather than fail silently
+    const warn = (error) => console.warn('Could not list media devices:', error);
+    mediaControls.populateDeviceSelect(cameraSelect, 'video').catch(warn);
+    mediaControls.populateDeviceSelect(micSelect, 'audio').catch(warn);
+}
+
+async function switchDevice(kind, deviceId) {
+    try {
+        await mediaControls.switchDevice(kind, deviceId);
+        if (sessionRecorder) sessionRecorder.hostAction('device-switch', { kind, deviceId });
+        // Re-attach so every preview picks up the new track
+        if (hostVideoElement && hostVideoElement.srcObject === localStream) hostVideoElement.srcObject = localStream;
+        if (localPreviewElement) localPreviewElement.srcObject = localStream;
+    } catch (error) {
+        console.error(`Could not switch ${kind} device:`, error);
+        alert(`Could not switch ${kind === 'audio' ? 'microphone' : 'camera'}: ${error.message}`);
+        refreshDeviceSelects();
+    }
+}
+
+// --- Connection Status (both pages) ---
+let reportedConnectionStatus = CONNECTION_STATUS.CONNECTED;
+
+function renderConnectionStatus(status, { cause, attempt, maxAttempts }) {
+    if (status !== reportedConnectionStatus) {
+        reportedConnectionStatus = status;
+        console.log(`Connection: ${status}${cause ? ` (${cause})` : ''}`);
+        if (sessionRecorder) sessionRecorder.connectionChanged(null, 'Host', status, { cause });
+    }
+    if (!connectionBanner) return;
+    if (status === CONNECTION_STATUS.RECONNECTING) {
+        const what = cause === 'signaling' ? 'the signaling server' : 'the host';
+        connectionBanner.textContent = `🔄 Connection to ${what} lost. Reconnecting... (attempt ${attempt} of ${maxAttempts})`;
+        connectionBanner.style.display = 'block';
+    } else {
+        connectionBanner.style.display = 'none';
+    }
 }
 
 // 4. Session Control and Cleanup
+const FAREWELL_ACK_TIMEOUT_MS = 2000; // Hanging up waits at most this long for LEAVE / END to be acknowledged
+let farewellSent = false; // LEAVE (participant) or END (host) sent, or not needed; teardown waits for the acks
+let sessionEnded = false;
+
+// The last messages before hanging up: a participant tells the host it left for good (so the seat is freed
+// instead of held for a reconnect), the host tells every participant the meeting is over (so they don't
+// redial). Returns the delivery promises of the messages sent.
+function sendFarewell() {
+    if (hostChannel) return hostChannel.open ? [hostChannel.send(MESSAGE_TYPES.LEAVE)] : [];
+    if (room) return room.listChannels().filter((channel) => channel.open).map((channel) => channel.send(MESSAGE_TYPES.END));
+    return [];
+}
+
+// Only an explicit hang-up, the host ending the meeting or exhausted reconnects get here
 function endSession() {
+    if (sessionEnded) return;
+    // Keep the channels (and the peer under them) up until the farewell is acknowledged
+    if (!farewellSent) {
+        farewellSent = true;
+        const delivered = sendFarewell();
+        if (delivered.length > 0) {
+            if (connectionManager) connectionManager.hangUp();
+            if (statusElement) statusElement.innerHTML = room ? "⏳ Ending the meeting..." : "⏳ Leaving the meeting...";
+            const timeout = new Promise((resolve) => setTimeout(resolve, FAREWELL_ACK_TIMEOUT_MS));
+            Promise.race([Promise.all(delivered), timeout]).then(endSession);
+            return;
+        }
+    }
+    sessionEnded = true;
     console.log("Ending session...");
+    clearInterval(inviteRefreshTimer);
+    stopWaitingPreviews();
+    if (connectionManager) connectionManager.hangUp();
     if (remoteConnection) {
         remoteConnection.close();
     }
+    if (hostChannel) {
+        hostChannel.close();
+    }
+    if (room) {
+        room.listWaiting().forEach((entry) => dismissCaller(entry.peerId));
+        const calls = room.list().map((participant) => participant.call);
+        // Log everyone leaving before the report is sealed
+        room.list().forEach((participant) => removeParticipant(participant.peerId));
+        calls.forEach((call) => call && call.close());
+        room.listChannels().forEach((channel) => channel.close());
+    }
     if (localStream) {
         localStream.getTracks().forEach(track => track.stop());
     }
     if (peer) {
         peer.destroy();
     }
+
+    // The host keeps the page so the session report can be downloaded
+    if (sessionRecorder) {
+        sessionRecorder.hostAction('end-session');
+        sessionRecorder.finish();
+        showSessionReport(sessionRecorder.buildReport());
+        return;
+    }
     window.location.href = 'index.html'; // Redirect to home page
 }
 
+// --- Detection Settings (Host Only) ---
+// The settings panel edits `detectionSettings` (see settings.js). Applying a set saves it for the next
+// session, pushes it to the detector and records it in the session report.
+
+function renderDetectionSettings() {
+    const fields = detectionSettingsForm.elements;
+    Object.keys(DETECTION_SETTING_LIMITS).forEach((key) => {
+        fields[key].value = detectionSettings[key];
+    });
+    fields.anomalyAction.value = detectionSettings.anomalyAction;
+}
+
+function showDetectionSettingsStatus(text, level) {
+    detectionSettingsStatus.className = `settings-status ${level}`;
+    detectionSettingsStatus.textContent = text;
+}
+
+// `source`: 'panel' or 'import'; `errors` are the fields normalizeDetectionSettings() had to correct
+function applyDetectionSettings(settings, source, errors, doneText) {
+    detectionSettings = settings;
+    const saved = saveDetectionSettings(settings);
+    if (detectionClient) detectionClient.configure(settings);
+    if (room) room.list().forEach(({ voice }) => voice && voice.machine.configure(policyTrackerOptions().stateMachine));
+    if (sessionRecorder) sessionRecorder.detectionSettingsApplied(settings, source);
+    renderDetectionSettings();
+    if (room) renderRoomState(); // The removal alert depends on the anomaly action
+
+    if (errors.length > 0) showDetectionSettingsStatus(`⚠️ ${errors.join(' ')}`, 'warn');
+    else if (!saved) showDetectionSettingsStatus("⚠️ Applied, but this browser would not keep them for the next session.", 'warn');
+    else showDetectionSettingsStatus(doneText, 'real');
+}
+
+function saveDetectionSettingsForm() {
+    const fields = detectionSettingsForm.elements;
+    const raw = { anomalyAction: fields.anomalyAction.value };
+    Object.keys(DETECTION_SETTING_LIMITS).forEach((key) => {
+        raw[key] = fields[key].value;
+    });
+    const { settings, errors } = normalizeDetectionSettings(raw);
+    applyDetectionSettings(settings, 'panel', errors, '✅ Settings saved.');
+}
+
+async function importDetectionSettings(file) {
+    try {
+        const { settings, errors } = parseDetectionSettingsJson(await file.text());
+        applyDetectionSettings(settings, 'import', errors, `✅ Imported ${file.name}.`);
+    } catch (error) {
+        showDetectionSettingsStatus(`❌ ${error.message}`, 'fake');
+    }
+}
+
+// --- Session Report (Host Only) ---
+function showSessionReport(report) {
+    if (!reportScreen) return;
+    document.querySelectorAll('.host-layout > header, .meeting-content, .local-preview, .call-controls-bar')
+        .forEach((element) => { element.style.display = 'none'; });
+
+    const summary = document.getElementById('report-summary');
+    if (summary) {
+        const lastIntegrity = report.integrityTimeline.length > 0 ? report.integrityTimeline[report.integrityTimeline.length - 1].score : null;
+        summary.innerHTML = `
+            <p>Meeting <strong>${escapeHtml(report.meetingId)}</strong> lasted ${formatDuration(report.durationMs)}
+            with ${report.participants.length} participant(s).</p>
+            <p class="${report.flaggedIntervals.length > 0 ? 'fake' : 'real'}" style="padding: 8px; border-radius: 4px;">
+                ${report.flaggedIntervals.length} flagged interval(s)${lastIntegrity === null ? '' : ` | Final integrity ${lastIntegrity.toFixed(0)}/100`}
+            </p>
+        `;
+    }
+
+    reportScreen.querySelectorAll('[data-report-format]').forEach((button) => {
+        button.addEventListener('click', () => {
+            const format = button.dataset.reportFormat;
+            if (format === 'print') openPrintableReport(report);
+            else downloadReport(report, format);
+        });
+    });
+    reportScreen.style.display = 'block';
+}
+
 // --- Event Listeners ---
 if (joinButton) {
     joinButton.addEventListener('click', joinMeeting);
 }
+if (consentCheckbox) {
+    consentCheckbox.addEventListener('change', () => {
+        joinButton.disabled = !consentCheckbox.checked;
+    });
+}
 if (cutButton) {
     cutButton.addEventListener('click', endSession);
 }
+if (forceDisconnectButton) {
+    forceDisconnectButton.addEventListener('click', forceDisconnectFlagged);
+}
+if (challengeTypeSelect) {
+    Object.entries(LIVENESS_CHALLENGES).forEach(([type, { label }]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        challengeTypeSelect.appendChild(option);
+    });
+}
+if (issueChallengeButton) {
+    issueChallengeButton.addEventListener('click', () => {
+        if (challengeParticipantSelect.value) issueChallenge(challengeParticipantSelect.value, challengeTypeSelect.value);
+    });
+}
+if (downloadEvidenceButton) {
+    downloadEvidenceButton.addEventListener('click', downloadAllEvidence);
+}
+if (muteButton) {
+    muteButton.addEventListener('click', () => mediaControls && mediaControls.toggleAudio());
+}
+if (videoButton) {
+    videoButton.addEventListener('click', () => mediaControls && mediaControls.toggleVideo());
+}
+if (cameraSelect) {
+    cameraSelect.addEventListener('change', () => switchDevice('video', cameraSelect.value));
+}
+if (micSelect) {
+    micSelect.addEventListener('change', () => switchDevice('audio', micSelect.value));
+}
+if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener('devicechange', () => mediaControls && refreshDeviceSelects());
+}
+
+// Chat panel (both pages); the host broadcasts, a participant sends to the host who relays it
+const chatLog = document.getElementById('chat-log');
+if (chatLog) {
+    chatPanel = createChatPanel({
+        log: chatLog,
+        form: document.getElementById('chat-form'),
+        input: document.getElementById('chatInput'),
+        presence: document.getElementById('chat-presence')
+    }, {
+        onSend: (text) => (room ? sendHostChat(text) : (hostChannel ? hostChannel.send(MESSAGE_TYPES.CHAT, { text }) : Promise.resolve(false)))
+    });
+}
+if (inviteForm) {
+    inviteForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        createInvite();
+    });
+    INVITE_EXPIRY_MINUTES.forEach((minutes) => {
+        const option = document.createElement('option');
+        option.value = minutes;
+        option.textContent = minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+        option.selected = minutes === DEFAULT_INVITE_EXPIRY_MINUTES;
+        inviteExpirySelect.appendChild(option);
+    });
+    inviteRefreshTimer = setInterval(renderInviteList, INVITE_REFRESH_MS); // Active invites turn into expired ones
+}
+if (detectionSettingsForm) {
+    detectionSettings = loadDetectionSettings();
+    const fields = detectionSettingsForm.elements;
+    Object.entries(DETECTION_SETTING_LIMITS).forEach(([key, { min, max, step }]) => {
+        Object.assign(fields[key], { min, max, step });
+    });
+    Object.values(ANOMALY_ACTIONS).forEach((action) => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = ANOMALY_ACTION_LABELS[action];
+        fields.anomalyAction.appendChild(option);
+    });
+    renderDetectionSettings();
+
+    detectionSettingsForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveDetectionSettingsForm();
+    });
+    resetSettingsButton.addEventListener('click', () => {
+        applyDetectionSettings({ ...DEFAULT_DETECTION_SETTINGS }, 'panel', [], '✅ Defaults restored.');
+    });
+    exportSettingsButton.addEventListener('click', () => {
+        downloadFile('detection-settings.json', detectionSettingsToJson(detectionSettings), 'application/json');
+    });
+    importSettingsInput.addEventListener('change', () => {
+        const [file] = importSettingsInput.files;
+        importSettingsInput.value = ''; // Picking the same file again still fires 'change'
+        if (file) importDetectionSettings(file);
+    });
+}
+if (shareStatusCheckbox) {
+    shareStatusCheckbox.addEventListener('change', () => {
+        if (room) room.list().forEach(shareIntegrityStatus);
+        if (sessionRecorder) sessionRecorder.hostAction('share-integrity-status', { enabled: shareStatusCheckbox.checked });
+    });
+}
 
 // Initialize based on page
 document.addEventListener('DOMContentLoaded', () => {
     if (document.title.includes('Host Session')) {
         startHostSession();
     } else if (document.title.includes('Join Meeting')) {
-        // Meeting page starts on the join screen, waits for input
+        // Meeting page starts on the join screen, waits for input (pre-filled from an invite link)
         if (meetingRoom) meetingRoom.style.display = 'none';
         if (joinScreen) joinScreen.style.display = 'flex';
+        const invitedId = meetingIdFromUrl();
+        if (invitedId && meetingIdInput) meetingIdInput.value = invitedId;
+        renderInviteInfo();
+        startLobby();
     }
 });
 
-// --- Tensorflow/Deepfake Detection Logic (Simplified Stubs) ---
-// NOTE: This is complex logic and is simplified here. 
-// You'll need to fill in the actual model loading and detection loop.
+// --- Tensorflow/Deepfake Detection Logic ---
+// The per-frame pipeline (BlazeFace -> tracks -> classifier -> state machines) lives in detector.js and
+// runs in a Web Worker via detection-client.js; this is the live loop around it.
+
+const CAMERA_OFF_POLL_MS = 500; // How often a paused detection loop checks whether the camera is back
+const DETECTION_RETRY_MS = 1000; // Back-off after a frame fails to analyze
 
-let detectionModel, classificationModel;
+let detectionReady = false;
 
 async function loadModels() {
+    if (!detectionClient) {
+        detectionClient = createDetectionClient();
+        if (detectionSettings) detectionClient.configure(detectionSettings);
+    }
     try {
         statusElement.innerHTML = "⏳ Loading AI Models...";
-        // Load the face detection model (BlazeFace)
-        detectionModel = await blazeface.load(); 
-        
-        // Load the classification model (e.g., MobileNet/Custom Model for Deepfake)
-        classificationModel = await mobilenet.load(); 
-        
-        statusElement.innerHTML = `<span class='real'>✨ AI Models Loaded.</span>`;
+        renderDetectionStats(detectionStatsElement, detectionClient.stats());
+        await detectionClient.ready;
+        detectionReady = true;
+        statusElement.innerHTML = `<span class='real'>✨ AI Models Loaded (${detectionClient.stats().backend}).</span>`;
+        renderDetectionStats(detectionStatsElement, detectionClient.stats());
     } catch (e) {
         console.error("Model loading failed:", e);
         statusElement.innerHTML = `<span class="fake">❌ AI Load Error. Deepfake detection disabled.</span>`;
     }
 }
 
-async function startDetection(videoElement, isLocal = false) {
-    if (!detectionModel || !classificationModel) {
+// Sidebar status for the most severe track state on the remote streams (null = no faces tracked)
+function renderDetectionState(state, flaggedLabels = []) {
+    const removalAlert = document.getElementById('removal-alert');
+    const warn = !detectionSettings || anomalyActionIncludes(detectionSettings.anomalyAction, ANOMALY_ACTIONS.WARN);
+    if (removalAlert) removalAlert.style.display = warn && state === TRACK_STATES.ANOMALY ? 'block' : 'none';
+    if (!statusElement) return;
+
+    if (state === TRACK_STATES.ANOMALY) {
+        statusElement.className = "status-message fake";
+        statusElement.innerHTML = `⚠️ **Deepfake Anomaly Confirmed!**${formatFlagged(flaggedLabels)}`;
+    } else if (state === TRACK_STATES.SUSPICIOUS) {
+        statusElement.className = "status-message warn";
+        statusElement.innerHTML = `🟡 **Suspicious Frames** - verifying...${formatFlagged(flaggedLabels)}`;
+    } else if (state === TRACK_STATES.CLEAN) {
+        statusElement.className = "status-message real";
+        statusElement.innerHTML = `🟢 **Integrity Check OK**`;
+    } else {
+        statusElement.className = "status-message";
+        statusElement.innerHTML = `Scanning... No faces detected.`;
+    }
+}
+
+function formatFlagged(labels) {
+    return labels.length > 0 ? ` (${labels.join(', ')})` : '';
+}
+
+// `view` lets each participant tile supply its own overlay canvas and status sinks:
+//   { canvas, label, onStateChange(state), onDetails(lines), onFrame(faces, integrityScore),
+//     onAnomalyConfirmed(face, frame), onFacesAnalyzed(faces), isCameraOff(), isReconnecting(), onPauseChange(paused) }
+// Without it the host's single #detection-canvas, #status and #anomaly-details are used.
+// While `isCameraOff()` or `isReconnecting()` is true the loop idles instead of reporting "no faces".
+// Each video keeps at most one frame in flight; the next one is sampled after a delay derived from the
+// measured inference latency, so slow (CPU-only) machines analyze fewer frames rather than stutter.
+async function startDetection(videoElement, isLocal = false, view = {}) {
+    if (!detectionReady) {
         await loadModels();
     }
 
-    if (!detectionModel || !classificationModel) return;
+    if (!detectionReady) return;
 
     if (isLocal) {
         console.log("Starting detection on local stream...");
@@ -245,84 +2059,123 @@ async function startDetection(videoElement, isLocal = false) {
         console.log("Starting detection on remote stream...");
     }
     
-    const canvas = document.getElementById('detection-canvas');
+    const canvas = view.canvas || document.getElementById('detection-canvas');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
+    const label = view.label || 'Remote';
+    const onStateChange = view.onStateChange || renderDetectionState;
+    const onDetails = view.onDetails || ((details) => {
+        const anomalyDetails = document.getElementById('anomaly-details');
+        if (anomalyDetails) anomalyDetails.innerHTML = details.length > 0 ? details.join('<br>') : 'Awaiting face detection.';
+    });
 
-    const videoWidth = videoElement.videoWidth;
-    const videoHeight = videoElement.videoHeight;
-    canvas.width = videoWidth;
-    canvas.height = videoHeight;
+    const sourceKey = videoElement.id;
+    let reportedState; // Left undefined so the first frame always renders a status
+    let paused = false;
+    let running = false;
 
     // Detection Loop
     const detect = async () => {
-        if (videoElement.paused || videoElement.ended) return;
-
-        // 1. Detect Faces
-        const predictions = await detectionModel.estimateFaces(videoElement, false);
-
-        ctx.clearRect(0, 0, videoWidth, videoHeight);
-
-        let anomalyDetected = false;
-
-        predictions.forEach(prediction => {
-            const start = prediction.topLeft;
-            const end = prediction.bottomRight;
-            const size = [end[0] - start[0], end[1] - start[1]];
-
-            // 2. Classify Face (Deepfake Check - SIMPLIFIED STUB)
-            // You would normally crop the face area and pass it to a specialized deepfake model.
-            // Here, we use a placeholder classification result.
-            let confidence = Math.random() > 0.8 ? 0.3 : (0.7 + Math.random() * 0.3); // 30% chance of low confidence (deepfake hint)
-            let classification = confidence > 0.7 ? "Real" : "Anomaly";
-            
-            if (classification === "Anomaly") {
-                anomalyDetected = true;
-                ctx.strokeStyle = "red";
-                ctx.fillStyle = "red";
-                ctx.lineWidth = 4;
-                if(document.getElementById('removal-alert')) document.getElementById('removal-alert').style.display = 'block';
-            } else {
-                ctx.strokeStyle = "lime";
-                ctx.fillStyle = "lime";
-                ctx.lineWidth = 2;
-                if(document.getElementById('removal-alert')) document.getElementById('removal-alert').style.display = 'none';
+        if (videoElement.paused || videoElement.ended || !videoElement.isConnected) {
+            running = false;
+            if (!videoElement.isConnected) detectionClient.reset(sourceKey);
+            return;
+        }
+        const timestamp = performance.now();
+
+        // Camera off or call dropped: nothing to analyze, so idle without touching the verdict
+        const reconnecting = Boolean(view.isReconnecting && view.isReconnecting());
+        if (reconnecting || (view.isCameraOff && view.isCameraOff())) {
+            if (!paused) {
+                paused = true;
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                if (!isLocal) {
+                    reportedState = null;
+                    onStateChange(null);
+                    onDetails([reconnecting ? '🔄 Reconnecting: analysis paused.' : '⏸️ Camera off: analysis paused.']);
+                }
+                if (view.onPauseChange) view.onPauseChange(true);
+            }
+            setTimeout(detect, CAMERA_OFF_POLL_MS);
+            return;
+        }
+        if (paused) {
+            paused = false;
+            if (view.onPauseChange) view.onPauseChange(false);
+        }
+
+        // Remote streams often report their real size only after the first frames
+        const videoWidth = videoElement.videoWidth;
+        const videoHeight = videoElement.videoHeight;
+        if (canvas.width !== videoWidth || canvas.height !== videoHeight) {
+            canvas.width = videoWidth;
+            canvas.height = videoHeight;
+        }
+
+        // 1. Detect, track, classify and smooth every face in the current frame (in the worker)
+        let result;
+        try {
+            // Evidence snapshots are drawn from the analyzed frame, not from the video as it is by now
+            result = await detectionClient.analyze(videoElement, sourceKey, timestamp, { keepFrame: Boolean(!isLocal && view.onAnomalyConfirmed) });
+        } catch (error) {
+            console.error(`Frame analysis failed (${sourceKey}):`, error);
+            setTimeout(detect, DETECTION_RETRY_MS);
+            return;
+        }
+        const { faces, worstState } = result;
+        drawFaceDetections(ctx, faces);
+        renderDetectionStats(detectionStatsElement, detectionClient.stats());
+
+        const chartFaces = [];
+        const frameFaces = [];
+        const confirmedFaces = [];
+        const details = [];
+
+        faces.forEach(({ track, box, confidence, state, previous, changed, smoothed }) => {
+            const style = TRACK_STATE_STYLES[state];
+            chartFaces.push({ key: `${label} Face #${track.id}`, confidence, isAnomaly: confidence <= detectionPolicy.threshold });
+            frameFaces.push({ face: track.id, confidence, state, previous, changed, smoothed });
+            if (changed && state === TRACK_STATES.ANOMALY) {
+                confirmedFaces.push({ face: track.id, box, confidence, smoothed });
             }
-            
-            // Draw bounding box
-            ctx.beginPath();
-            ctx.rect(start[0], start[1], size[0], size[1]);
-            ctx.stroke();
-
-            // Draw label
-            ctx.font = '18px Arial';
-            ctx.fillText(`${classification} (${(confidence * 100).toFixed(0)}%)`, start[0], start[1] > 10 ? start[1] - 5 : 10);
+            details.push(`Face #${track.id}: **${style.label}** (${(confidence * 100).toFixed(1)}% consistent, smoothed ${(smoothed * 100).toFixed(1)}%)`);
         });
 
-        // Update UI
-        if (statusElement && !isLocal) {
-            if (anomalyDetected) {
-                statusElement.className = "status-message fake";
-                statusElement.innerHTML = `⚠️ **Deepfake Anomaly Detected!** (${predictions.length} faces)`;
-                document.getElementById('anomaly-details').innerHTML = `**High Risk:** Deepfake signature matches found. Confidence: ${(confidence * 100).toFixed(1)}% Real`;
-            } else if (predictions.length > 0) {
-                statusElement.className = "status-message real";
-                statusElement.innerHTML = `🟢 **Integrity Check OK** (${predictions.length} faces)`;
-                document.getElementById('anomaly-details').innerHTML = `**Low Risk:** Normal behavior detected. Confidence: ${(confidence * 100).toFixed(1)}% Real`;
-            } else {
-                statusElement.className = "status-message";
-                statusElement.innerHTML = `Scanning... No faces detected.`;
-                document.getElementById('anomaly-details').innerHTML = `Awaiting face detection.`;
+        if (!isLocal) {
+            // Feed the live charts (remote analysis only; the local feed is just a visual check)
+            const integrityScore = sessionCharts ? sessionCharts.recordFrame(chartFaces) : null;
+            if (integrityScore !== null) details.push(`Session Integrity: ${integrityScore.toFixed(0)}/100`);
+            if (view.onFrame) view.onFrame(frameFaces, integrityScore);
+            if (view.onFacesAnalyzed) view.onFacesAnalyzed(faces);
+            // Snapshot after the overlay is drawn so the evidence shows what the host saw
+            if (view.onAnomalyConfirmed) confirmedFaces.forEach((face) => view.onAnomalyConfirmed(face, result.frame));
+
+            // 2. Only touch the alert and status when the overall state actually changes
+            const state = worstState;
+            if (state !== reportedState) {
+                reportedState = state;
+                onStateChange(state);
             }
+
+            onDetails(details);
         }
+        releaseFrame(result.frame);
 
-        // Loop the detection
-        requestAnimationFrame(detect);
+        // Loop the detection, paced by the measured latency
+        setTimeout(detect, detectionClient.nextSampleDelay());
     };
 
-    videoElement.addEventListener('loadeddata', detect);
+    // Never run two loops for the same video (loadeddata fires again when the source changes)
+    const startLoop = () => {
+        if (running) return;
+        running = true;
+        detect();
+    };
+
+    videoElement.addEventListener('loadeddata', startLoop);
+    videoElement.addEventListener('play', startLoop);
     // Fallback if loadeddata already fired
     if (videoElement.readyState >= 2) {
-        detect();
+        startLoop();
     }
 }
@@ -0,0 +1,267 @@
+// --- Voice Liveness Analysis ---
+// Audio counterpart to the face pipeline. A Web Audio AnalyserNode on each participant's remote stream
+// is sampled a few times per second and three features are judged over a rolling window:
+//   - spectral flatness of the speech band (vocoder / codec-resynthesized voices tend to be noise-like)
+//   - pitch stability (cloned voices are often unnaturally steady, or glitch between frames)
+//   - lip-movement vs voice-activity correlation, using the BlazeFace mouth and nose landmarks
+// The result is a 0-1 "real" voice score on the same scale as the face classifier, so it can drive its
+// own track state machine (tracker.js) and be merged into the participant's verdict.
+
+const VOICE_CHANNEL = 'voice';         // Used in place of a face ID in the session recorder
+const AUDIO_FFT_SIZE = 2048;
+const AUDIO_SAMPLE_MS = 100;           // How often the analyser is read
+const AUDIO_WINDOW_MS = 6000;          // Features are judged over the last few seconds
+const VOICE_RMS_THRESHOLD = 0.02;      // Frames louder than this count as voice activity
+const SPEECH_BAND_HZ = [80, 4000];
+const PITCH_RANGE_HZ = [70, 400];
+const PITCH_CLARITY_MIN = 0.5;         // Normalized autocorrelation peak needed to trust a pitch estimate
+const MIN_VOICED_SAMPLES = 10;         // About a second of speech before a voice score is given
+const LIP_SYNC_BUCKET_MS = 200;        // Audio and video samples are paired in buckets of this size
+const MIN_LIP_SYNC_BUCKETS = 15;
+const VOICE_SCORE_WEIGHTS = { flatness: 0.3, pitch: 0.3, lipSync: 0.4 };
+
+// 1. Features
+function rootMeanSquare(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+}
+
+// Geometric / arithmetic mean of the power spectrum over `band`; 0 = pure tone, 1 = white noise.
+// `spectrumDb` is AnalyserNode.getFloatFrequencyData output (decibels per bin).
+function spectralFlatness(spectrumDb, sampleRate, band = SPEECH_BAND_HZ) {
+    const binHz = sampleRate / (spectrumDb.length * 2);
+    const from = Math.max(1, Math.floor(band[0] / binHz));
+    const to = Math.min(spectrumDb.length - 1, Math.ceil(band[1] / binHz));
+    let logSum = 0;
+    let sum = 0;
+    for (let i = from; i <= to; i++) {
+        const power = Math.max(1e-12, Math.pow(10, spectrumDb[i] / 10));
+        logSum += Math.log(power);
+        sum += power;
+    }
+    const count = to - from + 1;
+    return count > 0 && sum > 0 ? Math.exp(logSum / count) / (sum / count) : null;
+}
+
+// Autocorrelation pitch estimate: { frequency, clarity } or null when no clear period is found.
+// Every `step`-th sample is used, which is plenty for speech fundamentals.
+function estimatePitch(samples, sampleRate, range = PITCH_RANGE_HZ, step = 2) {
+    const rate = sampleRate / step;
+    const length = Math.floor(samples.length / step);
+    const minLag = Math.floor(rate / range[1]);
+    const maxLag = Math.min(length - 1, Math.ceil(rate / range[0]));
+
+    let energy = 0;
+    for (let i = 0; i < length; i++) energy += samples[i * step] * samples[i * step];
+    if (energy === 0) return null;
+
+    let bestLag = -1;
+    let bestCorrelation = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let correlation = 0;
+        for (let i = 0; i + lag < length; i++) correlation += samples[i * step] * samples[(i + lag) * step];
+        correlation /= energy;
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+    if (bestLag < 0 || bestCorrelation < PITCH_CLARITY_MIN) return null;
+    return { frequency: rate / bestLag, clarity: bestCorrelation };
+}
+
+// Mean relative change between consecutive pitch estimates
+function pitchJitter(frequencies) {
+    if (frequencies.length < 2) return null;
+    let change = 0;
+    let total = 0;
+    for (let i = 1; i < frequencies.length; i++) {
+        change += Math.abs(frequencies[i] - frequencies[i - 1]);
+        total += frequencies[i];
+    }
+    return change / total;
+}
+
+function pearsonCorrelation(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 2) return null;
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+        meanX += xs[i] / n;
+        meanY += ys[i] / n;
+    }
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+// BlazeFace only gives a mouth center, so mouth opening is approximated by its distance below the nose,
+// relative to the face height. landmarks: [rightEye, leftEye, nose, mouth, rightEar, leftEar]
+function mouthOpening(landmarks, box) {
+    if (!landmarks || landmarks.length < 4 || !box || box.height <= 0) return null;
+    return (landmarks[3][1] - landmarks[2][1]) / box.height;
+}
+
+// 2. Feature -> 0-1 "real" sub-scores
+function rampScore(value, zeroAt, oneAt) {
+    return Math.max(0, Math.min(1, (value - zeroAt) / (oneAt - zeroAt)));
+}
+
+function flatnessScore(flatness) {
+    return rampScore(flatness, 0.7, 0.35); // Voiced speech sits well below 0.35
+}
+
+function pitchStabilityScore(jitter) {
+    // Natural intonation moves a few percent between frames; near-constant or erratic pitch is suspect
+    return Math.min(rampScore(jitter, 0.003, 0.015), rampScore(jitter, 0.6, 0.3));
+}
+
+function lipSyncScore(correlation) {
+    return rampScore(correlation, -0.1, 0.2);
+}
+
+// 3. Rolling window of audio and mouth samples for one participant
+function createVoiceAnalyzer({ windowMs = AUDIO_WINDOW_MS } = {}) {
+    let audio = []; // { t, rms, voiced, flatness, pitch }
+    let mouth = []; // { t, motion }
+    let lastOpening = null;
+
+    function trim(t) {
+        audio = audio.filter((sample) => t - sample.t <= windowMs);
+        mouth = mouth.filter((sample) => t - sample.t <= windowMs);
+    }
+
+    function lipSyncCorrelation() {
+        const buckets = new Map(); // bucket -> { rms: [], motion: [] }
+        const bucketFor = (t) => {
+            const key = Math.floor(t / LIP_SYNC_BUCKET_MS);
+            if (!buckets.has(key)) buckets.set(key, { rms: [], motion: [] });
+            return buckets.get(key);
+        };
+        audio.forEach(({ t, rms }) => bucketFor(t).rms.push(rms));
+        mouth.forEach(({ t, motion }) => bucketFor(t).motion.push(motion));
+
+        const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const paired = Array.from(buckets.values()).filter(({ rms, motion }) => rms.length > 0 && motion.length > 0);
+        if (paired.length < MIN_LIP_SYNC_BUCKETS) return null;
+        return pearsonCorrelation(paired.map(({ rms }) => average(rms)), paired.map(({ motion }) => average(motion)));
+    }
+
+    return {
+        // `sample`: { t, rms, flatness, pitch } from readAudioFeatures()
+        addAudioSample(sample) {
+            audio.push({ ...sample, voiced: sample.rms >= VOICE_RMS_THRESHOLD });
+            trim(sample.t);
+        },
+        addMouthSample(t, opening) {
+            if (opening === null) return;
+            if (lastOpening !== null) mouth.push({ t, motion: Math.abs(opening - lastOpening) });
+            lastOpening = opening;
+            trim(t);
+        },
+        // { score, components: { flatness, pitch, lipSync }, voicedSamples }; score is null without enough speech
+        evaluate() {
+            const voiced = audio.filter((sample) => sample.voiced);
+            const components = { flatness: null, pitch: null, lipSync: null };
+            if (voiced.length < MIN_VOICED_SAMPLES) return { score: null, components, voicedSamples: voiced.length };
+
+            const flatness = voiced.filter((sample) => sample.flatness !== null).map((sample) => sample.flatness);
+            if (flatness.length > 0) components.flatness = flatnessScore(flatness.reduce((sum, value) => sum + value, 0) / flatness.length);
+
+            const jitter = pitchJitter(voiced.filter((sample) => sample.pitch !== null).map((sample) => sample.pitch));
+            if (jitter !== null) components.pitch = pitchStabilityScore(jitter);
+
+            const correlation = lipSyncCorrelation();
+            if (correlation !== null) components.lipSync = lipSyncScore(correlation);
+
+            let weighted = 0;
+            let weights = 0;
+            Object.entries(components).forEach(([name, value]) => {
+                if (value === null) return;
+                weighted += VOICE_SCORE_WEIGHTS[name] * value;
+                weights += VOICE_SCORE_WEIGHTS[name];
+            });
+            return { score: weights > 0 ? weighted / weights : null, components, voicedSamples: voiced.length };
+        },
+        reset() {
+            audio = [];
+            mouth = [];
+            lastOpening = null;
+        }
+    };
+}
+
+// 4. Web Audio plumbing (browser only)
+let sharedAudioContext = null;
+
+// Browsers start an AudioContext suspended until the page gets a user gesture
+function getAudioContext() {
+    if (!sharedAudioContext) {
+        sharedAudioContext = new AudioContext();
+        const resume = () => sharedAudioContext.resume();
+        document.addEventListener('click', resume, { once: true });
+        document.addEventListener('keydown', resume, { once: true });
+    }
+    return sharedAudioContext;
+}
+
+function audioAnalysisRunning() {
+    return Boolean(sharedAudioContext && sharedAudioContext.state === 'running');
+}
+
+function readAudioFeatures(analyser, buffers, t) {
+    analyser.getFloatTimeDomainData(buffers.time);
+    analyser.getFloatFrequencyData(buffers.spectrum);
+    const rms = rootMeanSquare(buffers.time);
+    const voiced = rms >= VOICE_RMS_THRESHOLD;
+    const pitch = voiced ? estimatePitch(buffers.time, analyser.context.sampleRate) : null;
+    return {
+        t,
+        rms,
+        flatness: voiced ? spectralFlatness(buffers.spectrum, analyser.context.sampleRate) : null,
+        pitch: pitch ? pitch.frequency : null
+    };
+}
+
+// Samples `stream`'s audio every AUDIO_SAMPLE_MS and hands the features to `onSample`
+function createAudioMonitor(stream, { onSample }) {
+    const context = getAudioContext();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = AUDIO_FFT_SIZE;
+    analyser.smoothingTimeConstant = 0;
+    source.connect(analyser); // Not connected to the destination: the <video> element already plays it
+
+    const buffers = { time: new Float32Array(analyser.fftSize), spectrum: new Float32Array(analyser.frequencyBinCount) };
+    const timer = setInterval(() => {
+        if (context.state === 'running') onSample(readAudioFeatures(analyser, buffers, performance.now()));
+    }, AUDIO_SAMPLE_MS);
+
+    return {
+        stop() {
+            clearInterval(timer);
+            source.disconnect();
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VOICE_CHANNEL,
+        rootMeanSquare,
+        spectralFlatness,
+        estimatePitch,
+        pitchJitter,
+        pearsonCorrelation,
+        mouthOpening,
+        createVoiceAnalyzer
+    };
+}
@@ -0,0 +1,205 @@
+// --- Liveness Challenges ---
+// Challenge-response check on top of the passive scores: the host asks a participant to do something a
+// replayed or generated face is unlikely to do on cue, and the host's detector verifies it on the remote
+// stream within a time window. Verification uses the BlazeFace landmarks and box of the participant's
+// largest face, plus the contrast of small patches around each eye (eyePatchContrast below) measured on
+// the same frame.
+// All image coordinates are as seen by the host, i.e. the participant's unmirrored camera.
+
+const LIVENESS_CHALLENGES = {
+    'turn-left': { label: 'Turn head left', instruction: 'Turn your head to your LEFT, then back to the camera.', timeoutMs: 8000 },
+    'turn-right': { label: 'Turn head right', instruction: 'Turn your head to your RIGHT, then back to the camera.', timeoutMs: 8000 },
+    'blink-twice': { label: 'Blink twice', instruction: 'Blink slowly, twice.', timeoutMs: 8000, usesEyePatches: true },
+    'cover-eye': { label: 'Cover one eye', instruction: 'Cover one eye with your hand for a second.', timeoutMs: 8000, usesEyePatches: true },
+    'lean-in': { label: 'Lean in', instruction: 'Lean in towards your camera, then back.', timeoutMs: 8000 }
+};
+
+const CHALLENGE_BASELINE_FRAMES = 3;  // Observations right after the challenge is issued set the baseline
+const HEAD_TURN_YAW = 0.35;           // Nose offset from the eye midpoint, in eye distances, that counts as turned
+const HEAD_RETURN_YAW = 0.15;         // ...and back within this of the baseline counts as returned
+const LEAN_IN_AREA_RATIO = 1.35;      // Face box area growth that counts as leaning in
+const LEAN_BACK_AREA_RATIO = 1.15;
+const BLINK_CLOSED_RATIO = 0.75;      // Eye patch contrast below this fraction of baseline = eye closed
+const BLINK_OPEN_RATIO = 0.9;         // ...and back above this = eye open again
+const BLINKS_REQUIRED = 2;
+const COVERED_EYE_RATIO = 0.5;        // One eye's patch contrast drops below this fraction of its baseline
+const UNCOVERED_EYE_RATIO = 0.7;      // ...while the other eye stays above this
+const COVER_HOLD_MS = 500;
+
+// 1. Landmark geometry (landmarks: [rightEye, leftEye, nose, mouth, rightEar, leftEar])
+// Head yaw proxy: > 0 when the nose sits right of the eye midpoint in the image, which is the
+// participant turning towards their own left.
+function headYaw(landmarks) {
+    if (!landmarks || landmarks.length < 3) return null;
+    const [rightEye, leftEye, nose] = landmarks;
+    const eyeDistance = Math.abs(leftEye[0] - rightEye[0]);
+    if (eyeDistance === 0) return null;
+    return (nose[0] - (rightEye[0] + leftEye[0]) / 2) / eyeDistance;
+}
+
+function boxArea(box) {
+    return box ? box.width * box.height : 0;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// 2. Per-challenge detectors: each gets the baseline observations and then every later observation,
+// and returns true once the challenge has been performed.
+// Observation: { t, landmarks, box, eyeContrast: [rightEye, leftEye] | null }
+const CHALLENGE_DETECTORS = {
+    'turn-left': () => headTurnDetector(1),
+    'turn-right': () => headTurnDetector(-1),
+    'lean-in': leanInDetector,
+    'blink-twice': blinkDetector,
+    'cover-eye': coverEyeDetector
+};
+
+function headTurnDetector(direction) {
+    let baseline = null;
+    let turned = false;
+    return {
+        calibrate(observations) {
+            const yaws = observations.map(({ landmarks }) => headYaw(landmarks)).filter((yaw) => yaw !== null);
+            if (yaws.length > 0) baseline = median(yaws);
+        },
+        observe({ landmarks }) {
+            const yaw = headYaw(landmarks);
+            if (yaw === null || baseline === null) return false;
+            const offset = (yaw - baseline) * direction;
+            if (offset >= HEAD_TURN_YAW) turned = true;
+            return turned && Math.abs(yaw - baseline) <= HEAD_RETURN_YAW;
+        }
+    };
+}
+
+function leanInDetector() {
+    let baseline = null;
+    let leaned = false;
+    return {
+        calibrate(observations) {
+            baseline = median(observations.map(({ box }) => boxArea(box)));
+        },
+        observe({ box }) {
+            if (!baseline) return false;
+            const ratio = boxArea(box) / baseline;
+            if (ratio >= LEAN_IN_AREA_RATIO) leaned = true;
+            return leaned && ratio <= LEAN_BACK_AREA_RATIO;
+        }
+    };
+}
+
+function eyeBaselines(observations) {
+    const samples = observations.filter(({ eyeContrast }) => eyeContrast);
+    if (samples.length === 0) return null;
+    return [0, 1].map((eye) => median(samples.map(({ eyeContrast }) => eyeContrast[eye])));
+}
+
+function blinkDetector() {
+    let baseline = null;
+    let closed = false;
+    let blinks = 0;
+    return {
+        calibrate(observations) {
+            const eyes = eyeBaselines(observations);
+            if (eyes) baseline = (eyes[0] + eyes[1]) / 2;
+        },
+        observe({ eyeContrast }) {
+            if (!eyeContrast || !baseline) return false;
+            const ratio = (eyeContrast[0] + eyeContrast[1]) / 2 / baseline;
+            if (!closed && ratio < BLINK_CLOSED_RATIO) {
+                closed = true;
+            } else if (closed && ratio > BLINK_OPEN_RATIO) {
+                closed = false;
+                blinks++;
+            }
+            return blinks >= BLINKS_REQUIRED;
+        }
+    };
+}
+
+function coverEyeDetector() {
+    let baselines = null;
+    let coveredSince = null;
+    return {
+        calibrate(observations) {
+            baselines = eyeBaselines(observations);
+        },
+        observe({ t, eyeContrast }) {
+            if (!eyeContrast || !baselines || baselines[0] === 0 || baselines[1] === 0) return false;
+            const ratios = [eyeContrast[0] / baselines[0], eyeContrast[1] / baselines[1]];
+            const covered = Math.min(...ratios) < COVERED_EYE_RATIO && Math.max(...ratios) > UNCOVERED_EYE_RATIO;
+            if (!covered) {
+                coveredSince = null;
+                return false;
+            }
+            if (coveredSince === null) coveredSince = t;
+            return t - coveredSince >= COVER_HOLD_MS;
+        }
+    };
+}
+
+// 3. One issued challenge. `push` returns the current result:
+//   { status: 'pending' | 'passed' | 'failed', responseMs, reason }
+function createChallengeVerifier(type, { issuedAt, timeoutMs = null } = {}) {
+    if (!CHALLENGE_DETECTORS[type]) throw new Error(`Unknown liveness challenge: ${type}`);
+    if (timeoutMs === null) timeoutMs = LIVENESS_CHALLENGES[type].timeoutMs;
+    const detector = CHALLENGE_DETECTORS[type]();
+    const baseline = [];
+    let result = { status: 'pending', responseMs: null, reason: null };
+
+    function finish(status, t, reason) {
+        result = { status, responseMs: Math.round(t - issuedAt), reason };
+        return result;
+    }
+
+    return {
+        type,
+        issuedAt,
+        timeoutMs,
+        push(observation) {
+            if (result.status !== 'pending') return result;
+            if (observation.t - issuedAt > timeoutMs) return finish('failed', observation.t, 'timed out');
+
+            if (baseline.length < CHALLENGE_BASELINE_FRAMES) {
+                baseline.push(observation);
+                if (baseline.length === CHALLENGE_BASELINE_FRAMES) detector.calibrate(baseline);
+                return result;
+            }
+            return detector.observe(observation) ? finish('passed', observation.t, null) : result;
+        },
+        // Called on a timer so a challenge also fails when no face is seen at all
+        expire(t) {
+            if (result.status === 'pending' && t - issuedAt > timeoutMs) {
+                return finish('failed', t, baseline.length < CHALLENGE_BASELINE_FRAMES ? 'no face visible' : 'timed out');
+            }
+            return result;
+        },
+        get result() {
+            return result;
+        }
+    };
+}
+
+// 4. Eye patches: contrast of a small square around each eye landmark. `frame` is the ImageData the
+// landmarks were detected on (the detection pipeline measures it, see analyzeFrame in detector.js), so a
+// moving head never shifts the patches off the eyes. An open eye (iris, sclera, lashes) has far more
+// contrast than a closed lid or a hand.
+function eyePatchContrast(frame, landmarks) {
+    if (!frame || !landmarks || landmarks.length < 2) return null;
+    const [rightEye, leftEye] = landmarks;
+    const half = Math.abs(leftEye[0] - rightEye[0]) * 0.25;
+    if (half < 2) return null;
+
+    const contrasts = [rightEye, leftEye].map(([x, y]) => {
+        const lighting = measureLighting(frame, { x: x - half, y: y - half, width: half * 2, height: half * 2 }); // lobby.js
+        return lighting ? lighting.contrast : null;
+    });
+    return contrasts.includes(null) ? null : contrasts;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LIVENESS_CHALLENGES, headYaw, createChallengeVerifier, eyePatchContrast };
+}
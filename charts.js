@@ -0,0 +1,171 @@
+// --- Live Analysis Charts (Host Only) ---
+// Confidence Trend: rolling window of per-face confidence from startDetection.
+// Session Integrity Score: whole-call aggregate, thinned as the call grows so memory stays bounded.
+
+const CONFIDENCE_WINDOW_SECONDS = 60;   // Confidence Trend only shows the most recent minute
+const MAX_POINTS_PER_FACE = 600;        // Hard cap per face series, whatever the frame rate
+const MAX_INTEGRITY_POINTS = 240;       // Integrity timeline is thinned by half whenever it exceeds this
+const INTEGRITY_SAMPLE_MS = 1000;       // One integrity point per second before thinning
+const CHART_REFRESH_MS = 500;           // Redraw at most twice a second instead of every frame
+const FACE_SERIES_COLORS = ['#03dac6', '#bb86fc', '#ffb74d', '#4fc3f7', '#f06292', '#aed581'];
+
+// 1. Session integrity score: exponentially weighted confidence minus a penalty for sustained anomaly streaks.
+// A one-frame glitch barely moves the score; a streak longer than `graceFrames` drags it down steadily,
+// and the penalty decays again once the streak ends.
+function createIntegrityScorer(options = {}) {
+    const alpha = options.alpha ?? 0.02;                  // EWMA weight of each new frame
+    const graceFrames = options.graceFrames ?? 5;         // Streak length tolerated without penalty
+    const streakPenalty = options.streakPenalty ?? 0.01;  // Penalty added per frame beyond the grace period
+    const maxPenalty = options.maxPenalty ?? 0.6;
+    const penaltyDecay = options.penaltyDecay ?? 0.99;    // Per clean frame
+
+    let average = null;
+    let penalty = 0;
+    let streak = 0;
+
+    return {
+        update(confidence, isAnomaly) {
+            average = average === null ? confidence : alpha * confidence + (1 - alpha) * average;
+
+            if (isAnomaly) {
+                streak++;
+                if (streak > graceFrames) penalty = Math.min(maxPenalty, penalty + streakPenalty);
+            } else {
+                streak = 0;
+                penalty *= penaltyDecay;
+            }
+            return this.score();
+        },
+        // Score in [0, 100]; a session with no observations yet is considered intact
+        score() {
+            if (average === null) return 100;
+            return Math.max(0, Math.min(1, average - penalty)) * 100;
+        },
+        get streak() {
+            return streak;
+        }
+    };
+}
+
+// 2. Bounded series helpers (points are { x: secondsSinceStart, y })
+function trimRollingSeries(points, now, windowSeconds = CONFIDENCE_WINDOW_SECONDS, maxPoints = MAX_POINTS_PER_FACE) {
+    let drop = 0;
+    while (drop < points.length && now - points[drop].x > windowSeconds) drop++;
+    drop = Math.max(drop, points.length - maxPoints);
+    if (drop > 0) points.splice(0, drop);
+    return points;
+}
+
+function thinSeries(points, maxPoints = MAX_INTEGRITY_POINTS) {
+    if (points.length <= maxPoints) return points;
+    // Keep every other point; the newest point is always kept so the live value stays visible
+    const last = points[points.length - 1];
+    const thinned = points.filter((_, i) => i % 2 === 0);
+    if (thinned[thinned.length - 1] !== last) thinned.push(last);
+    points.length = 0;
+    points.push(...thinned);
+    return points;
+}
+
+// 3. Chart.js wiring
+function baseLineChartOptions(yMax, yLabel) {
+    return {
+        responsive: true,
+        animation: false,
+        parsing: false,
+        normalized: true,
+        plugins: { legend: { labels: { color: '#e0e0e0', boxWidth: 12 } } },
+        scales: {
+            x: { type: 'linear', title: { display: true, text: 'Seconds', color: '#888' }, ticks: { color: '#888' } },
+            y: { min: 0, max: yMax, title: { display: true, text: yLabel, color: '#888' }, ticks: { color: '#888' } }
+        },
+        elements: { point: { radius: 0 }, line: { borderWidth: 2, tension: 0.2 } }
+    };
+}
+
+function createSessionCharts(confidenceCanvas, integrityCanvas, scorerOptions) {
+    if (typeof Chart === 'undefined' || !confidenceCanvas || !integrityCanvas) return null;
+
+    const startedAt = performance.now();
+    const scorer = createIntegrityScorer(scorerOptions);
+    const faceSeries = new Map(); // face key -> Chart.js dataset, only while the face has points in the window
+    let seriesCount = 0;          // Picks each new series' colour
+    let lastIntegritySample = -Infinity;
+    let refreshTimer = null;
+
+    const confidenceChart = new Chart(confidenceCanvas, {
+        type: 'line',
+        data: { datasets: [] },
+        options: baseLineChartOptions(100, 'Face Consistency %')
+    });
+
+    const integrityChart = new Chart(integrityCanvas, {
+        type: 'line',
+        data: {
+            datasets: [{ label: 'Integrity', data: [], borderColor: '#4CAF50', fill: true, backgroundColor: 'rgba(76, 175, 80, 0.15)' }]
+        },
+        options: baseLineChartOptions(100, 'Score')
+    });
+
+    const elapsedSeconds = () => (performance.now() - startedAt) / 1000;
+
+    function scheduleRefresh() {
+        if (refreshTimer) return;
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            confidenceChart.update('none');
+            integrityChart.update('none');
+        }, CHART_REFRESH_MS);
+    }
+
+    function datasetFor(key) {
+        let dataset = faceSeries.get(key);
+        if (!dataset) {
+            const color = FACE_SERIES_COLORS[seriesCount++ % FACE_SERIES_COLORS.length];
+            dataset = { label: key, data: [], borderColor: color, backgroundColor: color };
+            faceSeries.set(key, dataset);
+            confidenceChart.data.datasets.push(dataset);
+        }
+        return dataset;
+    }
+
+    return {
+        confidenceChart,
+        integrityChart,
+        scorer,
+        // Record one analyzed frame: `faces` is [{ key, confidence, isAnomaly }]
+        recordFrame(faces) {
+            const now = elapsedSeconds();
+
+            faces.forEach(({ key, confidence }) => {
+                datasetFor(key).data.push({ x: now, y: confidence * 100 });
+            });
+            // Track IDs only ever increase, so series of faces that left the window are dropped for good
+            faceSeries.forEach((dataset, key) => {
+                if (trimRollingSeries(dataset.data, now).length > 0) return;
+                faceSeries.delete(key);
+                confidenceChart.data.datasets.splice(confidenceChart.data.datasets.indexOf(dataset), 1);
+            });
+
+            if (faces.length > 0) {
+                // The weakest face in the frame decides what the session "saw"
+                const worst = faces.reduce((a, b) => (b.confidence < a.confidence ? b : a));
+                scorer.update(worst.confidence, faces.some((face) => face.isAnomaly));
+            }
+
+            if ((now * 1000) - lastIntegritySample >= INTEGRITY_SAMPLE_MS) {
+                lastIntegritySample = now * 1000;
+                const integrityData = integrityChart.data.datasets[0].data;
+                integrityData.push({ x: now, y: scorer.score() });
+                thinSeries(integrityData);
+            }
+
+            scheduleRefresh();
+            return scorer.score();
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIDENCE_WINDOW_SECONDS, MAX_INTEGRITY_POINTS, createIntegrityScorer, trimRollingSeries, thinSeries, createSessionCharts };
+}
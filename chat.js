@@ -0,0 +1,77 @@
+// --- In-Call Chat Panel ---
+// Chat log, presence line and input form shared by host.html and meeting.html. Messages travel as
+// MESSAGE_TYPES.CHAT over the message channel (message-channel.js); this file only handles display.
+// Your own messages show as pending until the other side acknowledges them.
+
+const CHAT_MAX_LENGTH = 500;
+const CHAT_MAX_LINES = 200; // Oldest lines are dropped beyond this
+
+function normalizeChatText(text) {
+    return String(text ?? '').replace(/\s+/g, ' ').trim().slice(0, CHAT_MAX_LENGTH);
+}
+
+function formatChatTime(sentAt) {
+    return new Date(sentAt || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// `elements`: { log, form, input, presence }; `onSend(text)` returns a Promise that resolves true once delivered
+function createChatPanel(elements, { onSend }) {
+    const { log, form, input, presence } = elements;
+
+    function append(item) {
+        if (!log) return item;
+        log.appendChild(item);
+        while (log.children.length > CHAT_MAX_LINES) log.removeChild(log.firstChild);
+        log.scrollTop = log.scrollHeight;
+        return item;
+    }
+
+    const panel = {
+        addMessage({ from, text, sentAt, own = false }) {
+            const item = document.createElement('li');
+            item.className = own ? 'chat-message own pending' : 'chat-message';
+            item.innerHTML = `<span class="chat-meta"><strong></strong> ${formatChatTime(sentAt)}<span class="chat-delivery"></span></span><span class="chat-text"></span>`;
+            item.querySelector('strong').textContent = from;
+            item.querySelector('.chat-text').textContent = text;
+            append(item);
+            return {
+                markDelivered() {
+                    item.classList.remove('pending');
+                    item.querySelector('.chat-delivery').textContent = ' ✓';
+                },
+                markFailed() {
+                    item.classList.remove('pending');
+                    item.classList.add('failed');
+                    item.querySelector('.chat-delivery').textContent = ' ⚠️ not delivered';
+                }
+            };
+        },
+        // System lines: analysis notices, connection status, people joining and leaving
+        addNotice(text, level = '') {
+            const item = document.createElement('li');
+            item.className = `chat-notice ${level}`;
+            item.textContent = text;
+            append(item);
+        },
+        setPresence(text) {
+            if (presence) presence.textContent = text;
+        }
+    };
+
+    if (form) {
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const text = normalizeChatText(input.value);
+            if (!text) return;
+            input.value = '';
+            const line = panel.addMessage({ from: 'You', text, sentAt: Date.now(), own: true });
+            if (await onSend(text)) line.markDelivered();
+            else line.markFailed();
+        });
+    }
+    return panel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHAT_MAX_LENGTH, normalizeChatText };
+}
@@ -0,0 +1,130 @@
+// --- Face Classification Pipeline ---
+// Turns BlazeFace boxes into per-face scores computed from the actual frame pixels.
+// A classifier is any object with `async predict(faceTensor, context)` that resolves to a score in [0, 1],
+// where low means anomalous. The one shipped here is a self-consistency heuristic, not a real/fake model.
+// `faceTensor` is a [FACE_INPUT_SIZE, FACE_INPUT_SIZE, 3] float tensor normalized to [0, 1].
+
+const FACE_INPUT_SIZE = 224; // MobileNet's native input resolution
+const MIN_FACE_PIXELS = 8;   // Boxes smaller than this carry no usable signal
+
+// 1. Clamp a BlazeFace prediction to the frame and round it to whole pixels
+function clampFaceBox(prediction, frameWidth, frameHeight) {
+    const x1 = Math.max(0, Math.floor(prediction.topLeft[0]));
+    const y1 = Math.max(0, Math.floor(prediction.topLeft[1]));
+    const x2 = Math.min(frameWidth, Math.ceil(prediction.bottomRight[0]));
+    const y2 = Math.min(frameHeight, Math.ceil(prediction.bottomRight[1]));
+
+    if (x2 - x1 < MIN_FACE_PIXELS || y2 - y1 < MIN_FACE_PIXELS) return null;
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+// 2. Crop one face out of a frame tensor, resize it and normalize to [0, 1]
+function cropFaceTensor(frame, box, size = FACE_INPUT_SIZE) {
+    return tf.tidy(() => {
+        const face = frame.slice([box.y, box.x, 0], [box.height, box.width, 3]);
+        return tf.image.resizeBilinear(face, [size, size]).toFloat().div(255);
+    });
+}
+
+// 3. Run every detected face in a frame through a classifier.
+// `source` may be a video/canvas/ImageData or an existing [h, w, 3] tensor, so tests can feed fixed frames.
+// `keyFor(prediction, index)` names the face for classifiers that keep per-face state.
+async function classifyFaces(source, predictions, classifier, keyFor = (_, index) => `face:${index}`) {
+    const ownsFrame = !(source instanceof tf.Tensor);
+    const frame = ownsFrame ? tf.browser.fromPixels(source) : source;
+    const [frameHeight, frameWidth] = frame.shape;
+    const results = [];
+
+    try {
+        for (let i = 0; i < predictions.length; i++) {
+            const prediction = predictions[i];
+            const box = clampFaceBox(prediction, frameWidth, frameHeight);
+            if (!box) continue;
+
+            const faceTensor = cropFaceTensor(frame, box);
+            try {
+                const key = keyFor(prediction, i);
+                const confidence = await classifier.predict(faceTensor, { key });
+                results.push({ index: i, key, prediction, box, confidence });
+            } finally {
+                faceTensor.dispose();
+            }
+        }
+    } finally {
+        if (ownsFrame) frame.dispose();
+    }
+
+    return results;
+}
+
+// --- MobileNet Embedding Classifier ---
+// Scores the penultimate-layer MobileNet embedding of a face crop.
+
+async function embedFace(model, faceTensor) {
+    // MobileNet expects pixel values in [0, 255]; `infer(..., true)` returns the penultimate-layer embedding
+    const embedding = tf.tidy(() => model.infer(faceTensor.mul(255), true));
+    const values = await embedding.data();
+    embedding.dispose();
+    return values;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / Math.sqrt(normA * normB);
+}
+
+// Embedding CONSISTENCY heuristic. This is not a real/fake model: each face is compared with
+// its own running reference embedding, so the score says how much the face still looks like itself
+// (a swapped, re-rendered or heavily warped face drops towards 0). The UI labels it as consistency.
+// The first frame of a track becomes its reference and scores 1, so a face that is synthetic from its
+// first frame is never flagged; the host panel and the report state this limit next to the scores.
+function createEmbeddingConsistencyClassifier(model, options = {}) {
+    const similarityFloor = options.similarityFloor ?? 0.5; // Cosine similarity that maps to a score of 0
+    const referenceRate = options.referenceRate ?? 0.1;     // EMA rate for updating a face's reference embedding
+    const trustedScore = options.trustedScore ?? 0.7;       // Only frames scoring above this update the reference
+    const references = new Map();
+
+    function scoreAgainstReference(embedding, key) {
+        const reference = references.get(key);
+        if (!reference) {
+            references.set(key, Float32Array.from(embedding));
+            return 1;
+        }
+
+        const similarity = cosineSimilarity(embedding, reference);
+        const score = Math.min(1, Math.max(0, (similarity - similarityFloor) / (1 - similarityFloor)));
+
+        if (score >= trustedScore) {
+            for (let i = 0; i < reference.length; i++) {
+                reference[i] += referenceRate * (embedding[i] - reference[i]);
+            }
+        }
+        return score;
+    }
+
+    return {
+        name: 'embedding-consistency-heuristic',
+        async predict(faceTensor, context = {}) {
+            return scoreAgainstReference(await embedFace(model, faceTensor), context.key || 'default');
+        },
+        // Forget a face's reference (e.g. when its track ends) or all of them
+        reset(key) {
+            if (key === undefined) references.clear();
+            else references.delete(key);
+        },
+        // Forget every reference whose key starts with `prefix`, e.g. all faces of one video source
+        resetPrefix(prefix) {
+            Array.from(references.keys()).forEach((key) => key.startsWith(prefix) && references.delete(key));
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MIN_FACE_PIXELS, clampFaceBox, cosineSimilarity, classifyFaces, cropFaceTensor, createEmbeddingConsistencyClassifier };
+}
@@ -0,0 +1,95 @@
+// --- Deployment Configuration ---
+// The PeerJS server, ICE (STUN/TURN) servers, script libraries and model weights come from, in increasing priority:
+//   1. The defaults below (public PeerJS cloud, Google STUN, public CDNs and the models' own TF Hub URLs)
+//   2. peer-config.json next to the pages (see peer-config.example.json; server/signaling-server.js
+//      generates one pointing at itself and at its /vendor/ copies of the libraries when the file is absent)
+// Both come from the pages' own origin. Nothing is read from the page URL: a crafted link could otherwise
+// route a participant's signaling and relayed media through someone else's servers.
+
+const DEFAULT_PEER_CONFIG = {
+    host: '0.peerjs.com',
+    port: 443,
+    path: '/',
+    secure: true,
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' }
+    ]
+};
+
+// peer-config.json "libraries": script URLs, loaded on demand by loadLibraries()
+const DEFAULT_LIBRARY_URLS = {
+    peerjs: 'https://unpkg.com/peerjs@1.5.5/dist/peerjs.min.js',
+    chartjs: 'https://cdn.jsdelivr.net/npm/chart.js@4.5.1/dist/chart.umd.js',
+    tfjs: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.2.0/dist/tf.min.js',
+    tfjsWasm: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.2.0/dist/tf-backend-wasm.min.js',
+    tfjsWasmPaths: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.2.0/dist/', // Directory of the .wasm files
+    blazeface: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.0.7/dist/blazeface.min.js',
+    mobilenet: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.0/dist/mobilenet.min.js'
+};
+
+// peer-config.json "models": model.json URLs of self-hosted weights; null uses the package's TF Hub default
+const DEFAULT_MODEL_URLS = {
+    blazeface: null,
+    mobilenet: null
+};
+
+const PEER_CONFIG_URL = 'peer-config.json';
+let deploymentConfig = null; // peer-config.json, fetched once per page
+
+// 1. Fetch peer-config.json if the deployment provides one
+async function peerConfigFromFile(url = PEER_CONFIG_URL) {
+    try {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) return {};
+        return await response.json();
+    } catch (error) {
+        return {}; // No file (or opened from file://) - fall back to the defaults
+    }
+}
+
+function loadDeploymentConfig() {
+    if (!deploymentConfig) deploymentConfig = peerConfigFromFile();
+    return deploymentConfig;
+}
+
+// 2. Merge the signaling settings into the options object `new Peer(options)` expects
+async function loadPeerConfig() {
+    const { libraries, models, ...file } = await loadDeploymentConfig();
+    const { iceServers, ...server } = { ...DEFAULT_PEER_CONFIG, ...file };
+
+    return {
+        ...server,
+        debug: 2,
+        config: { iceServers }
+    };
+}
+
+// 3. Library and model URLs. Relative URLs resolve against the pages (and detection-worker.js next to them).
+async function loadAssetConfig() {
+    const { libraries, models } = await loadDeploymentConfig();
+    return {
+        libraries: { ...DEFAULT_LIBRARY_URLS, ...libraries },
+        models: { ...DEFAULT_MODEL_URLS, ...models }
+    };
+}
+
+// 4. Add library scripts to the page in the given order (TF.js before the models built on it), each only once
+const loadedScripts = new Map(); // URL -> promise
+
+function loadScript(url) {
+    if (!loadedScripts.has(url)) {
+        loadedScripts.set(url, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Could not load ${url}`));
+            document.head.appendChild(script);
+        }));
+    }
+    return loadedScripts.get(url);
+}
+
+async function loadLibraries(names) {
+    const { libraries } = await loadAssetConfig();
+    for (const name of names) await loadScript(libraries[name]);
+}
@@ -0,0 +1,197 @@
+// --- Connection Manager ---
+// Keeps a meeting alive through network blips instead of ending it on the first PeerJS error.
+// Two kinds of failure are told apart:
+//   - signaling: the Peer lost its websocket to the PeerJS server ('disconnected', network errors).
+//     Calls already in progress keep flowing, so only peer.reconnect() is retried. The Peer keeps its
+//     ID, which for the host is the meeting ID, so invite links stay valid.
+//   - media: a call closed, errored, or its ICE connection stayed 'disconnected'. The participant side
+//     re-dials the same meeting ID through `redial`; the host side keeps the participant's tile,
+//     history and charts while it waits for that call (see app.js).
+// Both retry with exponential backoff, and `onGiveUp` only fires once the retries run out.
+
+const CONNECTION_RETRY_BASE_MS = 1000;
+const CONNECTION_RETRY_MAX_MS = 10000;
+const MAX_CONNECTION_RETRIES = 6;       // About 35 s of retrying before the meeting is given up
+const ICE_DISCONNECT_GRACE_MS = 5000;   // ICE often recovers from 'disconnected' on its own
+const PARTICIPANT_RECONNECT_GRACE_MS = 45000; // Host side: how long a dropped participant's seat is kept
+
+const CONNECTION_STATUS = Object.freeze({
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed',
+    ENDED: 'ended'
+});
+
+// PeerJS error types that describe a blip rather than a bad meeting ID or a broken browser
+const RECOVERABLE_PEER_ERRORS = new Set(['network', 'server-error', 'socket-error', 'socket-closed', 'disconnected']);
+
+function retryDelay(attempt, baseMs = CONNECTION_RETRY_BASE_MS, maxMs = CONNECTION_RETRY_MAX_MS) {
+    return Math.min(maxMs, baseMs * 2 ** attempt);
+}
+
+// Calls `attempt(n)` (n from 1) until `succeeded()`, waiting retryDelay() after each try.
+// `onExhausted()` fires when the last attempt has had its full wait without succeeding.
+function createRetrier({ attempt, onExhausted, maxAttempts = MAX_CONNECTION_RETRIES }) {
+    let attempts = 0;
+    let timer = null;
+    let active = false;
+
+    function stop() {
+        active = false;
+        clearTimeout(timer);
+        timer = null;
+        attempts = 0;
+    }
+
+    function next() {
+        if (!active) return;
+        if (attempts >= maxAttempts) {
+            stop();
+            onExhausted();
+            return;
+        }
+        const delay = retryDelay(attempts);
+        attempts++;
+        timer = setTimeout(next, delay);
+        attempt(attempts);
+    }
+
+    return {
+        start() {
+            if (active) return;
+            active = true;
+            attempts = 0;
+            next();
+        },
+        succeeded: stop,
+        cancel: stop,
+        get active() {
+            return active;
+        },
+        get attempts() {
+            return attempts;
+        }
+    };
+}
+
+// Closes `call` once its ICE connection has stayed 'disconnected' for ICE_DISCONNECT_GRACE_MS,
+// so the normal 'close' handling (redial, or holding the participant's seat) takes over.
+function closeOnIceLoss(call) {
+    const pc = call.peerConnection;
+    if (!pc) return;
+    let timer = null;
+    pc.addEventListener('iceconnectionstatechange', () => {
+        if (pc.iceConnectionState === 'disconnected') {
+            if (!timer) timer = setTimeout(() => call.close(), ICE_DISCONNECT_GRACE_MS);
+        } else {
+            clearTimeout(timer);
+            timer = null;
+        }
+    });
+}
+
+// `peer`: the local Peer. `redial()` (participant side only) places the call again and returns it.
+// Callbacks: onStatusChange(status, { cause, attempt, maxAttempts }), onSignalingRestored(),
+// onCallRestored(call), onGiveUp(cause)
+function createConnectionManager({ peer, redial = null, onStatusChange, onSignalingRestored, onCallRestored, onGiveUp }) {
+    let status = CONNECTION_STATUS.CONNECTED;
+    let ended = false;
+    let call = null;
+
+    function notify(cause = null, attempt = 0) {
+        if (ended) return;
+        status = signaling.active || media.active ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTED;
+        if (onStatusChange) onStatusChange(status, { cause, attempt, maxAttempts: MAX_CONNECTION_RETRIES });
+    }
+
+    function giveUp(cause) {
+        if (ended) return;
+        ended = true;
+        signaling.cancel();
+        media.cancel();
+        status = CONNECTION_STATUS.FAILED;
+        if (onStatusChange) onStatusChange(status, { cause, attempt: MAX_CONNECTION_RETRIES, maxAttempts: MAX_CONNECTION_RETRIES });
+        if (onGiveUp) onGiveUp(cause);
+    }
+
+    const signaling = createRetrier({
+        attempt: (n) => {
+            if (peer.destroyed) return; // Cannot come back; the retries simply run out
+            if (peer.disconnected) peer.reconnect();
+            notify('signaling', n);
+        },
+        onExhausted: () => giveUp('signaling')
+    });
+
+    const media = createRetrier({
+        attempt: (n) => {
+            // Redialing needs the signaling server; while it is down this attempt only waits
+            if (peer.disconnected || peer.destroyed) {
+                notify('media', n);
+                return;
+            }
+            const previous = call;
+            watch(redial());
+            if (previous) previous.close();
+            notify('media', n);
+        },
+        onExhausted: () => giveUp('media')
+    });
+
+    function mediaDropped(source) {
+        if (ended || source !== call || !redial) return;
+        media.start();
+    }
+
+    function watch(next) {
+        call = next;
+        next.on('stream', () => {
+            if (next !== call || !media.active) return;
+            media.succeeded();
+            notify();
+            if (onCallRestored) onCallRestored(next);
+        });
+        next.on('close', () => mediaDropped(next));
+        next.on('error', () => mediaDropped(next));
+        closeOnIceLoss(next);
+    }
+
+    peer.on('disconnected', () => {
+        if (ended || peer.destroyed) return;
+        console.warn("Lost the signaling server connection, reconnecting...");
+        signaling.start();
+    });
+    peer.on('open', () => {
+        if (ended || !signaling.active) return;
+        signaling.succeeded();
+        notify();
+        if (onSignalingRestored) onSignalingRestored();
+    });
+
+    return {
+        // Participant side: the call to keep alive (later calls are placed by `redial`)
+        watchCall: watch,
+        // Returns true when a PeerJS error is part of a blip being handled here, false when the caller should treat it as fatal
+        handlePeerError(err) {
+            if (ended) return true;
+            if (err.type === 'peer-unavailable' && media.active) return true; // The host isn't back yet; the next redial retries
+            if (!RECOVERABLE_PEER_ERRORS.has(err.type)) return false;
+            if (peer.disconnected && !peer.destroyed) signaling.start();
+            return true;
+        },
+        // Explicit hang-up (or kick): stop reacting to the calls being torn down
+        hangUp() {
+            ended = true;
+            signaling.cancel();
+            media.cancel();
+            status = CONNECTION_STATUS.ENDED;
+        },
+        get status() {
+            return status;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONNECTION_STATUS, MAX_CONNECTION_RETRIES, retryDelay, createRetrier, createConnectionManager };
+}
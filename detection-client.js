@@ -0,0 +1,278 @@
+// --- Detection Client ---
+// Page-side front end for the detection pipeline. Frames are handed to detection-worker.js as ImageBitmaps
+// when the browser supports workers with OffscreenCanvas; otherwise the same detector.js pipeline runs
+// in the page. Either way `analyze()` resolves with the same shape:
+//   { faces: [{ track: { id }, box, landmarks, confidence, state, previous, changed, smoothed, eyeContrast }], worstState, latencyMs }
+// Sampling adapts to measured latency so slow machines analyze fewer frames instead of queueing them.
+// `configure(policy)` applies the host's detection settings (see settings.js) on both sides.
+// `reset(sourceKey)` forgets a source's face tracks and classifier references (see resetDetectionSource in
+// detector.js); call it whenever a key is about to be reused for another video, scan or peer.
+// With `{ keepFrame: true }` the result also carries `frame`, a still image (ImageBitmap or canvas) of exactly
+// the frame that was analyzed; the caller hands it to releaseFrame() when done.
+
+const DETECTION_WORKER_URL = 'detection-worker.js';
+const DEFAULT_BACKENDS = ['webgl', 'wasm', 'cpu'];
+const MIN_SAMPLE_INTERVAL_MS = 1000 / 30; // Never analyze a source faster than 30 fps (lowered by the sample rate setting)
+const MAX_SAMPLE_INTERVAL_MS = 1000;      // ...or slower than 1 fps
+const LATENCY_HEADROOM = 1.5;             // Leave the pipeline idle a third of the time
+const LATENCY_SMOOTHING = 0.2;            // EWMA weight of each new latency sample
+const FPS_WINDOW_MS = 2000;
+
+function workerDetectionSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+}
+
+// Backend order can be forced with ?backend=cpu (or wasm / webgl) for testing on specific hardware
+function preferredBackends(search = window.location.search) {
+    const forced = new URLSearchParams(search).get('backend');
+    return forced ? [forced, ...DEFAULT_BACKENDS.filter((name) => name !== forced)] : DEFAULT_BACKENDS;
+}
+
+// Exponentially weighted latency; null until the first frame
+function smoothLatency(previousMs, sampleMs) {
+    return previousMs === null ? sampleMs : LATENCY_SMOOTHING * sampleMs + (1 - LATENCY_SMOOTHING) * previousMs;
+}
+
+// How long a source loop should wait before sampling its next frame, given the smoothed latency
+function sampleDelay(latencyMs, minSampleIntervalMs = MIN_SAMPLE_INTERVAL_MS) {
+    if (latencyMs === null) return minSampleIntervalMs;
+    return Math.min(MAX_SAMPLE_INTERVAL_MS, Math.max(minSampleIntervalMs, latencyMs * LATENCY_HEADROOM));
+}
+
+// 1. Worker-backed implementation.
+// `onCrash(error)` fires once if the worker dies after it was ready (uncaught error, out of memory, a WASM
+// abort); every request in flight is rejected then, and so is every later one.
+function createWorkerDetector(backends, { libraries, models }, onCrash = () => {}) {
+    const worker = new Worker(DETECTION_WORKER_URL);
+    const pending = new Map();
+    let nextId = 1;
+    let started = false;
+    let crashed = null; // The error that ended the worker
+
+    function rejectPending(error) {
+        pending.forEach(({ reject }) => reject(error));
+        pending.clear();
+    }
+
+    const ready = new Promise((resolve, reject) => {
+        const fail = (error) => {
+            rejectPending(error);
+            if (!started) {
+                reject(error);
+            } else if (!crashed) {
+                crashed = error;
+                onCrash(error);
+            }
+        };
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'ready') {
+                started = true;
+                resolve(data.backend);
+            } else if (data.type === 'result') {
+                const request = pending.get(data.id);
+                pending.delete(data.id);
+                if (request) request.resolve(data);
+            } else if (data.type === 'error') {
+                const request = pending.get(data.id);
+                pending.delete(data.id);
+                if (request) request.reject(new Error(data.message));
+                else fail(new Error(data.message)); // Not tied to a request, so the worker itself is broken
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            fail(new Error(event.message || (started ? 'Detection worker crashed' : 'Detection worker failed to start')));
+        };
+    });
+    worker.postMessage({ type: 'init', backends, libraries, models });
+
+    return {
+        ready,
+        async analyze(source, sourceKey, timestamp, { keepFrame = false } = {}) {
+            if (crashed) throw crashed;
+            const bitmap = await createImageBitmap(source);
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                worker.postMessage({ type: 'analyze', id, sourceKey, timestamp, bitmap, keepFrame }, [bitmap]);
+            });
+        },
+        reset(sourceKey) {
+            worker.postMessage({ type: 'reset', sourceKey });
+        },
+        configure(policy) {
+            worker.postMessage({ type: 'configure', policy });
+        },
+        terminate() {
+            worker.terminate();
+            rejectPending(new Error('Detection worker terminated'));
+        }
+    };
+}
+
+// 2. In-page fallback (same pipeline, main thread)
+// The page must already have loaded the libraries (see loadLibraries in config.js)
+function createInPageDetector({ models }) {
+    const trackers = new Map();
+    let rasterContext = null;
+
+    // Copy the frame first: a playing video moves on while the models run, and everything measured
+    // from the pixels has to come from the frame the faces were found on
+    function rasterize(source) {
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!rasterContext) rasterContext = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+        if (rasterContext.canvas.width !== width || rasterContext.canvas.height !== height) {
+            rasterContext.canvas.width = width;
+            rasterContext.canvas.height = height;
+        }
+        rasterContext.drawImage(source, 0, 0, width, height);
+        return rasterContext.getImageData(0, 0, width, height);
+    }
+
+    function copyFrame() {
+        const copy = document.createElement('canvas');
+        copy.width = rasterContext.canvas.width;
+        copy.height = rasterContext.canvas.height;
+        copy.getContext('2d').drawImage(rasterContext.canvas, 0, 0);
+        return copy;
+    }
+
+    return {
+        ready: loadDetectionModels(models).then(() => tf.getBackend()),
+        async analyze(source, sourceKey, timestamp, { keepFrame = false } = {}) {
+            if (!trackers.has(sourceKey)) trackers.set(sourceKey, createFaceTracker(policyTrackerOptions()));
+            const tracker = trackers.get(sourceKey);
+            const pixels = rasterize(source);
+            const frame = keepFrame ? copyFrame() : null;
+            const faces = await analyzeFrame(pixels, tracker, timestamp, sourceKey, pixels);
+            return { faces, worstState: tracker.worstState(), frame };
+        },
+        reset(sourceKey) {
+            trackers.delete(sourceKey);
+            resetDetectionSource(sourceKey);
+        },
+        configure(policy) {
+            setDetectionPolicy(policy);
+            trackers.forEach((tracker) => tracker.configure(policyTrackerOptions().stateMachine));
+        },
+        terminate() {}
+    };
+}
+
+// 3. Client with fallback, adaptive sampling and stats.
+// `assets`: { libraries, models } URLs (or a promise of them) as returned by loadAssetConfig() in config.js
+function createDetectionClient({ backends = preferredBackends(), assets = loadAssetConfig() } = {}) {
+    let detector = null;
+    let mode = null;
+    let backend = null;
+    let latencyMs = null;
+    let policy = null; // Last configure() policy, re-applied if the detector falls back to the main thread
+    let minSampleIntervalMs = MIN_SAMPLE_INTERVAL_MS;
+    let fallback = null; // The main-thread detector starting after the worker crashed
+    const completedAt = []; // Timestamps of recently finished frames, for the FPS readout
+
+    async function startInPage(urls) {
+        detector = createInPageDetector(urls);
+        mode = 'main-thread';
+        if (policy) detector.configure(policy);
+        backend = await detector.ready;
+    }
+
+    async function start() {
+        const urls = await assets;
+        if (workerDetectionSupported()) {
+            const candidate = createWorkerDetector(backends, urls, (error) => {
+                if (detector !== candidate) return;
+                console.warn("Detection worker crashed, analyzing on the main thread:", error);
+                candidate.terminate();
+                backend = null;
+                // Tracks restart from scratch on the new detector, as they would after a reset()
+                fallback = startInPage(urls);
+            });
+            try {
+                backend = await candidate.ready;
+                detector = candidate;
+                mode = 'worker';
+                if (policy) detector.configure(policy);
+                return;
+            } catch (error) {
+                console.warn("Detection worker unavailable, analyzing on the main thread:", error);
+                candidate.terminate();
+            }
+        }
+        await startInPage(urls);
+    }
+
+    const ready = start();
+
+    return {
+        ready,
+        async analyze(source, sourceKey, timestamp, options = {}) {
+            await ready;
+            if (fallback) await fallback;
+            const startedAt = performance.now();
+            const result = await detector.analyze(source, sourceKey, timestamp, options);
+            const elapsed = performance.now() - startedAt;
+
+            latencyMs = smoothLatency(latencyMs, elapsed);
+            const now = performance.now();
+            completedAt.push(now);
+            while (completedAt.length > 0 && now - completedAt[0] > FPS_WINDOW_MS) completedAt.shift();
+
+            return { ...result, latencyMs: elapsed };
+        },
+        reset(sourceKey) {
+            if (detector) detector.reset(sourceKey);
+        },
+        // `next`: { threshold, minFaceSize, maxFaces, sampleRate }. The page keeps its own copy of the
+        // policy too, so page-side verdicts (charts, pre-admission scans) use the same threshold.
+        configure(next) {
+            policy = { threshold: next.threshold, minFaceSize: next.minFaceSize, maxFaces: next.maxFaces };
+            minSampleIntervalMs = Math.max(MIN_SAMPLE_INTERVAL_MS, 1000 / next.sampleRate);
+            setDetectionPolicy(policy);
+            if (detector) detector.configure(policy);
+        },
+        // How long a source loop should wait before sampling its next frame
+        nextSampleDelay() {
+            return sampleDelay(latencyMs, minSampleIntervalMs);
+        },
+        stats() {
+            return {
+                mode,
+                backend,
+                latencyMs,
+                fps: completedAt.length > 1 ? ((completedAt.length - 1) * 1000) / (completedAt[completedAt.length - 1] - completedAt[0]) : 0
+            };
+        }
+    };
+}
+
+// Frees a `frame` returned by analyze(); canvases are simply left to the garbage collector
+function releaseFrame(frame) {
+    if (frame && frame.close) frame.close();
+}
+
+// Small "backend / fps / latency" readout
+function renderDetectionStats(element, stats) {
+    if (!element) return;
+    if (!stats.backend) {
+        element.textContent = '⚙️ Detector starting...';
+        return;
+    }
+    const latency = stats.latencyMs === null ? '--' : stats.latencyMs.toFixed(0);
+    element.textContent = `⚙️ ${stats.backend} (${stats.mode}) · ${stats.fps.toFixed(1)} fps analyzed · ${latency} ms latency`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIN_SAMPLE_INTERVAL_MS,
+        MAX_SAMPLE_INTERVAL_MS,
+        preferredBackends,
+        smoothLatency,
+        sampleDelay,
+        createDetectionClient,
+        releaseFrame,
+        renderDetectionStats
+    };
+}
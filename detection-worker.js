@@ -0,0 +1,93 @@
+// --- Detection Web Worker ---
+// Runs the detector.js pipeline off the main thread. Frames arrive as transferred ImageBitmaps, are
+// rasterized on an OffscreenCanvas and analyzed with whichever TensorFlow.js backend initializes first
+// (WebGL via OffscreenCanvas, then WASM, then plain CPU so it works on machines without a GPU).
+//
+// Messages in:  { type: 'init', backends, libraries, models }  { type: 'analyze', id, sourceKey, timestamp, bitmap, keepFrame }  { type: 'reset', sourceKey }
+//               { type: 'configure', policy } (see setDetectionPolicy in detector.js)
+// Messages out: { type: 'ready', backend }  { type: 'result', id, faces, worstState, inferenceMs, frame }  { type: 'error', id?, message }
+
+// TF.js and the model packages are imported on 'init', from the URLs the page resolved (see config.js)
+importScripts('classifier.js', 'tracker.js', 'lobby.js', 'challenges.js', 'detector.js');
+
+const trackers = new Map(); // sourceKey -> face tracker, so every video keeps its own tracks
+let rasterCanvas = null;
+let rasterContext = null;
+
+async function chooseBackend(preferred, wasmPaths) {
+    if (tf.wasm) tf.wasm.setWasmPaths(wasmPaths);
+
+    for (const name of preferred) {
+        try {
+            if (await tf.setBackend(name)) {
+                await tf.ready();
+                return name;
+            }
+        } catch (error) {
+            console.warn(`TensorFlow.js backend "${name}" unavailable in worker:`, error);
+        }
+    }
+    throw new Error(`None of the backends [${preferred.join(', ')}] could be initialized`);
+}
+
+function rasterize(bitmap) {
+    if (!rasterCanvas || rasterCanvas.width !== bitmap.width || rasterCanvas.height !== bitmap.height) {
+        rasterCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        rasterContext = rasterCanvas.getContext('2d', { willReadFrequently: true });
+    }
+    rasterContext.drawImage(bitmap, 0, 0);
+    return rasterContext.getImageData(0, 0, rasterCanvas.width, rasterCanvas.height);
+}
+
+function trackerFor(sourceKey) {
+    if (!trackers.has(sourceKey)) trackers.set(sourceKey, createFaceTracker(policyTrackerOptions()));
+    return trackers.get(sourceKey);
+}
+
+// With `keepFrame` the analyzed bitmap goes back to the page with the result (e.g. for evidence snapshots)
+async function handleAnalyze({ id, sourceKey, timestamp, bitmap, keepFrame }) {
+    const startedAt = performance.now();
+    const pixels = rasterize(bitmap);
+    if (!keepFrame) bitmap.close();
+    const frame = tf.browser.fromPixels(pixels);
+    try {
+        const tracker = trackerFor(sourceKey);
+        const faces = await analyzeFrame(frame, tracker, timestamp, sourceKey, pixels);
+        self.postMessage({
+            type: 'result',
+            id,
+            // Tracks hold state machines; only plain data crosses back to the page
+            faces: faces.map(({ track, box, landmarks, confidence, state, previous, changed, smoothed, eyeContrast }) => (
+                { track: { id: track.id }, box, landmarks, confidence, state, previous, changed, smoothed, eyeContrast }
+            )),
+            worstState: tracker.worstState(),
+            inferenceMs: performance.now() - startedAt,
+            frame: keepFrame ? bitmap : null
+        }, keepFrame ? [bitmap] : []);
+    } finally {
+        frame.dispose();
+    }
+}
+
+self.onmessage = async ({ data }) => {
+    try {
+        if (data.type === 'init') {
+            const { libraries, models } = data;
+            importScripts(libraries.tfjs, libraries.tfjsWasm, libraries.blazeface, libraries.mobilenet);
+            const backend = await chooseBackend(data.backends, libraries.tfjsWasmPaths);
+            await loadDetectionModels(models);
+            self.postMessage({ type: 'ready', backend });
+        } else if (data.type === 'analyze') {
+            await handleAnalyze(data);
+        } else if (data.type === 'reset') {
+            trackers.delete(data.sourceKey);
+            resetDetectionSource(data.sourceKey);
+        } else if (data.type === 'configure') {
+            setDetectionPolicy(data.policy);
+            trackers.forEach((tracker) => tracker.configure(policyTrackerOptions().stateMachine));
+        }
+    } catch (error) {
+        if (data.bitmap) data.bitmap.close();
+        self.postMessage({ type: 'error', id: data.id, message: error.message || String(error) });
+    }
+};
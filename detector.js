@@ -0,0 +1,116 @@
+// --- Detection Pipeline ---
+// The per-frame pipeline shared by live meetings (app.js) and offline file analysis (analyze.js):
+//   BlazeFace boxes -> face tracks (tracker.js) -> cropped-face classifier (classifier.js) -> per-track state machine.
+
+const REAL_CONFIDENCE_THRESHOLD = 0.7; // Scores at or below this are treated as anomalies
+
+let detectionModel, classificationModel;
+let faceClassifier = null; // Any object implementing `predict(faceTensor, context)`; defaults to the embedding consistency heuristic
+
+// Runtime policy, changed from the host's settings panel via setDetectionPolicy() (see settings.js).
+// Starts out as the values above and in classifier.js.
+const detectionPolicy = {
+    threshold: REAL_CONFIDENCE_THRESHOLD,
+    minFaceSize: MIN_FACE_PIXELS,
+    maxFaces: 10
+};
+
+function setDetectionPolicy({ threshold, minFaceSize, maxFaces }) {
+    Object.assign(detectionPolicy, { threshold, minFaceSize, maxFaces });
+}
+
+// Options for createFaceTracker() / tracker.configure() that follow the policy's threshold
+function policyTrackerOptions() {
+    return { stateMachine: trackOptionsForThreshold(detectionPolicy.threshold) };
+}
+
+// Drop faces below the policy's minimum size, then keep the `maxFaces` most confident ones
+function selectPolicyFaces(predictions) {
+    const score = ({ probability }) => (typeof probability === 'number' ? probability : probability[0]);
+    const faces = predictions.filter(({ topLeft, bottomRight }) => (
+        bottomRight[0] - topLeft[0] >= detectionPolicy.minFaceSize && bottomRight[1] - topLeft[1] >= detectionPolicy.minFaceSize
+    ));
+    if (faces.length <= detectionPolicy.maxFaces) return faces;
+    return faces.sort((a, b) => score(b) - score(a)).slice(0, detectionPolicy.maxFaces);
+}
+
+// Box color and label for each track state (see tracker.js)
+const TRACK_STATE_STYLES = {
+    clean: { color: 'lime', lineWidth: 2, label: 'Consistent' },
+    suspicious: { color: 'orange', lineWidth: 3, label: 'Suspicious' },
+    anomaly: { color: 'red', lineWidth: 4, label: 'Anomaly' }
+};
+
+// MobileNet's default model (v1, alpha 1.0, inputs in [0, 1]), for self-hosted copies of its weights
+const MOBILENET_MODEL_CONFIG = { version: 1, alpha: 1.0, inputRange: [0, 1] };
+
+// 1. Load BlazeFace and the embedding model used by the default face classifier (once).
+// `models`: { blazeface, mobilenet } model.json URLs, null for the packages' defaults (see config.js)
+async function loadDetectionModels(models = {}) {
+    if (!detectionModel) detectionModel = await blazeface.load(models.blazeface ? { modelUrl: models.blazeface } : {});
+    if (!classificationModel) {
+        classificationModel = await mobilenet.load(models.mobilenet ? { ...MOBILENET_MODEL_CONFIG, modelUrl: models.mobilenet } : undefined);
+    }
+    if (!faceClassifier) faceClassifier = createEmbeddingConsistencyClassifier(classificationModel);
+    return { detectionModel, faceClassifier };
+}
+
+function detectionModelsReady() {
+    return Boolean(detectionModel && faceClassifier);
+}
+
+// 2. Run one frame through the pipeline. `keyPrefix` keeps classifier state apart per video source.
+// `pixels` is the same frame as ImageData, for the eye patches of the liveness challenges (challenges.js).
+// Returns one entry per classified face: { track, box, landmarks, confidence, state, previous, changed, smoothed, eyeContrast }
+async function analyzeFrame(source, tracker, timestamp, keyPrefix, pixels = null) {
+    const trackKey = (track) => `${sourceKeyPrefix(keyPrefix)}${track.id}`;
+
+    const predictions = selectPolicyFaces(await detectionModel.estimateFaces(source, false));
+    const { tracks, ended } = tracker.update(predictions, timestamp);
+    ended.forEach((track) => faceClassifier.reset && faceClassifier.reset(trackKey(track)));
+
+    const results = await classifyFaces(source, predictions, faceClassifier, (_, index) => trackKey(tracks[index]));
+
+    return results.map(({ index, box, confidence }) => {
+        const track = tracks[index];
+        const transition = track.machine.push(confidence, timestamp);
+        // BlazeFace landmarks: [rightEye, leftEye, nose, mouth, rightEar, leftEar] as [x, y] pixels
+        const landmarks = predictions[index].landmarks || null;
+        return { track, box, landmarks, confidence, ...transition, eyeContrast: eyePatchContrast(pixels, landmarks) };
+    });
+}
+
+function sourceKeyPrefix(keyPrefix) {
+    return `${keyPrefix}:`;
+}
+
+// Forget all classifier state of one video source. Call it whenever that source's tracker is dropped:
+// the next tracker numbers its tracks from 1 again, and must not inherit the old faces' references.
+function resetDetectionSource(keyPrefix) {
+    if (faceClassifier && faceClassifier.resetPrefix) faceClassifier.resetPrefix(sourceKeyPrefix(keyPrefix));
+}
+
+// 3. Draw the analyzed faces onto an overlay canvas the size of the video frame
+function drawFaceDetections(ctx, faces) {
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    faces.forEach(({ track, box, confidence, state }) => {
+        const style = TRACK_STATE_STYLES[state];
+        ctx.strokeStyle = style.color;
+        ctx.fillStyle = style.color;
+        ctx.lineWidth = style.lineWidth;
+
+        // Draw bounding box
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.width, box.height);
+        ctx.stroke();
+
+        // Draw label
+        ctx.font = '18px Arial';
+        ctx.fillText(`#${track.id} ${style.label} (${(confidence * 100).toFixed(0)}%)`, box.x, box.y > 10 ? box.y - 5 : 10);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REAL_CONFIDENCE_THRESHOLD, setDetectionPolicy, loadDetectionModels, analyzeFrame, resetDetectionSource };
+}
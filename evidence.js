@@ -0,0 +1,244 @@
+// --- Evidence Snapshots ---
+// When a face is confirmed as an anomaly the host keeps evidence of it: the annotated frame (video with
+// the detection overlay composited on top), the face crop, and the score/timestamp. Snapshots live in
+// IndexedDB so they survive a reload, and can be reviewed, deleted or downloaded as a zip.
+
+const EVIDENCE_DB_NAME = 'deepfake-meeting-evidence';
+const EVIDENCE_STORE = 'snapshots';
+const EVIDENCE_IMAGE_TYPE = 'image/jpeg';
+const EVIDENCE_IMAGE_QUALITY = 0.9;
+const FACE_CROP_MARGIN = 0.2; // Extra context around the face box, as a fraction of its size
+
+// 1. Capture
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas capture failed'))), EVIDENCE_IMAGE_TYPE, EVIDENCE_IMAGE_QUALITY);
+    });
+}
+
+// `frame` is the analyzed frame as returned by detectionClient.analyze() with keepFrame (see detection-client.js),
+// so the image and crop show the moment that was flagged; `box` is the face box in its pixels
+// ({ x, y, width, height }, see clampFaceBox in classifier.js). Both images are drawn before the first
+// await, so the caller may release `frame` as soon as this returns.
+async function captureEvidenceImages(frameImage, overlayCanvas, box) {
+    const width = frameImage.width;
+    const height = frameImage.height;
+
+    const frame = document.createElement('canvas');
+    frame.width = width;
+    frame.height = height;
+    const frameCtx = frame.getContext('2d');
+    frameCtx.drawImage(frameImage, 0, 0, width, height);
+    if (overlayCanvas) frameCtx.drawImage(overlayCanvas, 0, 0, width, height);
+
+    const marginX = box.width * FACE_CROP_MARGIN;
+    const marginY = box.height * FACE_CROP_MARGIN;
+    const cropX = Math.max(0, Math.floor(box.x - marginX));
+    const cropY = Math.max(0, Math.floor(box.y - marginY));
+    const cropWidth = Math.min(width, Math.ceil(box.x + box.width + marginX)) - cropX;
+    const cropHeight = Math.min(height, Math.ceil(box.y + box.height + marginY)) - cropY;
+
+    const face = document.createElement('canvas');
+    face.width = cropWidth;
+    face.height = cropHeight;
+    // The crop comes straight from the frame so it has no overlay drawn over the face
+    face.getContext('2d').drawImage(frameImage, cropX, cropY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+
+    const [frameBlob, faceBlob] = await Promise.all([canvasToBlob(frame), canvasToBlob(face)]);
+    return { frameBlob, faceBlob };
+}
+
+// 2. IndexedDB storage
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+let evidenceDbPromise = null;
+
+function openEvidenceDb() {
+    if (!evidenceDbPromise) {
+        const request = indexedDB.open(EVIDENCE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(EVIDENCE_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('capturedAt', 'capturedAt');
+        };
+        evidenceDbPromise = requestToPromise(request);
+    }
+    return evidenceDbPromise;
+}
+
+async function withEvidenceStore(mode, action) {
+    const db = await openEvidenceDb();
+    const transaction = db.transaction(EVIDENCE_STORE, mode);
+    const result = await requestToPromise(action(transaction.objectStore(EVIDENCE_STORE)));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+}
+
+// `snapshot`: { meetingId, peerId, participant, face, confidence, smoothed, capturedAt, frameBlob, faceBlob }
+function saveSnapshot(snapshot) {
+    return withEvidenceStore('readwrite', (store) => store.add(snapshot));
+}
+
+async function listSnapshots() {
+    const snapshots = await withEvidenceStore('readonly', (store) => store.getAll());
+    return snapshots.sort((a, b) => b.capturedAt - a.capturedAt);
+}
+
+function deleteSnapshot(id) {
+    return withEvidenceStore('readwrite', (store) => store.delete(id));
+}
+
+// 3. Zip export (stored entries, no compression - JPEGs don't compress further anyway)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// `files` is [{ name, data }] where data is a string, Uint8Array or Blob
+async function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string'
+            ? encoder.encode(file.data)
+            : file.data instanceof Uint8Array ? file.data : new Uint8Array(await file.data.arrayBuffer());
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);        // Version needed
+        local.setUint16(6, 0x0800, true);    // UTF-8 file names
+        local.setUint16(8, 0, true);         // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);      // Version made by
+        central.setUint16(6, 20, true);      // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Remaining fields (extra, comment, disk, attributes) stay 0
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+function snapshotBaseName(snapshot) {
+    const stamp = new Date(snapshot.capturedAt).toISOString().replace(/[:.]/g, '-');
+    return `snapshot-${snapshot.id}-${(snapshot.participant || 'participant').replace(/\W+/g, '_')}-face${snapshot.face}-${stamp}`;
+}
+
+function snapshotMetadata(snapshot) {
+    const { frameBlob, faceBlob, ...metadata } = snapshot;
+    return { ...metadata, capturedAt: new Date(snapshot.capturedAt).toISOString() };
+}
+
+async function snapshotsToZip(snapshots) {
+    const files = [];
+    snapshots.forEach((snapshot) => {
+        const base = snapshotBaseName(snapshot);
+        files.push({ name: `${base}/frame.jpg`, data: snapshot.frameBlob });
+        files.push({ name: `${base}/face.jpg`, data: snapshot.faceBlob });
+        files.push({ name: `${base}/metadata.json`, data: JSON.stringify(snapshotMetadata(snapshot), null, 2) });
+    });
+    files.push({ name: 'index.json', data: JSON.stringify(snapshots.map(snapshotMetadata), null, 2) });
+    return createZip(files);
+}
+
+// 4. Gallery panel
+let galleryObjectUrls = [];
+
+function renderEvidenceGallery(container, snapshots, { onDelete, onDownload }) {
+    if (!container) return;
+    galleryObjectUrls.forEach((url) => URL.revokeObjectURL(url));
+    galleryObjectUrls = [];
+
+    if (snapshots.length === 0) {
+        container.innerHTML = `<p class="evidence-empty">No snapshots captured yet.</p>`;
+        return;
+    }
+
+    container.innerHTML = '';
+    snapshots.forEach((snapshot) => {
+        const frameUrl = URL.createObjectURL(snapshot.frameBlob);
+        const faceUrl = URL.createObjectURL(snapshot.faceBlob);
+        galleryObjectUrls.push(frameUrl, faceUrl);
+
+        const item = document.createElement('div');
+        item.className = 'evidence-item';
+        item.innerHTML = `
+            <a href="${frameUrl}" target="_blank" title="Open annotated frame"><img src="${frameUrl}" alt="Annotated frame"></a>
+            <img class="evidence-face" src="${faceUrl}" alt="Face crop">
+            <div class="evidence-meta">
+                <strong></strong><br>
+                ${(snapshot.confidence * 100).toFixed(1)}% consistent &middot; ${new Date(snapshot.capturedAt).toLocaleString()}
+            </div>
+            <div class="evidence-actions">
+                <button class="evidence-download" title="Download">⬇️</button>
+                <button class="evidence-delete" title="Delete">🗑️</button>
+            </div>
+        `;
+        item.querySelector('strong').textContent = `${snapshot.participant} · Face #${snapshot.face}`;
+        item.querySelector('.evidence-download').addEventListener('click', () => onDownload(snapshot));
+        item.querySelector('.evidence-delete').addEventListener('click', () => onDelete(snapshot));
+        container.appendChild(item);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { crc32, createZip };
+}
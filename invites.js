@@ -0,0 +1,158 @@
+// --- Meeting Invites ---
+// The host creates named invites for its current meeting ID. Each has an expiry and can be used once,
+// and is shared as a link: meeting.html?id=<meeting ID>&invite=<token>. There is no server, so the
+// host's invite book (kept in host.html's memory) is the only authority: meeting.html checks the
+// token's format and embedded expiry before joining, then sends it to the host (MESSAGE_TYPES.INVITE),
+// which redeems it and answers with the expected name or a reason for rejecting it.
+
+const INVITE_TOKEN_PATTERN = /^[0-9a-z]+-[0-9a-f]{16}$/; // "<expiry, base 36>-<random hex>"
+const INVITE_NAME_MAX_LENGTH = 40;
+const INVITE_EXPIRY_MINUTES = [15, 60, 240, 1440]; // Options offered on host.html
+const DEFAULT_INVITE_EXPIRY_MINUTES = 60;
+
+const INVITE_STATUS = Object.freeze({
+    ACTIVE: 'active',
+    USED: 'used',
+    EXPIRED: 'expired',
+    REVOKED: 'revoked'
+});
+
+function formatInviteTime(t) {
+    return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// User-facing reasons, shared by the host's rejection and meeting.html's own pre-join check
+const INVITE_REJECTIONS = {
+    malformed: () => "This invite link is damaged or incomplete. Ask the host to send it again.",
+    unknown: () => "This invite link is not valid for this meeting. Ask the host for a new one.",
+    expired: (invite) => `This invite link expired at ${formatInviteTime(invite.expiresAt)}. Ask the host for a new one.`,
+    used: () => "This invite link has already been used. Each invite works for one person only.",
+    revoked: () => "The host has cancelled this invite."
+};
+
+// 1. Tokens
+function generateInviteToken(expiresAt) {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    return `${expiresAt.toString(36)}-${Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Returns { token, expiresAt }, or null when it isn't a token at all
+function parseInviteToken(raw) {
+    const token = String(raw || '').trim().toLowerCase();
+    if (!INVITE_TOKEN_PATTERN.test(token)) return null;
+    return { token, expiresAt: parseInt(token.split('-')[0], 36) };
+}
+
+// meeting.html's pre-join check; the host still decides (the token could be unknown, used or revoked)
+function inviteTokenError(raw, now = Date.now()) {
+    const parsed = parseInviteToken(raw);
+    if (!parsed) return INVITE_REJECTIONS.malformed();
+    if (parsed.expiresAt <= now) return INVITE_REJECTIONS.expired(parsed);
+    return null;
+}
+
+function inviteFromUrl(search = window.location.search) {
+    return new URLSearchParams(search).get('invite');
+}
+
+function buildInviteTokenLink(meetingId, token) {
+    const url = new URL(buildInviteLink(meetingId)); // meeting-id.js
+    url.searchParams.set('invite', token);
+    return url.toString();
+}
+
+// 2. index.html: accept a pasted invite link or a bare meeting code.
+// Returns { meetingId, invite, search } (search holds only the meeting ID and invite) or { error }.
+function parseJoinInput(raw) {
+    const text = String(raw || '').trim();
+    if (!text) return { error: "Paste an invite link or enter a meeting code." };
+
+    let params = null;
+    try {
+        params = new URL(text).searchParams;
+    } catch (error) {
+        if (text.includes('?')) params = new URLSearchParams(text.slice(text.indexOf('?')));
+    }
+
+    if (!params) {
+        const meetingId = normalizeMeetingId(text);
+        const error = validateMeetingId(meetingId);
+        return error ? { error } : { meetingId, invite: null, search: `?id=${meetingId}` };
+    }
+
+    const meetingId = normalizeMeetingId(params.get('id'));
+    const error = validateMeetingId(meetingId);
+    if (error) return { error: "That link has no valid meeting ID. Ask the host to send it again." };
+    const invite = params.get('invite');
+    const search = new URLSearchParams({ id: meetingId });
+    if (invite) {
+        const inviteError = inviteTokenError(invite);
+        if (inviteError) return { error: inviteError };
+        search.set('invite', invite);
+    }
+    return { meetingId, invite, search: `?${search.toString()}` };
+}
+
+// 3. The host's invite book for one meeting ID
+function inviteStatus(invite, now = Date.now()) {
+    if (invite.revokedAt) return INVITE_STATUS.REVOKED;
+    if (invite.usedBy) return INVITE_STATUS.USED;
+    if (invite.expiresAt <= now) return INVITE_STATUS.EXPIRED;
+    return INVITE_STATUS.ACTIVE;
+}
+
+function createInviteBook(meetingId, { now = () => Date.now() } = {}) {
+    const invites = new Map(); // token -> { token, name, meetingId, createdAt, expiresAt, usedBy, usedAt, revokedAt }
+
+    return {
+        create(name, expiryMinutes = DEFAULT_INVITE_EXPIRY_MINUTES) {
+            const cleanName = String(name || '').replace(/\s+/g, ' ').trim().slice(0, INVITE_NAME_MAX_LENGTH);
+            if (!cleanName) throw new Error("Please enter the participant's name.");
+            const createdAt = now();
+            const expiresAt = createdAt + expiryMinutes * 60 * 1000;
+            const invite = { token: generateInviteToken(expiresAt), name: cleanName, meetingId, createdAt, expiresAt, usedBy: null, usedAt: null, revokedAt: null };
+            invites.set(invite.token, invite);
+            return invite;
+        },
+        // Single use, but the same peer may redeem again (it re-sends the token after every reconnect).
+        // Returns { accepted: true, invite } or { accepted: false, reason }.
+        redeem(raw, peerId) {
+            const parsed = parseInviteToken(raw);
+            if (!parsed) return { accepted: false, reason: INVITE_REJECTIONS.malformed() };
+            const invite = invites.get(parsed.token);
+            if (!invite || invite.meetingId !== meetingId) return { accepted: false, reason: INVITE_REJECTIONS.unknown() };
+            if (invite.usedBy === peerId) return { accepted: true, invite };
+
+            const status = inviteStatus(invite, now());
+            if (status !== INVITE_STATUS.ACTIVE) return { accepted: false, reason: INVITE_REJECTIONS[status](invite) };
+            invite.usedBy = peerId;
+            invite.usedAt = now();
+            return { accepted: true, invite };
+        },
+        revoke(token) {
+            const invite = invites.get(token);
+            if (invite && !invite.revokedAt) invite.revokedAt = now();
+            return invite || null;
+        },
+        // The redeemed invite of a peer, if any
+        forPeer(peerId) {
+            return Array.from(invites.values()).find((invite) => invite.usedBy === peerId) || null;
+        },
+        list() {
+            return Array.from(invites.values()).map((invite) => ({ ...invite, status: inviteStatus(invite, now()) }));
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INVITE_STATUS,
+        generateInviteToken,
+        parseInviteToken,
+        inviteTokenError,
+        parseJoinInput,
+        inviteStatus,
+        createInviteBook
+    };
+}
@@ -0,0 +1,183 @@
+// --- Pre-Join Lobby ---
+// Before a participant calls the host they see a camera preview with live BlazeFace tracking and
+// guidance on lighting and face visibility, plus the analysis notice they must accept. The accepted
+// notice becomes a consent record that is sent to the host (MESSAGE_TYPES.CONSENT, see protocol.js);
+// the host does not analyze a participant without one.
+
+const CONSENT_NOTICE_VERSION = 1; // Bump whenever the notice wording in meeting.html changes
+
+const FACE_CHECK_INTERVAL_MS = 200;  // The lobby only needs a few checks per second
+const FACE_CHECK_SCORE_THRESHOLD = 0.70;
+const LIGHTING_SAMPLE_WIDTH = 64;    // Lighting is measured on a downscaled copy of the frame
+const MIN_BRIGHTNESS = 60;           // Mean luma (0-255) below this is too dark
+const MAX_BRIGHTNESS = 210;          // ...above this is overexposed
+const MIN_CONTRAST = 20;             // Luma standard deviation below this is washed out
+const BACKLIGHT_MARGIN = 40;         // Face this much darker than the frame means a light behind the person
+const MIN_FACE_WIDTH_FRACTION = 0.15;
+const MAX_FACE_WIDTH_FRACTION = 0.7;
+const MAX_CENTER_OFFSET = 0.25;      // Face center may be this far (fraction of the frame) from the middle
+
+// 1. Measurements
+function lumaAt(data, offset) {
+    return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+}
+
+// Mean brightness and contrast of an ImageData, optionally restricted to a { x, y, width, height } region
+function measureLighting(imageData, region = null) {
+    const { data, width, height } = imageData;
+    const x0 = region ? Math.max(0, Math.floor(region.x)) : 0;
+    const y0 = region ? Math.max(0, Math.floor(region.y)) : 0;
+    const x1 = region ? Math.min(width, Math.ceil(region.x + region.width)) : width;
+    const y1 = region ? Math.min(height, Math.ceil(region.y + region.height)) : height;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            const luma = lumaAt(data, (y * width + x) * 4);
+            sum += luma;
+            sumSquares += luma * luma;
+            count++;
+        }
+    }
+    if (count === 0) return null;
+    const brightness = sum / count;
+    return { brightness, contrast: Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness)) };
+}
+
+// 2. Guidance: [{ level: 'ok' | 'warn' | 'bad', text }] for BlazeFace predictions on a width x height frame.
+// `lighting` and `faceLighting` come from measureLighting on the whole frame and on the face box.
+function selfCheckGuidance({ predictions, width, height, lighting, faceLighting = null }) {
+    const guidance = [];
+
+    if (predictions.length === 0) {
+        guidance.push({ level: 'bad', text: 'No face detected. Face the camera and make sure nothing covers it.' });
+    } else if (predictions.length > 1) {
+        guidance.push({ level: 'warn', text: `${predictions.length} faces in view. Only you should be in the frame.` });
+    } else {
+        const [x1, y1] = predictions[0].topLeft;
+        const [x2, y2] = predictions[0].bottomRight;
+        const faceWidth = (x2 - x1) / width;
+        const offsetX = Math.abs((x1 + x2) / 2 / width - 0.5);
+        const offsetY = Math.abs((y1 + y2) / 2 / height - 0.5);
+
+        if (faceWidth < MIN_FACE_WIDTH_FRACTION) {
+            guidance.push({ level: 'warn', text: 'Your face is small in the frame. Move closer to the camera.' });
+        } else if (faceWidth > MAX_FACE_WIDTH_FRACTION) {
+            guidance.push({ level: 'warn', text: 'You are very close to the camera. Move back a little.' });
+        }
+        if (offsetX > MAX_CENTER_OFFSET || offsetY > MAX_CENTER_OFFSET || x1 < 0 || y1 < 0 || x2 > width || y2 > height) {
+            guidance.push({ level: 'warn', text: 'Center your face in the preview.' });
+        }
+        if (guidance.length === 0) guidance.push({ level: 'ok', text: 'Face clearly visible.' });
+    }
+
+    if (lighting) {
+        if (lighting.brightness < MIN_BRIGHTNESS) {
+            guidance.push({ level: 'bad', text: 'The image is too dark. Turn on a light in front of you.' });
+        } else if (lighting.brightness > MAX_BRIGHTNESS) {
+            guidance.push({ level: 'warn', text: 'The image is overexposed. Reduce direct light on the camera.' });
+        } else if (faceLighting && lighting.brightness - faceLighting.brightness > BACKLIGHT_MARGIN) {
+            guidance.push({ level: 'warn', text: 'Your face is backlit. Avoid sitting with a window or lamp behind you.' });
+        } else if (lighting.contrast < MIN_CONTRAST) {
+            guidance.push({ level: 'warn', text: 'The image looks washed out. Try more even lighting.' });
+        } else {
+            guidance.push({ level: 'ok', text: 'Lighting looks good.' });
+        }
+    }
+    return guidance;
+}
+
+// 3. Consent record sent to the host once the participant accepts the notice
+function createConsentRecord(meetingId, now = Date.now()) {
+    return {
+        accepted: true,
+        noticeVersion: CONSENT_NOTICE_VERSION,
+        meetingId,
+        acceptedAt: new Date(now).toISOString()
+    };
+}
+
+// Host side: only an accepted record for the current notice counts as consent
+function isValidConsent(record) {
+    return Boolean(record && record.accepted === true && record.noticeVersion === CONSENT_NOTICE_VERSION);
+}
+
+// 4. Live face check on a <video> (shared with the index page preview)
+// `onResult({ predictions, guidance })` is called after every check; the next check is only scheduled
+// once the previous one has finished, so slow machines never queue up calls.
+// `modelUrl`: self-hosted BlazeFace weights (see loadAssetConfig in config.js), null for the package default
+function createFaceCheck(videoElement, { onResult, withGuidance = true, modelUrl = null } = {}) {
+    let faceDetector = null;
+    let timer = null;
+    let stopped = false;
+    const sampleCanvas = document.createElement('canvas');
+    const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+    function sampleLighting(predictions) {
+        const scale = LIGHTING_SAMPLE_WIDTH / videoElement.videoWidth;
+        sampleCanvas.width = LIGHTING_SAMPLE_WIDTH;
+        sampleCanvas.height = Math.max(1, Math.round(videoElement.videoHeight * scale));
+        sampleCtx.drawImage(videoElement, 0, 0, sampleCanvas.width, sampleCanvas.height);
+        const imageData = sampleCtx.getImageData(0, 0, sampleCanvas.width, sampleCanvas.height);
+
+        let faceLighting = null;
+        if (predictions.length === 1) {
+            const [x1, y1] = predictions[0].topLeft;
+            const [x2, y2] = predictions[0].bottomRight;
+            faceLighting = measureLighting(imageData, { x: x1 * scale, y: y1 * scale, width: (x2 - x1) * scale, height: (y2 - y1) * scale });
+        }
+        return { lighting: measureLighting(imageData), faceLighting };
+    }
+
+    async function check() {
+        if (stopped) return;
+        if (videoElement.readyState >= 2 && videoElement.videoWidth > 0) {
+            const predictions = await faceDetector.estimateFaces(videoElement, false);
+            if (stopped) return;
+            const guidance = withGuidance
+                ? selfCheckGuidance({ predictions, width: videoElement.videoWidth, height: videoElement.videoHeight, ...sampleLighting(predictions) })
+                : [];
+            onResult({ predictions, guidance });
+        }
+        timer = setTimeout(check, FACE_CHECK_INTERVAL_MS);
+    }
+
+    return {
+        async start() {
+            faceDetector = await blazeface.load({ scoreThreshold: FACE_CHECK_SCORE_THRESHOLD, ...(modelUrl ? { modelUrl } : {}) });
+            check();
+        },
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+        }
+    };
+}
+
+// Overlay boxes for the lobby preview
+function drawFaceCheck(ctx, predictions) {
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.strokeStyle = 'lime';
+    ctx.lineWidth = 2;
+    predictions.forEach(({ topLeft, bottomRight }) => {
+        ctx.strokeRect(topLeft[0], topLeft[1], bottomRight[0] - topLeft[0], bottomRight[1] - topLeft[1]);
+    });
+}
+
+function renderGuidance(element, guidance) {
+    if (!element) return;
+    const icons = { ok: '✅', warn: '🟡', bad: '❌' };
+    element.innerHTML = '';
+    guidance.forEach(({ level, text }) => {
+        const item = document.createElement('li');
+        item.className = `guidance-${level}`;
+        item.textContent = `${icons[level]} ${text}`;
+        element.appendChild(item);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONSENT_NOTICE_VERSION, measureLighting, selfCheckGuidance, createConsentRecord, isValidConsent };
+}
@@ -0,0 +1,97 @@
+// --- Mic / Camera Controls ---
+// Mute and video-off enable/disable the real local MediaStream tracks (so the remote side receives
+// silence / black frames without renegotiating), and device switches swap tracks in place on every
+// active RTCPeerConnection with `replaceTrack`.
+
+// `getStream()` returns the local MediaStream; `getPeerConnections()` returns the RTCPeerConnections
+// currently sending it; `onChange({ audio, video })` runs after every mute / video toggle.
+function createMediaControls({ getStream, getPeerConnections, onChange = () => {} }) {
+    function tracksOf(kind) {
+        const stream = getStream();
+        if (!stream) return [];
+        return kind === 'audio' ? stream.getAudioTracks() : stream.getVideoTracks();
+    }
+
+    function isEnabled(kind) {
+        const tracks = tracksOf(kind);
+        return tracks.length > 0 && tracks.every((track) => track.enabled);
+    }
+
+    function state() {
+        return { audio: isEnabled('audio'), video: isEnabled('video') };
+    }
+
+    function setEnabled(kind, enabled) {
+        tracksOf(kind).forEach((track) => { track.enabled = enabled; });
+        onChange(state());
+        return enabled;
+    }
+
+    // Swap the local camera or mic for another device without dropping the call
+    async function switchDevice(kind, deviceId) {
+        const stream = getStream();
+        if (!stream) return;
+
+        const constraints = kind === 'audio'
+            ? { audio: { deviceId: { exact: deviceId } } }
+            : { video: { deviceId: { exact: deviceId } } };
+        const newStream = await navigator.mediaDevices.getUserMedia(constraints);
+        const newTrack = kind === 'audio' ? newStream.getAudioTracks()[0] : newStream.getVideoTracks()[0];
+        const oldTrack = tracksOf(kind)[0];
+
+        newTrack.enabled = oldTrack ? oldTrack.enabled : true;
+
+        await Promise.all(getPeerConnections().map((connection) => {
+            const sender = connection.getSenders().find((s) => s.track && s.track.kind === kind);
+            return sender ? sender.replaceTrack(newTrack) : null;
+        }));
+
+        if (oldTrack) {
+            stream.removeTrack(oldTrack);
+            oldTrack.stop();
+        }
+        stream.addTrack(newTrack);
+        return newTrack;
+    }
+
+    // Fill <select> elements with the available devices, keeping the one in use selected
+    async function populateDeviceSelect(select, kind) {
+        if (!select || !navigator.mediaDevices.enumerateDevices) return;
+        const deviceKind = kind === 'audio' ? 'audioinput' : 'videoinput';
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter((device) => device.kind === deviceKind);
+        const current = tracksOf(kind)[0];
+        const currentId = current && current.getSettings ? current.getSettings().deviceId : null;
+
+        select.innerHTML = '';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `${kind === 'audio' ? 'Microphone' : 'Camera'} ${index + 1}`;
+            option.selected = device.deviceId === currentId;
+            select.appendChild(option);
+        });
+        select.disabled = devices.length < 2;
+    }
+
+    return {
+        isEnabled,
+        state,
+        toggleAudio: () => setEnabled('audio', !isEnabled('audio')),
+        toggleVideo: () => setEnabled('video', !isEnabled('video')),
+        switchDevice,
+        populateDeviceSelect
+    };
+}
+
+// Small overlay showing a remote side's muted / camera-off state
+function renderMediaBadges(element, media) {
+    if (!element) return;
+    const badges = [];
+    if (media && media.audio === false) badges.push('<span class="media-badge">🔇 Muted</span>');
+    if (media && media.video === false) badges.push('<span class="media-badge">📷 Camera Off</span>');
+    element.innerHTML = badges.join('');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createMediaControls, renderMediaBadges };
+}
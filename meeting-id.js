@@ -0,0 +1,76 @@
+// --- Meeting Identity ---
+// One meeting ID is used everywhere: it is the host's PeerJS peer ID, the code shown on host.html,
+// the `?id=` in invite links and what meeting.html validates and calls. IDs are 8 uppercase hex chars.
+
+const MEETING_ID_LENGTH = 8;
+const MEETING_ID_PATTERN = /^[0-9A-F]{8}$/;
+const MAX_MEETING_ID_ATTEMPTS = 5; // New IDs to try if the signaling server says one is already taken
+
+// 1. Generate a random, shareable meeting ID
+function generateMeetingId() {
+    const bytes = new Uint8Array(MEETING_ID_LENGTH / 2);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// 2. Accept what people actually paste: lower case, spaces or dashes ("ab12-cd34")
+function normalizeMeetingId(raw) {
+    return String(raw || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// Returns a user-facing error message, or null when the ID is valid
+function validateMeetingId(meetingId) {
+    if (!meetingId) return "Please enter a Meeting ID.";
+    if (!MEETING_ID_PATTERN.test(meetingId)) return `Invalid Meeting ID format. Must be an ${MEETING_ID_LENGTH}-character code (0-9, A-F).`;
+    return null;
+}
+
+// 3. Invite links point at meeting.html next to the current page, which loads the same peer-config.json
+function buildInviteLink(meetingId) {
+    const url = new URL('meeting.html', window.location.href);
+    url.searchParams.set('id', meetingId);
+    return url.toString();
+}
+
+function meetingIdFromUrl(search = window.location.search) {
+    const id = new URLSearchParams(search).get('id');
+    return id ? normalizeMeetingId(id) : null;
+}
+
+// 4. Register the host's Peer under a generated meeting ID, picking a new one on an 'unavailable-id' collision.
+// Resolves with `{ peer, meetingId }` once the signaling server has accepted the ID.
+function openHostPeer(config, maxAttempts = MAX_MEETING_ID_ATTEMPTS) {
+    return new Promise((resolve, reject) => {
+        let attempts = 0;
+
+        const tryOpen = () => {
+            attempts++;
+            const meetingId = generateMeetingId();
+            const candidate = new Peer(meetingId, config);
+
+            const onOpen = () => {
+                candidate.off('error', onError);
+                resolve({ peer: candidate, meetingId });
+            };
+            const onError = (err) => {
+                candidate.off('open', onOpen);
+                candidate.destroy();
+                if (err.type === 'unavailable-id' && attempts < maxAttempts) {
+                    console.warn(`Meeting ID ${meetingId} is taken, generating another one...`);
+                    tryOpen();
+                } else {
+                    reject(err);
+                }
+            };
+
+            candidate.once('open', onOpen);
+            candidate.once('error', onError);
+        };
+
+        tryOpen();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MEETING_ID_LENGTH, generateMeetingId, normalizeMeetingId, validateMeetingId, meetingIdFromUrl };
+}
@@ -0,0 +1,196 @@
+// --- Message Channel ---
+// Wraps the PeerJS DataConnection between host and one participant so callers never deal with a raw
+// connection: messages go through protocol.js, acked types are re-sent until acknowledged (and
+// de-duplicated on the receiving side), and the channel survives its connection dropping.
+// The participant side passes `connect` and redials with exponential backoff; the host side can't
+// dial a participant, so it waits for the participant's new connection and `attach`es it.
+// Anything acked that could not be delivered while disconnected is flushed, in order, on reconnect.
+
+const ACK_TIMEOUT_MS = 3000;
+const MAX_SEND_ATTEMPTS = 5;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const SEEN_MESSAGE_LIMIT = 500; // Message IDs remembered for de-duplication
+
+const CHANNEL_STATUS = Object.freeze({
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting',
+    CLOSED: 'closed'
+});
+
+// `connect()` returns a new DataConnection, or nothing if it can't dial right now (participant side only).
+// Callbacks: onMessage(message), onOpen() after every (re)connect, onStatusChange(status), onVersionMismatch(version)
+function createMessageChannel({ connect = null, onMessage, onOpen, onStatusChange, onVersionMismatch } = {}) {
+    let conn = null;
+    let status = CHANNEL_STATUS.CONNECTING;
+    let closed = false;
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    const unacked = new Map(); // message id -> { message, attempts, timer, resolve }
+    const seen = [];
+    const seenIds = new Set();
+
+    function setStatus(next) {
+        if (status === next) return;
+        status = next;
+        if (onStatusChange) onStatusChange(status);
+    }
+
+    function transmit(message) {
+        if (!conn || !conn.open) return false;
+        conn.send(message);
+        return true;
+    }
+
+    function settle(id, delivered) {
+        const entry = unacked.get(id);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        unacked.delete(id);
+        entry.resolve(delivered);
+    }
+
+    // Each transmission waits ACK_TIMEOUT_MS for its ack; attempts only count while connected
+    function attempt(entry) {
+        clearTimeout(entry.timer);
+        if (!transmit(entry.message)) return; // Flushed again on the next open
+        entry.attempts++;
+        entry.timer = setTimeout(() => {
+            if (entry.attempts >= MAX_SEND_ATTEMPTS) settle(entry.message.id, false);
+            else attempt(entry);
+        }, ACK_TIMEOUT_MS);
+    }
+
+    function remember(id) {
+        if (seenIds.has(id)) return false;
+        seenIds.add(id);
+        seen.push(id);
+        if (seen.length > SEEN_MESSAGE_LIMIT) seenIds.delete(seen.shift());
+        return true;
+    }
+
+    function handleOpen(source) {
+        if (source !== conn) return;
+        reconnectAttempts = 0;
+        setStatus(CHANNEL_STATUS.OPEN);
+        if (onOpen) onOpen();
+        unacked.forEach((entry) => attempt(entry));
+    }
+
+    function handleData(source, data) {
+        if (source !== conn) return;
+        const foreign = foreignProtocolVersion(data);
+        if (foreign !== null) {
+            if (onVersionMismatch) onVersionMismatch(foreign);
+            return;
+        }
+        const message = parseMessage(data);
+        if (!message) {
+            console.warn("Ignoring unrecognized data channel message:", data);
+            return;
+        }
+        if (message.type === MESSAGE_TYPES.ACK) {
+            settle(message.payload.id, true);
+            return;
+        }
+        if (message.ack && message.id) transmit(createMessage(MESSAGE_TYPES.ACK, { id: message.id }));
+        // A re-sent message whose ack got lost is acknowledged again but not handled twice
+        if (message.id && !remember(message.id)) return;
+        onMessage(message);
+    }
+
+    function handleClose(source) {
+        if (source !== conn) return;
+        conn = null;
+        unacked.forEach((entry) => clearTimeout(entry.timer));
+        if (closed) return;
+        if (connect) scheduleReconnect();
+        else setStatus(CHANNEL_STATUS.RECONNECTING);
+    }
+
+    function scheduleReconnect() {
+        if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            channel.close();
+            return;
+        }
+        setStatus(CHANNEL_STATUS.RECONNECTING);
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+        reconnectAttempts++;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (!closed) dial();
+        }, delay);
+    }
+
+    // PeerJS's connect() returns undefined while the Peer is off the signaling server; that counts
+    // as a failed attempt and is retried with the same backoff as a dropped connection
+    function dial() {
+        const nextConn = connect();
+        if (nextConn) channel.attach(nextConn);
+        else scheduleReconnect();
+    }
+
+    const channel = {
+        // Use `conn` from now on; a previous connection's late events are ignored
+        attach(nextConn) {
+            if (closed) {
+                nextConn.close();
+                return;
+            }
+            if (conn && conn !== nextConn) conn.close();
+            conn = nextConn;
+            nextConn.on('open', () => handleOpen(nextConn));
+            nextConn.on('data', (data) => handleData(nextConn, data));
+            nextConn.on('close', () => handleClose(nextConn));
+            nextConn.on('error', (error) => {
+                console.warn("Data channel error:", error);
+                handleClose(nextConn);
+            });
+            if (nextConn.open) handleOpen(nextConn);
+        },
+        // Resolves true once delivered (acked types) or handed to an open connection, otherwise false
+        send(type, payload = {}) {
+            const message = createMessage(type, payload);
+            if (!message.ack) return Promise.resolve(transmit(message));
+            if (closed) return Promise.resolve(false);
+            return new Promise((resolve) => {
+                const entry = { message, attempts: 0, timer: null, resolve };
+                unacked.set(message.id, entry);
+                attempt(entry);
+            });
+        },
+        close() {
+            if (closed) return;
+            closed = true;
+            clearTimeout(reconnectTimer);
+            Array.from(unacked.keys()).forEach((id) => settle(id, false));
+            if (conn) conn.close();
+            conn = null;
+            setStatus(CHANNEL_STATUS.CLOSED);
+        },
+        // Participant side: dial again now, e.g. after the signaling connection came back
+        reconnect() {
+            if (closed || !connect) return;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            reconnectAttempts = 0;
+            setStatus(CHANNEL_STATUS.RECONNECTING);
+            dial();
+        },
+        get status() {
+            return status;
+        },
+        get open() {
+            return status === CHANNEL_STATUS.OPEN;
+        }
+    };
+
+    if (connect) dial();
+    return channel;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CHANNEL_STATUS, createMessageChannel };
+}
@@ -0,0 +1,81 @@
+// --- Data Channel Protocol ---
+// Typed, versioned messages exchanged over a PeerJS DataConnection between host and participants.
+// Every message is a plain object `{ v, id, type, payload, sentAt, ack }` so PeerJS can serialize it as-is.
+// Messages with `ack: true` are acknowledged by the receiver and re-sent until they are (see message-channel.js).
+
+const PROTOCOL_VERSION = 3; // Bump on incompatible changes; peers on another version are asked to reload
+
+const MESSAGE_TYPES = Object.freeze({
+    HELLO: 'hello',             // host -> participant: payload { text, protocolVersion, label } on every (re)connect
+    KICK: 'kick',               // host -> participant: you have been removed, payload.reason says why
+    MEDIA_STATE: 'media-state', // both ways: payload { audio, video } says whether mic / camera are on
+    CONSENT: 'consent',         // participant -> host: payload is the consent record (see lobby.js)
+    CHALLENGE: 'challenge',     // host -> participant: payload { id, type, instruction, timeoutMs } (see challenges.js)
+    CHALLENGE_RESULT: 'challenge-result', // host -> participant: payload { id, passed }
+    CHAT: 'chat',               // both ways: payload { text, from }; the host relays participant chat to everyone
+    PRESENCE: 'presence',       // host -> participant: payload { participants: [{ peerId, label }] }
+    ANALYSIS_NOTICE: 'analysis-notice', // host -> participant: payload { kind, state, text } (see app.js)
+    INVITE: 'invite',           // participant -> host: payload { token } from the invite link (see invites.js)
+    INVITE_RESULT: 'invite-result', // host -> participant: payload { accepted, name, reason }
+    ADMISSION: 'admission',     // host -> participant: payload { status: 'waiting' | 'admitted' | 'denied', reason }
+    PREVIEW: 'preview',         // participant -> host while waiting: payload { image } JPEG data URL for the waiting room thumbnail
+    SCAN_REQUEST: 'scan-request', // host -> participant while waiting: payload { id, durationMs, fps } (see admission.js)
+    SCAN_FRAME: 'scan-frame',   // participant -> host: payload { scanId, t, image, last } one frame of that scan
+    LEAVE: 'leave',             // participant -> host: explicit hang-up, so the host frees the seat instead of holding it for a reconnect
+    END: 'end',                 // host -> participant: the host ended the meeting, so the closing call is not a drop to redial
+    ACK: 'ack'                  // both ways: payload { id } of a received message that asked for an ack
+});
+
+// Delivery of these matters; state snapshots (media state, presence) are simply re-sent on reconnect instead
+const ACKED_MESSAGE_TYPES = new Set([
+    MESSAGE_TYPES.KICK,
+    MESSAGE_TYPES.CONSENT,
+    MESSAGE_TYPES.CHALLENGE,
+    MESSAGE_TYPES.CHALLENGE_RESULT,
+    MESSAGE_TYPES.CHAT,
+    MESSAGE_TYPES.ANALYSIS_NOTICE,
+    MESSAGE_TYPES.INVITE,
+    MESSAGE_TYPES.INVITE_RESULT,
+    MESSAGE_TYPES.ADMISSION,
+    MESSAGE_TYPES.SCAN_REQUEST,
+    MESSAGE_TYPES.LEAVE,
+    MESSAGE_TYPES.END
+]);
+
+let messageCounter = 0;
+
+function createMessage(type, payload = {}) {
+    return {
+        v: PROTOCOL_VERSION,
+        id: `${Date.now().toString(36)}-${(++messageCounter).toString(36)}`,
+        type,
+        payload,
+        sentAt: Date.now(),
+        ack: ACKED_MESSAGE_TYPES.has(type)
+    };
+}
+
+// Returns the message if it is a well-formed protocol message of a known type and this version, otherwise null
+function parseMessage(data) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') return null;
+    if (data.v !== PROTOCOL_VERSION) return null;
+    if (!Object.values(MESSAGE_TYPES).includes(data.type)) return null;
+    return {
+        v: data.v,
+        id: typeof data.id === 'string' ? data.id : null,
+        type: data.type,
+        payload: data.payload || {},
+        sentAt: data.sentAt || null,
+        ack: data.ack === true
+    };
+}
+
+// The version a peer speaks, when it sent something that looks like a message from another version
+function foreignProtocolVersion(data) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') return null;
+    return data.v === PROTOCOL_VERSION ? null : (data.v ?? 1);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROTOCOL_VERSION, MESSAGE_TYPES, createMessage, parseMessage, foreignProtocolVersion };
+}
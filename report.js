@@ -0,0 +1,198 @@
+// --- Session Integrity Report ---
+// Turns a report object from createSessionRecorder().buildReport() into downloadable JSON, CSV
+// and a self-contained printable HTML summary.
+
+// Face scores come from the embedding consistency heuristic (classifier.js), so state what they can't catch
+const FACE_SCORE_NOTE = 'Face scores measure how consistent each face stays with its own first appearance in the session. ' +
+    'They are not a real/fake verdict: a face that is synthetic from its first frame scores as consistent and is not flagged.';
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (char) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.round(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return hours > 0 ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+}
+
+function reportFileName(report, extension) {
+    const date = (report.startedAt || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, '-');
+    return `integrity-report-${report.meetingId || 'session'}-${date}.${extension}`;
+}
+
+// 1. JSON
+function reportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// 2. CSV: one long-format table so every record type lands in the same spreadsheet
+const REPORT_CSV_COLUMNS = ['record_type', 'timestamp', 'elapsed_s', 'participant', 'peer_id', 'face', 'value', 'state', 'details'];
+
+// Participant names and event details come from peers; a leading =, +, - or @ would make a spreadsheet
+// evaluate the cell as a formula, so such cells are prefixed with ' to keep them as text
+function csvCell(value) {
+    const raw = String(value ?? '');
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function reportToCsv(report) {
+    const rows = [REPORT_CSV_COLUMNS];
+    const elapsed = (ms) => (ms / 1000).toFixed(2);
+
+    report.scores.forEach((sample) => {
+        rows.push(['score', sample.t, elapsed(sample.elapsedMs), sample.participant, sample.peerId, sample.face,
+            sample.confidence.toFixed(4), sample.state, `smoothed=${sample.smoothed.toFixed(4)}`]);
+    });
+    report.integrityTimeline.forEach((point) => {
+        rows.push(['integrity', point.t, elapsed(point.elapsedMs), '', '', '', point.score.toFixed(1), '', '']);
+    });
+    report.flaggedIntervals.forEach((interval) => {
+        rows.push(['flagged_interval', interval.start, '', interval.participant, interval.peerId, interval.face,
+            interval.minConfidence.toFixed(4), 'anomaly', `end=${interval.end || 'open'};duration_s=${elapsed(interval.durationMs)}`]);
+    });
+    report.events.forEach((event) => {
+        const { t, elapsedMs, type, participant, peerId, face, ...rest } = event;
+        rows.push(['event', t, elapsed(elapsedMs), participant, peerId, face, type, rest.to || '', JSON.stringify(rest)]);
+    });
+
+    return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// 3. Printable HTML summary (inline SVG chart, no external assets)
+function integritySparkline(timeline, width = 640, height = 160) {
+    if (timeline.length === 0) return '<p>No integrity samples were recorded.</p>';
+    const maxElapsed = Math.max(1, timeline[timeline.length - 1].elapsedMs);
+    const points = timeline
+        .map(({ elapsedMs, score }) => `${((elapsedMs / maxElapsed) * width).toFixed(1)},${(height - (score / 100) * height).toFixed(1)}`)
+        .join(' ');
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img" aria-label="Integrity score over time">
+        <rect x="0" y="0" width="${width}" height="${height}" fill="#fafafa" stroke="#ccc"/>
+        <polyline points="${points}" fill="none" stroke="#2e7d32" stroke-width="2"/>
+    </svg>`;
+}
+
+// Flagged intervals are per face, or 'voice' for the audio channel (VOICE_CHANNEL in audio-analysis.js)
+function channelLabel(face) {
+    return face === 'voice' ? 'Voice' : `Face #${face}`;
+}
+
+function reportToHtml(report) {
+    const lastIntegrity = report.integrityTimeline.length > 0 ? report.integrityTimeline[report.integrityTimeline.length - 1].score : null;
+    const minIntegrity = report.integrityTimeline.reduce((min, point) => Math.min(min, point.score), 100);
+
+    const participantRows = report.participants.map((participant) => `
+        <tr><td>${escapeHtml(participant.label)}</td><td><code>${escapeHtml(participant.peerId)}</code></td>
+        <td>${participant.joins.map(escapeHtml).join('<br>')}</td><td>${participant.leaves.map(escapeHtml).join('<br>') || '-'}</td>
+        <td>${participant.invitedAs ? escapeHtml(participant.invitedAs) : 'No invite'}</td>
+        <td>${participant.consent ? escapeHtml(participant.consent.acceptedAt) : 'Not given'}</td></tr>`).join('');
+
+    const intervalRows = report.flaggedIntervals.map((interval) => `
+        <tr><td>${escapeHtml(interval.participant)}</td><td>${escapeHtml(channelLabel(interval.face))}</td><td>${escapeHtml(interval.start)}</td>
+        <td>${escapeHtml(interval.end || 'open')}</td><td>${formatDuration(interval.durationMs)}</td>
+        <td>${(interval.minConfidence * 100).toFixed(1)}%</td></tr>`).join('');
+
+    const challengeRows = (report.challenges || []).map((challenge) => `
+        <tr><td>${escapeHtml(challenge.participant)}</td><td>${escapeHtml(challenge.label || challenge.challenge)}</td>
+        <td>${escapeHtml(challenge.t)}</td><td class="${challenge.passed ? '' : 'flagged'}">${challenge.passed ? 'Passed' : `Failed (${escapeHtml(challenge.reason)})`}</td>
+        <td>${(challenge.responseMs / 1000).toFixed(1)} s</td></tr>`).join('');
+
+    const settingsRows = (report.detectionSettings || []).map(({ t, source, settings }) => `
+        <tr><td>${escapeHtml(t)}</td><td>${escapeHtml(source)}</td><td>${settings.threshold.toFixed(2)}</td>
+        <td>${settings.minFaceSize} px</td><td>${settings.maxFaces}</td><td>${settings.sampleRate} fps</td>
+        <td>${escapeHtml(settings.anomalyAction)}</td></tr>`).join('');
+
+    const eventRows = report.events.filter((event) => event.type !== 'state-change').map((event) => {
+        const { t, elapsedMs, type, ...details } = event;
+        return `<tr><td>${escapeHtml(t)}</td><td>${escapeHtml(type)}</td><td><code>${escapeHtml(JSON.stringify(details))}</code></td></tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Integrity Report - ${escapeHtml(report.meetingId)}</title>
+<style>
+    body { font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #222; margin: 30px; }
+    h1 { margin-bottom: 0; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; font-size: 0.9em; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .summary td:first-child { font-weight: bold; width: 200px; }
+    .flagged { color: #b00020; font-weight: bold; }
+    .note { color: #555; font-size: 0.9em; }
+    @media print { body { margin: 10mm; } button { display: none; } }
+</style>
+</head>
+<body>
+<h1>Session Integrity Report</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+<button onclick="window.print()">Print</button>
+
+<h2>Summary</h2>
+<table class="summary">
+    <tr><td>Meeting ID</td><td>${escapeHtml(report.meetingId)}</td></tr>
+    <tr><td>Started</td><td>${escapeHtml(report.startedAt)}</td></tr>
+    <tr><td>Ended</td><td>${escapeHtml(report.endedAt || 'in progress')}</td></tr>
+    <tr><td>Duration</td><td>${formatDuration(report.durationMs)}</td></tr>
+    <tr><td>Participants</td><td>${report.participants.length}</td></tr>
+    <tr><td>Flagged intervals</td><td class="${report.flaggedIntervals.length > 0 ? 'flagged' : ''}">${report.flaggedIntervals.length}</td></tr>
+    <tr><td>Final / lowest integrity</td><td>${lastIntegrity === null ? 'n/a' : `${lastIntegrity.toFixed(0)} / ${minIntegrity.toFixed(0)}`}</td></tr>
+</table>
+<p class="note">${escapeHtml(FACE_SCORE_NOTE)}</p>
+
+<h2>Integrity Score Timeline</h2>
+${integritySparkline(report.integrityTimeline)}
+
+<h2>Flagged Intervals</h2>
+${intervalRows ? `<table><tr><th>Participant</th><th>Face</th><th>Start</th><th>End</th><th>Duration</th><th>Lowest score</th></tr>${intervalRows}</table>` : '<p>No anomalies were confirmed.</p>'}
+
+<h2>Liveness Challenges</h2>
+${challengeRows ? `<table><tr><th>Participant</th><th>Challenge</th><th>Completed</th><th>Result</th><th>Response time</th></tr>${challengeRows}</table>` : '<p>No liveness challenges were issued.</p>'}
+
+<h2>Detection Settings</h2>
+${settingsRows ? `<table><tr><th>Applied</th><th>Source</th><th>Threshold</th><th>Min face size</th><th>Max faces</th><th>Max sample rate</th><th>On confirmed anomaly</th></tr>${settingsRows}</table>` : '<p>No detection settings were recorded (built-in defaults).</p>'}
+
+<h2>Participants</h2>
+${participantRows ? `<table><tr><th>Name</th><th>Peer ID</th><th>Joined</th><th>Left</th><th>Invited As</th><th>Consent</th></tr>${participantRows}</table>` : '<p>No participants joined.</p>'}
+
+<h2>Event Log</h2>
+${eventRows ? `<table><tr><th>Time</th><th>Event</th><th>Details</th></tr>${eventRows}</table>` : '<p>No events.</p>'}
+</body>
+</html>`;
+}
+
+// 4. Browser download helpers
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadReport(report, format) {
+    if (format === 'json') downloadFile(reportFileName(report, 'json'), reportToJson(report), 'application/json');
+    else if (format === 'csv') downloadFile(reportFileName(report, 'csv'), reportToCsv(report), 'text/csv');
+    else if (format === 'html') downloadFile(reportFileName(report, 'html'), reportToHtml(report), 'text/html');
+}
+
+// Opens the HTML summary in a new tab, ready for the browser's print dialog
+function openPrintableReport(report) {
+    const url = URL.createObjectURL(new Blob([reportToHtml(report)], { type: 'text/html' }));
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FACE_SCORE_NOTE, escapeHtml, formatDuration, reportToJson, reportToCsv, reportToHtml };
+}
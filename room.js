@@ -0,0 +1,138 @@
+// --- Host Room Model ---
+// Keeps every connected participant keyed by PeerJS peer ID, together with their media call,
+// remote stream and latest detection state. The DOM (video grid, sidebar list) is built from this in app.js.
+// Message channels (message-channel.js) are tracked separately because they may open before or after the media call,
+// and peers the host has removed stay blocked for the rest of the session. A participant's video is
+// only analyzed once their consent record has arrived over the data channel. New callers first wait
+// in the waiting room, their call unanswered, until the host admits them.
+
+function createRoom() {
+    const participants = new Map();
+    const channels = new Map();
+    const mediaStates = new Map(); // Mic / camera state the peer reported, which may arrive before its call
+    const consents = new Map(); // Accepted consent records (see lobby.js), which also arrive before the call
+    const waiting = new Map(); // Callers held in the waiting room; their calls are answered on admission
+    const blocked = new Set();
+    let joinCount = 0;
+
+    return {
+        // Register an incoming call. A peer that calls again (reconnecting after a dropped call) keeps its
+        // entry, label and analysis state with the new call. A blocked peer gets no seat (null).
+        join(peerId, call) {
+            if (blocked.has(peerId)) return null;
+            const existing = participants.get(peerId);
+            if (existing) {
+                const previous = existing.call;
+                existing.call = call;
+                existing.stream = null;
+                if (previous && previous !== call) previous.close();
+                return existing;
+            }
+
+            const participant = {
+                peerId,
+                call,
+                stream: null,
+                label: `Participant ${++joinCount}`,
+                state: null, // Most severe track state on this participant's stream (see tracker.js)
+                joinedAt: Date.now()
+            };
+            participants.set(peerId, participant);
+            return participant;
+        },
+        attachStream(peerId, stream) {
+            const participant = participants.get(peerId);
+            if (participant) participant.stream = stream;
+            return participant;
+        },
+        setState(peerId, state) {
+            const participant = participants.get(peerId);
+            if (participant) participant.state = state;
+            return participant;
+        },
+        leave(peerId) {
+            const participant = participants.get(peerId);
+            participants.delete(peerId);
+            mediaStates.delete(peerId);
+            consents.delete(peerId);
+            return participant || null;
+        },
+        get(peerId) {
+            return participants.get(peerId) || null;
+        },
+        // Waiting room: `preview` is the latest still frame the caller sent over the data channel.
+        // A blocked peer is not held (null).
+        hold(peerId, call) {
+            if (blocked.has(peerId)) return null;
+            const entry = { peerId, call, preview: null, scan: null, heldAt: Date.now() };
+            waiting.set(peerId, entry);
+            return entry;
+        },
+        getWaiting(peerId) {
+            return waiting.get(peerId) || null;
+        },
+        // Takes the caller out of the waiting room (admitted, denied or gone)
+        release(peerId) {
+            const entry = waiting.get(peerId) || null;
+            waiting.delete(peerId);
+            return entry;
+        },
+        listWaiting() {
+            return Array.from(waiting.values());
+        },
+        // One channel per peer; it outlives individual DataConnections, which it re-attaches on reconnect
+        setChannel(peerId, channel) {
+            channels.set(peerId, channel);
+        },
+        getChannel(peerId) {
+            return channels.get(peerId) || null;
+        },
+        dropChannel(peerId) {
+            const channel = channels.get(peerId) || null;
+            channels.delete(peerId);
+            return channel;
+        },
+        listChannels() {
+            return Array.from(channels.values());
+        },
+        setMedia(peerId, media) {
+            mediaStates.set(peerId, { audio: media.audio !== false, video: media.video !== false });
+        },
+        getMedia(peerId) {
+            return mediaStates.get(peerId) || { audio: true, video: true };
+        },
+        setConsent(peerId, record) {
+            consents.set(peerId, record);
+        },
+        getConsent(peerId) {
+            return consents.get(peerId) || null;
+        },
+        hasConsent(peerId) {
+            return consents.has(peerId);
+        },
+        block(peerId) {
+            blocked.add(peerId);
+        },
+        isBlocked(peerId) {
+            return blocked.has(peerId);
+        },
+        list() {
+            return Array.from(participants.values());
+        },
+        // Most severe state across all participants, or null when no one has a tracked face
+        worstState() {
+            let worst = null;
+            participants.forEach(({ state }) => {
+                if (state && (worst === null || TRACK_STATE_SEVERITY[state] > TRACK_STATE_SEVERITY[worst])) worst = state;
+            });
+            return worst;
+        },
+        get size() {
+            return participants.size;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRoom };
+}
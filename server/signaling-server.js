@@ -0,0 +1,404 @@
+// --- Local Signaling Server (PeerServer stand-in) ---
+// A dependency-free Node server that speaks the subset of the PeerServer protocol the PeerJS client uses:
+//   GET  <path><key>/id             -> a fresh random peer ID
+//   GET  <path><key>/peers          -> connected peer IDs
+//   WS   <path>peerjs?key=&id=&token= -> signaling socket (OPEN, ID-TAKEN, OFFER/ANSWER/CANDIDATE/LEAVE, EXPIRE)
+// It also serves the app's pages, scripts and stylesheet (nothing else from the checkout), the script libraries under
+// /vendor/ from node_modules (`npm install` first), model weights under /models/ when MODELS_ROOT is set, and answers
+// /peer-config.json with settings that point back at itself, so the pages opened from this server need no external
+// services at all.
+//
+// Usage: node server/signaling-server.js
+// Environment: PORT (9000), BIND_HOST (0.0.0.0), PEER_PATH (/), PEER_KEY (peerjs), STATIC_ROOT (repo root),
+//   VENDOR_ROOT (repo node_modules), MODELS_ROOT (none; a directory with blazeface/model.json and mobilenet/model.json)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Only the app's own page assets are served, never the rest of the checkout (.git, server/, notes, ...)
+const STATIC_PAGE_ASSET = /^\/[a-z0-9][a-z0-9-]*\.(html|js)$/; // Top-level pages and scripts
+const STATIC_FILES = new Set(['/style.css', '/peer-config.json', '/peer-config.example.json']);
+
+// /vendor/<file> -> the file in node_modules; the libraries config.js loads, and the WebAssembly backend's binaries
+const VENDOR_FILES = {
+    'peerjs.min.js': 'peerjs/dist/peerjs.min.js',
+    'chart.umd.js': 'chart.js/dist/chart.umd.js',
+    'tf.min.js': '@tensorflow/tfjs/dist/tf.min.js',
+    'tf-backend-wasm.min.js': '@tensorflow/tfjs-backend-wasm/dist/tf-backend-wasm.min.js',
+    'tfjs-backend-wasm.wasm': '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm',
+    'tfjs-backend-wasm-simd.wasm': '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm',
+    'tfjs-backend-wasm-threaded-simd.wasm': '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm',
+    'blazeface.min.js': '@tensorflow-models/blazeface/dist/blazeface.min.js',
+    'mobilenet.min.js': '@tensorflow-models/mobilenet/dist/mobilenet.min.js'
+};
+// peer-config.json "libraries" entries (see config.js) -> vendor file; relative, so they resolve against the pages
+const VENDOR_LIBRARIES = {
+    peerjs: 'peerjs.min.js',
+    chartjs: 'chart.umd.js',
+    tfjs: 'tf.min.js',
+    tfjsWasm: 'tf-backend-wasm.min.js',
+    blazeface: 'blazeface.min.js',
+    mobilenet: 'mobilenet.min.js'
+};
+// peer-config.json "models" entries -> model.json under MODELS_ROOT
+const MODEL_FILES = {
+    blazeface: 'blazeface/model.json',
+    mobilenet: 'mobilenet/model.json'
+};
+const MODEL_ASSET = /^\/models\/(?:[A-Za-z0-9_-][A-Za-z0-9._-]*\/)*[A-Za-z0-9_-][A-Za-z0-9._-]*$/; // No dot segments or dotfiles
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const ALIVE_TIMEOUT_MS = 60000; // PeerJS clients send a HEARTBEAT every 5s
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.wasm': 'application/wasm'
+};
+
+// 1. Minimal WebSocket framing (RFC 6455): text frames, ping/pong and close are all PeerJS needs
+// Signaling messages are small JSON; anything bigger is refused before it is buffered
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const CLOSE_MESSAGE_TOO_BIG = 1009;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of `buffer`; returns the frames and whatever bytes are left over, and flags
+// `tooLarge` (without waiting for the payload) when a frame declares more than MAX_MESSAGE_BYTES
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        if (length > MAX_MESSAGE_BYTES) return { frames, rest: buffer.subarray(offset), tooLarge: true };
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(cursor, cursor + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ fin, opcode, payload });
+        offset = cursor + maskLength + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset), tooLarge: false };
+}
+
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return socket;
+}
+
+// 2. Signaling server
+// A malformed request target must not throw out of a request handler (that would end the process)
+function parseRequestUrl(target) {
+    try {
+        return new URL(target, 'http://localhost');
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizePath(peerPath) {
+    let normalized = peerPath || '/';
+    if (!normalized.startsWith('/')) normalized = `/${normalized}`;
+    if (!normalized.endsWith('/')) normalized = `${normalized}/`;
+    return normalized;
+}
+
+function createSignalingServer(options = {}) {
+    const peerPath = normalizePath(options.path);
+    const key = options.key || 'peerjs';
+    const staticRoot = path.resolve(options.staticRoot || path.join(__dirname, '..'));
+    const vendorRoot = path.resolve(options.vendorRoot || path.join(__dirname, '..', 'node_modules'));
+    const modelsRoot = options.modelsRoot ? path.resolve(options.modelsRoot) : null;
+    const clients = new Map(); // peer ID -> { id, token, socket, lastSeen }
+
+    function send(client, message) {
+        if (!client.socket.destroyed) client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    }
+
+    function disconnect(client) {
+        if (clients.get(client.id) === client) clients.delete(client.id);
+        if (!client.socket.destroyed) {
+            client.socket.write(encodeFrame(0x8, Buffer.alloc(0)));
+            client.socket.end();
+        }
+    }
+
+    // Refuses a peer that sends an oversized message: stops reading, sends a 1009 close and destroys the socket once
+    // that is flushed, without waiting for the peer's reply
+    function rejectTooLarge(client) {
+        if (clients.get(client.id) === client) clients.delete(client.id);
+        client.rejected = true;
+        const reason = Buffer.alloc(2);
+        reason.writeUInt16BE(CLOSE_MESSAGE_TOO_BIG);
+        client.socket.pause();
+        client.socket.write(encodeFrame(0x8, reason), () => client.socket.destroy());
+    }
+
+    function generateId() {
+        let id;
+        do {
+            id = crypto.randomUUID();
+        } while (clients.has(id));
+        return id;
+    }
+
+    function handleSignal(client, message) {
+        if (message.type === 'HEARTBEAT') return;
+        if (!['OFFER', 'ANSWER', 'CANDIDATE', 'LEAVE', 'EXPIRE'].includes(message.type) || !message.dst) return;
+
+        const destination = clients.get(message.dst);
+        if (destination) {
+            send(destination, { type: message.type, src: client.id, dst: message.dst, payload: message.payload });
+        } else if (message.type !== 'LEAVE' && message.type !== 'EXPIRE') {
+            // Tells the caller the peer it wants is not connected (surfaces as 'peer-unavailable')
+            send(client, { type: 'EXPIRE', src: message.dst, dst: client.id });
+        }
+    }
+
+    function handleUpgrade(req, socket) {
+        const url = parseRequestUrl(req.url);
+        if (!url || url.pathname !== `${peerPath}peerjs`) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        if (!acceptWebSocket(req, socket)) return;
+
+        const id = url.searchParams.get('id');
+        const token = url.searchParams.get('token');
+        const client = { id, token, socket, lastSeen: Date.now() };
+
+        if (url.searchParams.get('key') !== key) {
+            send(client, { type: 'ERROR', payload: { msg: 'Invalid key provided' } });
+            disconnect(client);
+            return;
+        }
+        if (!id || !token) {
+            send(client, { type: 'ERROR', payload: { msg: 'No id, token, or key supplied to websocket server' } });
+            disconnect(client);
+            return;
+        }
+
+        const existing = clients.get(id);
+        if (existing && existing.token !== token) {
+            send(client, { type: 'ID-TAKEN', payload: { msg: 'ID is taken' } });
+            disconnect(client);
+            return;
+        }
+        if (existing) disconnect(existing); // Same client reconnecting with its own token
+        clients.set(id, client);
+        send(client, { type: 'OPEN' });
+
+        let pending = Buffer.alloc(0);
+        let fragments = [];
+
+        socket.on('data', (chunk) => {
+            client.lastSeen = Date.now();
+            if (client.rejected) return;
+            const { frames, rest, tooLarge } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = rest;
+
+            frames.forEach(({ fin, opcode, payload }) => {
+                if (client.rejected) return;
+                if (opcode === 0x8) {
+                    disconnect(client);
+                } else if (opcode === 0x9) {
+                    socket.write(encodeFrame(0xa, payload));
+                } else if (opcode === 0x1 || opcode === 0x0) {
+                    fragments.push(payload);
+                    if (fragments.reduce((total, fragment) => total + fragment.length, 0) > MAX_MESSAGE_BYTES) {
+                        rejectTooLarge(client);
+                        return;
+                    }
+                    if (!fin) return;
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    try {
+                        handleSignal(client, JSON.parse(text));
+                    } catch (error) {
+                        console.warn(`Ignoring malformed message from ${id}:`, error.message);
+                    }
+                }
+            });
+            if (tooLarge && !client.rejected) rejectTooLarge(client);
+        });
+        socket.on('close', () => {
+            if (clients.get(id) === client) clients.delete(id);
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    function serveStatic(req, res, url) {
+        let relative;
+        try {
+            relative = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request'); // Malformed percent-encoding
+            return;
+        }
+        let filePath;
+        if (STATIC_PAGE_ASSET.test(relative) || STATIC_FILES.has(relative)) {
+            filePath = path.resolve(staticRoot, `.${relative}`);
+        } else if (relative.startsWith('/vendor/') && Object.hasOwn(VENDOR_FILES, relative.slice('/vendor/'.length))) {
+            filePath = path.join(vendorRoot, VENDOR_FILES[relative.slice('/vendor/'.length)]);
+        } else if (modelsRoot && MODEL_ASSET.test(relative)) {
+            filePath = path.join(modelsRoot, relative.slice('/models/'.length));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+            return;
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                if (relative === '/peer-config.json') {
+                    serveSelfConfig(req, res);
+                    return;
+                }
+                res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(data);
+        });
+    }
+
+    // Only files that are actually there are advertised; config.js falls back to its defaults for the rest
+    function localAssetUrls() {
+        const libraries = {};
+        Object.entries(VENDOR_LIBRARIES).forEach(([name, file]) => {
+            if (fs.existsSync(path.join(vendorRoot, VENDOR_FILES[file]))) libraries[name] = `vendor/${file}`;
+        });
+        if (libraries.tfjsWasm) libraries.tfjsWasmPaths = 'vendor/';
+
+        const models = {};
+        Object.entries(MODEL_FILES).forEach(([name, file]) => {
+            if (modelsRoot && fs.existsSync(path.join(modelsRoot, file))) models[name] = `models/${file}`;
+        });
+        return { libraries, models };
+    }
+
+    // Points pages loaded from this server back at it; no ICE servers are needed on a single machine or LAN
+    function serveSelfConfig(req, res) {
+        // Parsed as a URL so bracketed IPv6 hosts ([::1]:9000) keep their colons; the brackets stay, as PeerJS needs them
+        const origin = parseRequestUrl(`http://${req.headers.host || 'localhost'}`) || new URL('http://localhost');
+        const config = {
+            host: origin.hostname,
+            port: Number(origin.port) || 80,
+            path: peerPath,
+            key,
+            secure: false,
+            iceServers: [],
+            ...localAssetUrls()
+        };
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.json'] }).end(JSON.stringify(config));
+    }
+
+    function handleRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        const url = parseRequestUrl(req.url);
+        if (!url) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === `${peerPath}${key}/id`) {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end(generateId());
+        } else if (req.method === 'GET' && url.pathname === `${peerPath}${key}/peers`) {
+            res.writeHead(200, { 'Content-Type': MIME_TYPES['.json'] }).end(JSON.stringify(Array.from(clients.keys())));
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(req, res, url);
+        } else {
+            res.writeHead(405).end();
+        }
+    }
+
+    const server = http.createServer(handleRequest);
+    server.on('upgrade', handleUpgrade);
+
+    // Drop clients whose heartbeats stopped (closed laptop lid, lost network)
+    const reaper = setInterval(() => {
+        const now = Date.now();
+        clients.forEach((client) => {
+            if (now - client.lastSeen > ALIVE_TIMEOUT_MS) disconnect(client);
+        });
+    }, ALIVE_TIMEOUT_MS / 2);
+    reaper.unref();
+    server.on('close', () => clearInterval(reaper));
+
+    server.peers = () => Array.from(clients.keys());
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 9000;
+    const bindHost = process.env.BIND_HOST || '0.0.0.0';
+    const server = createSignalingServer({
+        path: process.env.PEER_PATH,
+        key: process.env.PEER_KEY,
+        staticRoot: process.env.STATIC_ROOT,
+        vendorRoot: process.env.VENDOR_ROOT,
+        modelsRoot: process.env.MODELS_ROOT
+    });
+    server.listen(port, bindHost, () => {
+        console.log(`Signaling server listening on http://${bindHost}:${port} (open /host.html to start a meeting)`);
+    });
+}
+
+module.exports = { MAX_MESSAGE_BYTES, createSignalingServer, encodeFrame, decodeFrames };
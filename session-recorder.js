@@ -0,0 +1,173 @@
+// --- Session Recorder ---
+// Collects everything the host-side detector saw during a meeting so it can be exported as a report
+// (see report.js): sampled per-face scores, anomaly episodes, participant joins/leaves, reconnects, invites and consent,
+// host actions, liveness challenge results and the integrity score timeline. Timestamps are wall-clock milliseconds (Date.now()).
+
+const SCORE_SAMPLE_MS = 250;      // At most four score samples per face per second
+const INTEGRITY_RECORD_MS = 1000; // One integrity point per second
+
+function createSessionRecorder({ meetingId, now = () => Date.now() }) {
+    const startedAt = now();
+    let endedAt = null;
+
+    const participants = new Map(); // peer ID -> { peerId, label, joins: [], leaves: [] }
+    const consents = new Map();     // peer ID -> consent record (see lobby.js), usually received before the join
+    const invites = new Map();      // peer ID -> name on the invite they redeemed (see invites.js)
+    const scores = [];              // { t, peerId, participant, face, confidence, smoothed, state }
+    const integrity = [];           // { t, score }
+    const episodes = [];            // { peerId, participant, face, start, end, minConfidence }
+    const events = [];              // { t, type, ...details }
+    const challenges = [];          // { t, peerId, participant, challengeId, challenge, label, passed, responseMs, reason }
+    const settings = [];            // { t, source, settings } each detection policy applied (see settings.js)
+    const openEpisodes = new Map(); // "peerId:face" -> episode
+    const lastScoreAt = new Map();  // "peerId:face" -> t
+    let lastIntegrityAt = -Infinity;
+
+    function log(type, details = {}) {
+        const event = { t: now(), type, ...details };
+        events.push(event);
+        return event;
+    }
+
+    function closeEpisode(key, t) {
+        const episode = openEpisodes.get(key);
+        if (!episode) return;
+        episode.end = t;
+        openEpisodes.delete(key);
+    }
+
+    return {
+        meetingId,
+        startedAt,
+
+        participantJoined(peerId, label) {
+            let entry = participants.get(peerId);
+            if (!entry) {
+                entry = { peerId, label, joins: [], leaves: [] };
+                participants.set(peerId, entry);
+            }
+            entry.label = label;
+            entry.joins.push(now());
+            log('participant-joined', { peerId, participant: label });
+        },
+
+        participantLeft(peerId, label) {
+            const t = now();
+            const entry = participants.get(peerId);
+            if (entry) entry.leaves.push(t);
+            openEpisodes.forEach((episode, key) => {
+                if (episode.peerId === peerId) closeEpisode(key, t);
+            });
+            log('participant-left', { peerId, participant: label });
+        },
+
+        consentReceived(peerId, label, record) {
+            consents.set(peerId, record);
+            log('consent', { peerId, participant: label, accepted: record.accepted, noticeVersion: record.noticeVersion, acceptedAt: record.acceptedAt });
+        },
+
+        // `result`: { challengeId, challenge, label, passed, responseMs, reason } (see challenges.js)
+        challengeResult(peerId, label, result) {
+            const event = log('liveness-challenge-result', { peerId, participant: label, ...result });
+            challenges.push({ t: event.t, peerId, participant: label, ...result });
+        },
+
+        // `result`: { accepted, name, expiresAt } or { accepted: false, reason }
+        inviteChecked(peerId, label, result) {
+            if (result.accepted) invites.set(peerId, result.name);
+            log(result.accepted ? 'invite-accepted' : 'invite-rejected', { peerId, participant: label, ...result });
+        },
+
+        // `source`: 'startup', 'panel' or 'import'; the first entry is what the session started with
+        detectionSettingsApplied(detectionSettings, source) {
+            const event = log('detection-settings', { source, ...detectionSettings });
+            settings.push({ t: event.t, source, settings: { ...detectionSettings } });
+        },
+
+        // Reconnects: `peerId` is null for the host's own connection (see connection-manager.js)
+        connectionChanged(peerId, label, status, details = {}) {
+            log('connection', { peerId, participant: label, status, ...details });
+        },
+
+        hostAction(action, details = {}) {
+            log('host-action', { action, ...details });
+        },
+
+        // One analyzed frame: `faces` is [{ face, confidence, smoothed, state, previous, changed }]
+        recordFrame(peerId, label, faces) {
+            const t = now();
+            faces.forEach(({ face, confidence, smoothed, state, previous, changed }) => {
+                const key = `${peerId}:${face}`;
+
+                if (changed) {
+                    log('state-change', { peerId, participant: label, face, from: previous, to: state, confidence });
+                    if (state === TRACK_STATES.ANOMALY) {
+                        const episode = { peerId, participant: label, face, start: t, end: null, minConfidence: confidence };
+                        episodes.push(episode);
+                        openEpisodes.set(key, episode);
+                    } else if (previous === TRACK_STATES.ANOMALY) {
+                        closeEpisode(key, t);
+                    }
+                }
+                const open = openEpisodes.get(key);
+                if (open) open.minConfidence = Math.min(open.minConfidence, confidence);
+
+                // Transitions are always kept; steady-state scores are sampled
+                if (changed || t - (lastScoreAt.get(key) ?? -Infinity) >= SCORE_SAMPLE_MS) {
+                    lastScoreAt.set(key, t);
+                    scores.push({ t, peerId, participant: label, face, confidence, smoothed, state });
+                }
+            });
+        },
+
+        recordIntegrity(score) {
+            const t = now();
+            if (t - lastIntegrityAt < INTEGRITY_RECORD_MS) return;
+            lastIntegrityAt = t;
+            integrity.push({ t, score });
+        },
+
+        finish() {
+            if (endedAt !== null) return;
+            endedAt = now();
+            Array.from(openEpisodes.keys()).forEach((key) => closeEpisode(key, endedAt));
+            log('session-ended');
+        },
+
+        // Plain, JSON-serializable snapshot of the session
+        buildReport(extra = {}) {
+            const end = endedAt ?? now();
+            return {
+                reportVersion: 1,
+                meetingId,
+                startedAt: new Date(startedAt).toISOString(),
+                endedAt: endedAt === null ? null : new Date(endedAt).toISOString(),
+                durationMs: end - startedAt,
+                participants: Array.from(participants.values()).map((entry) => ({
+                    peerId: entry.peerId,
+                    label: entry.label,
+                    joins: entry.joins.map((t) => new Date(t).toISOString()),
+                    leaves: entry.leaves.map((t) => new Date(t).toISOString()),
+                    consent: consents.get(entry.peerId) || null,
+                    invitedAs: invites.get(entry.peerId) || null
+                })),
+                flaggedIntervals: episodes.map((episode) => ({
+                    ...episode,
+                    start: new Date(episode.start).toISOString(),
+                    end: episode.end === null ? null : new Date(episode.end).toISOString(),
+                    durationMs: (episode.end ?? end) - episode.start
+                })),
+                challenges: challenges.map((challenge) => ({ ...challenge, t: new Date(challenge.t).toISOString() })),
+                detectionSettings: settings.map((entry) => ({ ...entry, t: new Date(entry.t).toISOString(), elapsedMs: entry.t - startedAt })),
+                integrityTimeline: integrity.map(({ t, score }) => ({ t: new Date(t).toISOString(), elapsedMs: t - startedAt, score })),
+                scores: scores.map((sample) => ({ ...sample, t: new Date(sample.t).toISOString(), elapsedMs: sample.t - startedAt })),
+                events: events.map((event) => ({ ...event, t: new Date(event.t).toISOString(), elapsedMs: event.t - startedAt })),
+                ...extra
+            };
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSessionRecorder };
+}
@@ -0,0 +1,136 @@
+// --- Detection Policy Settings ---
+// What the host can tune from the settings panel on host.html: the real/anomaly decision threshold,
+// which faces are analyzed, how often frames are sampled and what happens when an anomaly is confirmed.
+// Settings are kept in localStorage, can be exported / imported as JSON, and every set applied during a
+// session is recorded in its report (see session-recorder.js) so the results can be reproduced.
+// The defaults are the values the detector used before the panel existed.
+
+const DETECTION_SETTINGS_STORAGE_KEY = 'detectionSettings';
+const DETECTION_SETTINGS_FORMAT = 'deepfake-detection-settings'; // Marks exported files
+const DETECTION_SETTINGS_VERSION = 1;
+
+// What happens when a face track confirms an anomaly. Each action includes the ones before it.
+const ANOMALY_ACTIONS = Object.freeze({
+    LOG: 'log',               // Record it in the session report only
+    WARN: 'warn',             // ...and show the host's removal alert
+    SNAPSHOT: 'snapshot',     // ...and capture an evidence snapshot (see evidence.js)
+    DISCONNECT: 'disconnect'  // ...and force-disconnect the participant
+});
+const ANOMALY_ACTION_ORDER = [ANOMALY_ACTIONS.LOG, ANOMALY_ACTIONS.WARN, ANOMALY_ACTIONS.SNAPSHOT, ANOMALY_ACTIONS.DISCONNECT];
+const ANOMALY_ACTION_LABELS = {
+    log: 'Log only',
+    warn: 'Warn',
+    snapshot: 'Warn + auto-snapshot',
+    disconnect: 'Snapshot + auto-disconnect'
+};
+
+const DEFAULT_DETECTION_SETTINGS = Object.freeze({
+    threshold: 0.7,     // Scores at or below this are anomalies (REAL_CONFIDENCE_THRESHOLD in detector.js)
+    minFaceSize: 8,     // Pixels; smaller detections are ignored (MIN_FACE_PIXELS in classifier.js)
+    maxFaces: 10,       // Most confident faces analyzed per frame (BlazeFace's own limit)
+    sampleRate: 30,     // Upper bound on analyzed frames per second per video (see detection-client.js)
+    anomalyAction: ANOMALY_ACTIONS.SNAPSHOT
+});
+
+// The threshold stays clear of 0 and 1 so the tracker's hysteresis band around it fits (see tracker.js)
+const DETECTION_SETTING_LIMITS = {
+    threshold: { min: 0.2, max: 0.85, step: 0.05 },
+    minFaceSize: { min: 8, max: 400, step: 1 },
+    maxFaces: { min: 1, max: 10, step: 1 },
+    sampleRate: { min: 1, max: 30, step: 1 }
+};
+
+function anomalyActionIncludes(action, step) {
+    return ANOMALY_ACTION_ORDER.indexOf(action) >= ANOMALY_ACTION_ORDER.indexOf(step);
+}
+
+// 1. Validation: returns { settings, errors }. Missing fields take their default; invalid ones take their
+// default (or the nearest allowed value) and are explained in `errors`.
+function normalizeDetectionSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const settings = { ...DEFAULT_DETECTION_SETTINGS };
+    const errors = [];
+
+    Object.entries(DETECTION_SETTING_LIMITS).forEach(([key, { min, max, step }]) => {
+        if (source[key] === undefined || source[key] === null || source[key] === '') return;
+        const value = Number(source[key]);
+        if (!Number.isFinite(value)) {
+            errors.push(`"${key}" must be a number; using ${settings[key]}.`);
+            return;
+        }
+        // Snap to the step (rounded to its decimals, so 0.1 + 0.2 style noise doesn't leak through)
+        const decimals = (String(step).split('.')[1] || '').length;
+        const snapped = Number((Math.round(value / step) * step).toFixed(decimals));
+        settings[key] = Math.min(max, Math.max(min, snapped));
+        if (settings[key] !== snapped) errors.push(`"${key}" must be between ${min} and ${max}; using ${settings[key]}.`);
+    });
+
+    if (source.anomalyAction !== undefined) {
+        if (ANOMALY_ACTION_ORDER.includes(source.anomalyAction)) settings.anomalyAction = source.anomalyAction;
+        else errors.push(`"anomalyAction" must be one of ${ANOMALY_ACTION_ORDER.join(', ')}; using ${settings.anomalyAction}.`);
+    }
+    return { settings, errors };
+}
+
+// 2. JSON export / import
+function detectionSettingsToJson(settings, now = Date.now()) {
+    return JSON.stringify({
+        format: DETECTION_SETTINGS_FORMAT,
+        version: DETECTION_SETTINGS_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        settings
+    }, null, 2);
+}
+
+// Accepts an exported file or a bare settings object. Returns { settings, errors }; throws when the
+// text can't be used at all.
+function parseDetectionSettingsJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("That file is not valid JSON.");
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error("That file does not contain detection settings.");
+    if (data.format !== undefined) {
+        if (data.format !== DETECTION_SETTINGS_FORMAT) throw new Error("That file does not contain detection settings.");
+        if (data.version > DETECTION_SETTINGS_VERSION) throw new Error(`Those settings were exported by a newer version (v${data.version}).`);
+        return normalizeDetectionSettings(data.settings);
+    }
+    return normalizeDetectionSettings(data);
+}
+
+// 3. Persistence; storage can be unavailable (private browsing, file://), which just means defaults
+function loadDetectionSettings(storage = window.localStorage) {
+    try {
+        const stored = storage.getItem(DETECTION_SETTINGS_STORAGE_KEY);
+        return stored ? parseDetectionSettingsJson(stored).settings : { ...DEFAULT_DETECTION_SETTINGS };
+    } catch (error) {
+        console.warn("Ignoring unreadable saved detection settings:", error);
+        return { ...DEFAULT_DETECTION_SETTINGS };
+    }
+}
+
+function saveDetectionSettings(settings, storage = window.localStorage) {
+    try {
+        storage.setItem(DETECTION_SETTINGS_STORAGE_KEY, detectionSettingsToJson(settings));
+        return true;
+    } catch (error) {
+        console.warn("Could not save detection settings:", error);
+        return false;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANOMALY_ACTIONS,
+        DEFAULT_DETECTION_SETTINGS,
+        DETECTION_SETTING_LIMITS,
+        anomalyActionIncludes,
+        normalizeDetectionSettings,
+        detectionSettingsToJson,
+        parseDetectionSettingsJson,
+        loadDetectionSettings,
+        saveDetectionSettings
+    };
+}
@@ -0,0 +1,46 @@
+// admission.js uses tracker.js's states as page globals
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, require('../tracker.js'));
+const { isFrameImage, summarizeAdmissionScan } = require('../admission.js');
+
+const { CLEAN, SUSPICIOUS, ANOMALY } = TRACK_STATES;
+const frame = (scores, worstState = CLEAN) => ({ faces: scores.map((smoothed) => ({ smoothed })), worstState });
+const repeat = (value, count) => Array(count).fill(value);
+
+test('too few frames with a face is inconclusive', () => {
+    const summary = summarizeAdmissionScan([...repeat(frame([]), 10), ...repeat(frame([0.9]), 4)], 0.7);
+    assert.deepEqual(summary, { verdict: 'no-face', frames: 14, faceFrames: 4, meanScore: null, maxFaces: 1 });
+});
+
+test('a steady high score is clean', () => {
+    const summary = summarizeAdmissionScan(repeat(frame([0.9]), 10), 0.7);
+    assert.equal(summary.verdict, CLEAN);
+    assert.ok(Math.abs(summary.meanScore - 0.9) < 1e-9);
+});
+
+test('a mean score below the threshold is suspicious even if no track confirmed an anomaly', () => {
+    assert.equal(summarizeAdmissionScan(repeat(frame([0.65]), 10), 0.7).verdict, SUSPICIOUS);
+    assert.equal(summarizeAdmissionScan(repeat(frame([0.65]), 10), 0.6).verdict, CLEAN);
+});
+
+test('the lowest face on each frame counts, so a second genuine face cannot mask a fake one', () => {
+    const summary = summarizeAdmissionScan(repeat(frame([0.95, 0.3]), 10), 0.7);
+    assert.equal(summary.verdict, SUSPICIOUS);
+    assert.equal(summary.maxFaces, 2);
+    assert.ok(Math.abs(summary.meanScore - 0.3) < 1e-9);
+});
+
+test('a confirmed anomaly on any frame wins', () => {
+    const summary = summarizeAdmissionScan([...repeat(frame([0.9]), 9), frame([0.9], ANOMALY)], 0.7);
+    assert.equal(summary.verdict, ANOMALY);
+});
+
+test('only inline JPEGs are accepted as frames from a waiting caller', () => {
+    assert.equal(isFrameImage('data:image/jpeg;base64,/9j/4AAQ'), true);
+    assert.equal(isFrameImage('https://tracker.example/pixel.jpg'), false);
+    assert.equal(isFrameImage('data:image/svg+xml;base64,PHN2Zz4='), false);
+    assert.equal(isFrameImage(`data:image/jpeg;base64,${'A'.repeat(600000)}`), false);
+    assert.equal(isFrameImage(null), false);
+});
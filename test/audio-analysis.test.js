@@ -0,0 +1,144 @@
+// Features are computed on synthetic buffers: a sine is a clean voiced pitch, seeded noise has no period
+// and a flat spectrum. Spectra are built like AnalyserNode's (Hann window, dB per bin).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    rootMeanSquare,
+    spectralFlatness,
+    estimatePitch,
+    pitchJitter,
+    pearsonCorrelation,
+    mouthOpening,
+    createVoiceAnalyzer
+} = require('../audio-analysis.js');
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 2048;
+
+function sine(frequency, amplitude = 0.5, length = FFT_SIZE) {
+    return Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+}
+
+// Deterministic uniform noise in [-amplitude, amplitude]
+function noise(amplitude = 0.5, length = FFT_SIZE, seed = 1) {
+    let state = seed;
+    return Float32Array.from({ length }, () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return amplitude * (state / 2 ** 31 - 1);
+    });
+}
+
+function spectrumDb(samples) {
+    const n = samples.length;
+    const bins = new Float32Array(n / 2);
+    for (let k = 0; k < bins.length; k++) {
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < n; i++) {
+            const windowed = samples[i] * 0.5 * (1 - Math.cos((2 * Math.PI * i) / n));
+            re += windowed * Math.cos((2 * Math.PI * k * i) / n);
+            im -= windowed * Math.sin((2 * Math.PI * k * i) / n);
+        }
+        bins[k] = 10 * Math.log10(Math.max(1e-30, (re * re + im * im) / (n * n)));
+    }
+    return bins;
+}
+
+test('rootMeanSquare of a sine is its amplitude over root two', () => {
+    assert.ok(Math.abs(rootMeanSquare(sine(375)) - 0.5 / Math.SQRT2) < 1e-3);
+    assert.equal(rootMeanSquare(new Float32Array(16)), 0);
+});
+
+test('spectralFlatness is near 0 for a tone and high for noise', () => {
+    const tone = spectralFlatness(spectrumDb(sine(440)), SAMPLE_RATE);
+    const hiss = spectralFlatness(spectrumDb(noise()), SAMPLE_RATE);
+    assert.ok(tone < 0.05, `tone flatness ${tone}`);
+    assert.ok(hiss > 0.4, `noise flatness ${hiss}`);
+    // A perfectly flat spectrum is exactly 1
+    assert.ok(Math.abs(spectralFlatness(new Float32Array(1024).fill(-40), SAMPLE_RATE) - 1) < 1e-9);
+});
+
+test('estimatePitch finds the period of a voiced tone and nothing in noise or silence', () => {
+    for (const frequency of [110, 200, 320]) {
+        const pitch = estimatePitch(sine(frequency), SAMPLE_RATE);
+        assert.ok(Math.abs(pitch.frequency - frequency) / frequency < 0.03, `${frequency} Hz estimated as ${pitch.frequency}`);
+        assert.ok(pitch.clarity > 0.7);
+    }
+    assert.equal(estimatePitch(noise(), SAMPLE_RATE), null);
+    assert.equal(estimatePitch(new Float32Array(FFT_SIZE), SAMPLE_RATE), null);
+});
+
+test('pitchJitter is the mean relative change between estimates', () => {
+    assert.equal(pitchJitter([200, 200, 200]), 0);
+    assert.equal(pitchJitter([100, 110]), 10 / 110);
+    assert.equal(pitchJitter([200]), null);
+});
+
+test('pearsonCorrelation spans -1 to 1 and is undefined without variance', () => {
+    assert.ok(Math.abs(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8]) - 1) < 1e-12);
+    assert.ok(Math.abs(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2]) + 1) < 1e-12);
+    assert.equal(pearsonCorrelation([1, 2, 3], [5, 5, 5]), null);
+    assert.equal(pearsonCorrelation([1], [1]), null);
+    // Extra values on the longer side are ignored
+    assert.ok(Math.abs(pearsonCorrelation([1, 2, 3], [1, 2, 3, -100]) - 1) < 1e-12);
+});
+
+test('mouthOpening is the mouth-to-nose distance relative to the face height', () => {
+    const landmarks = [[40, 40], [60, 40], [50, 55], [50, 70], [30, 45], [70, 45]];
+    assert.equal(mouthOpening(landmarks, { height: 60 }), 0.25);
+    assert.equal(mouthOpening(landmarks.slice(0, 3), { height: 60 }), null);
+    assert.equal(mouthOpening(landmarks, null), null);
+});
+
+// Six seconds at 10 samples per second; the mouth moves in exactly the buckets where the voice is loud
+// (or, with `lipSync: false`, in the quiet ones)
+function speak(analyzer, { flatness, pitch, lipSync = true }) {
+    for (let i = 0; i < 60; i++) {
+        const t = i * 100;
+        const loud = Math.floor(t / 200) % 3 !== 0;
+        analyzer.addAudioSample({ t, rms: loud ? 0.2 : 0.03, flatness, pitch: pitch(i) });
+        const moving = loud === lipSync;
+        analyzer.addMouthSample(t, moving && i % 2 === 0 ? 0.35 : 0.25);
+    }
+}
+
+test('createVoiceAnalyzer scores natural speech as real', () => {
+    const analyzer = createVoiceAnalyzer();
+    speak(analyzer, { flatness: 0.2, pitch: (i) => 180 + (i % 4) * 8 });
+    const { score, components, voicedSamples } = analyzer.evaluate();
+    assert.equal(voicedSamples, 60);
+    assert.deepEqual(components, { flatness: 1, pitch: 1, lipSync: 1 });
+    assert.equal(score, 1);
+});
+
+test('createVoiceAnalyzer scores a noise-like, monotone, out-of-sync voice as fake', () => {
+    const analyzer = createVoiceAnalyzer();
+    speak(analyzer, { flatness: 0.8, pitch: () => 150, lipSync: false });
+    const { score, components } = analyzer.evaluate();
+    assert.deepEqual(components, { flatness: 0, pitch: 0, lipSync: 0 });
+    assert.equal(score, 0);
+});
+
+test('createVoiceAnalyzer weights only the components it could measure', () => {
+    const analyzer = createVoiceAnalyzer();
+    // Natural flatness but no pitch estimates and no face: the score is the flatness score alone
+    for (let i = 0; i < 20; i++) analyzer.addAudioSample({ t: i * 100, rms: 0.1, flatness: 0.2, pitch: null });
+    assert.deepEqual(analyzer.evaluate(), { score: 1, components: { flatness: 1, pitch: null, lipSync: null }, voicedSamples: 20 });
+});
+
+test('createVoiceAnalyzer needs enough recent speech before it gives a score', () => {
+    const analyzer = createVoiceAnalyzer({ windowMs: 1000 });
+    for (let i = 0; i < 9; i++) analyzer.addAudioSample({ t: i * 100, rms: 0.1, flatness: 0.2, pitch: 200 });
+    assert.equal(analyzer.evaluate().score, null);
+    analyzer.addAudioSample({ t: 900, rms: 0.1, flatness: 0.2, pitch: 200 });
+    analyzer.addAudioSample({ t: 1000, rms: 0.001, flatness: null, pitch: null }); // Silence is not speech
+    assert.equal(analyzer.evaluate().voicedSamples, 10);
+    assert.notEqual(analyzer.evaluate().score, null);
+
+    // Samples older than the window drop out, and reset clears everything
+    analyzer.addAudioSample({ t: 1500, rms: 0.001, flatness: null, pitch: null });
+    assert.equal(analyzer.evaluate().voicedSamples, 5);
+    analyzer.reset();
+    assert.deepEqual(analyzer.evaluate(), { score: null, components: { flatness: null, pitch: null, lipSync: null }, voicedSamples: 0 });
+});
@@ -0,0 +1,118 @@
+// Challenges are replayed as observation sequences at 10 fps; challenges.js reads the eye patches
+// with lobby.js's measureLighting as a page global
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, require('../lobby.js'));
+const { headYaw, createChallengeVerifier, eyePatchContrast } = require('../challenges.js');
+
+const FRAME_MS = 100;
+
+// BlazeFace-style landmarks with the eyes 40 px apart and the nose `yaw` eye distances off center
+function landmarks(yaw = 0) {
+    return [[100, 100], [140, 100], [120 + yaw * 40, 120], [120, 140], [80, 110], [160, 110]];
+}
+
+const box = (size) => ({ x: 0, y: 0, width: size, height: size });
+
+// Pushes every observation in turn and returns the verifier's result after the last one
+function replay(type, observations) {
+    const verifier = createChallengeVerifier(type, { issuedAt: 0 });
+    observations.forEach((observation, frame) => verifier.push({ t: (frame + 1) * FRAME_MS, box: box(100), landmarks: landmarks(), eyeContrast: null, ...observation }));
+    return verifier.result;
+}
+
+const repeat = (observation, frames) => Array(frames).fill(observation);
+
+test('headYaw measures the nose offset from the eye midpoint in eye distances', () => {
+    assert.equal(headYaw(landmarks()), 0);
+    assert.equal(headYaw(landmarks(0.5)), 0.5);
+    assert.equal(headYaw(landmarks(-0.25)), -0.25);
+    assert.equal(headYaw([[100, 100], [100, 100], [110, 120]]), null);
+    assert.equal(headYaw(null), null);
+});
+
+test('turning left and back passes turn-left, and turning right alone does not', () => {
+    const turnAndReturn = (yaw) => [
+        ...repeat({ landmarks: landmarks() }, 3),
+        ...repeat({ landmarks: landmarks(yaw) }, 5),
+        { landmarks: landmarks(0.05) }
+    ];
+    assert.deepEqual(replay('turn-left', turnAndReturn(0.5)), { status: 'passed', responseMs: 900, reason: null });
+    assert.equal(replay('turn-left', turnAndReturn(-0.5)).status, 'pending');
+    assert.equal(replay('turn-right', turnAndReturn(-0.5)).status, 'passed');
+});
+
+test('a head that stays turned has not returned yet', () => {
+    const observations = [...repeat({ landmarks: landmarks() }, 3), ...repeat({ landmarks: landmarks(0.5) }, 10)];
+    assert.equal(replay('turn-left', observations).status, 'pending');
+});
+
+test('turns are measured from the calibrated baseline, not from a frontal face', () => {
+    // Someone sitting slightly turned already: the same absolute yaw is no turn at all
+    const observations = [...repeat({ landmarks: landmarks(0.4) }, 3), ...repeat({ landmarks: landmarks(0.5) }, 10)];
+    assert.equal(replay('turn-left', observations).status, 'pending');
+});
+
+test('leaning in grows the face box and leaning back completes lean-in', () => {
+    const observations = [...repeat({ box: box(100) }, 3), ...repeat({ box: box(120) }, 3), { box: box(102) }];
+    assert.equal(replay('lean-in', observations).status, 'passed');
+    assert.equal(replay('lean-in', [...repeat({ box: box(100) }, 3), ...repeat({ box: box(110) }, 5), { box: box(100) }]).status, 'pending');
+});
+
+test('blink-twice counts closed-then-open eye patches and needs two of them', () => {
+    const open = { eyeContrast: [40, 40] };
+    const closed = { eyeContrast: [20, 22] };
+    const oneBlink = [...repeat(open, 3), closed, open];
+    assert.equal(replay('blink-twice', oneBlink).status, 'pending');
+    assert.equal(replay('blink-twice', [...oneBlink, closed, closed, open]).status, 'passed');
+    // Frames without eye patches neither count nor reset a blink in progress
+    assert.equal(replay('blink-twice', [...oneBlink, closed, { eyeContrast: null }, open]).status, 'passed');
+});
+
+test('cover-eye needs one eye covered while the other stays open for the hold time', () => {
+    const open = { eyeContrast: [40, 40] };
+    const covered = { eyeContrast: [10, 38] };
+    assert.equal(replay('cover-eye', [...repeat(open, 3), ...repeat(covered, 5)]).status, 'pending');
+    assert.deepEqual(replay('cover-eye', [...repeat(open, 3), ...repeat(covered, 6)]), { status: 'passed', responseMs: 900, reason: null });
+    // Both eyes darkening (a hand over the whole face, the lights going off) is not covering one eye
+    assert.equal(replay('cover-eye', [...repeat(open, 3), ...repeat({ eyeContrast: [10, 12] }, 10)]).status, 'pending');
+    // Uncovering restarts the hold
+    assert.equal(replay('cover-eye', [...repeat(open, 3), ...repeat(covered, 4), open, ...repeat(covered, 4)]).status, 'pending');
+});
+
+test('a challenge not performed within its window fails, with the reason', () => {
+    const verifier = createChallengeVerifier('turn-left', { issuedAt: 1000, timeoutMs: 500 });
+    verifier.push({ t: 1100, landmarks: landmarks(), box: box(100) });
+    assert.equal(verifier.push({ t: 1400, landmarks: landmarks(), box: box(100) }).status, 'pending');
+    assert.deepEqual(verifier.push({ t: 1600, landmarks: landmarks(0.5), box: box(100) }), { status: 'failed', responseMs: 600, reason: 'timed out' });
+    // The result is final
+    assert.equal(verifier.push({ t: 1700, landmarks: landmarks(), box: box(100) }).status, 'failed');
+});
+
+test('expire fails a challenge that never saw a face', () => {
+    const verifier = createChallengeVerifier('blink-twice', { issuedAt: 0 });
+    assert.equal(verifier.expire(verifier.timeoutMs).status, 'pending');
+    assert.deepEqual(verifier.expire(verifier.timeoutMs + 1), { status: 'failed', responseMs: verifier.timeoutMs + 1, reason: 'no face visible' });
+});
+
+test('an unknown challenge type is rejected', () => {
+    assert.throws(() => createChallengeVerifier('juggle', { issuedAt: 0 }), /Unknown liveness challenge/);
+});
+
+test('eyePatchContrast measures the patch around each eye landmark of the given frame', () => {
+    // 200x200 grey frame with a black-and-white stripe pattern around the right eye only
+    const width = 200;
+    const height = 200;
+    const data = new Uint8ClampedArray(width * height * 4).fill(128);
+    for (let y = 90; y < 110; y++) {
+        for (let x = 90; x < 110; x++) data.fill(x % 2 === 0 ? 0 : 255, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+    const frame = { data, width, height };
+
+    const [rightEye, leftEye] = eyePatchContrast(frame, landmarks());
+    assert.ok(Math.abs(rightEye - 127.5) < 0.5, `striped patch contrast ${rightEye}`);
+    assert.ok(leftEye < 0.01, `flat patch contrast ${leftEye}`);
+    assert.equal(eyePatchContrast(frame, [[100, 100], [102, 100]]), null); // Eyes too close to measure
+    assert.equal(eyePatchContrast(null, landmarks()), null);
+});
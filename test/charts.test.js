@@ -0,0 +1,141 @@
+// charts.js draws with Chart.js as the page global `Chart`; a stand-in that only keeps the chart data is
+// enough here. The clock is performance.now(), mocked per test.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.Chart = class {
+    constructor(canvas, { data }) {
+        this.data = data;
+        this.updates = 0;
+    }
+    update() {
+        this.updates++;
+    }
+};
+const {
+    CONFIDENCE_WINDOW_SECONDS,
+    MAX_INTEGRITY_POINTS,
+    createIntegrityScorer,
+    trimRollingSeries,
+    thinSeries,
+    createSessionCharts
+} = require('../charts.js');
+
+test('the integrity score tolerates a short anomaly streak and drops on a sustained one', () => {
+    const scorer = createIntegrityScorer({ alpha: 1, graceFrames: 2, streakPenalty: 0.1 });
+    assert.equal(scorer.score(), 100);
+    scorer.update(0.9, true);
+    scorer.update(0.9, true);
+    assert.ok(Math.abs(scorer.score() - 90) < 1e-9);
+    scorer.update(0.9, true);
+    assert.ok(Math.abs(scorer.score() - 80) < 1e-9);
+});
+
+test('the streak penalty is capped, decays once the streak ends and never takes the score below 0', () => {
+    const scorer = createIntegrityScorer({ alpha: 1, graceFrames: 0, streakPenalty: 0.5, maxPenalty: 0.6, penaltyDecay: 0.5 });
+    scorer.update(0.5, true);
+    assert.equal(scorer.streak, 1);
+    assert.equal(scorer.update(0.5, true), 0); // Penalty capped at 0.6, score clamped at 0
+    assert.ok(Math.abs(scorer.update(0.9, false) - 60) < 1e-9); // 0.9 - 0.6 / 2
+    assert.equal(scorer.streak, 0);
+    assert.ok(Math.abs(scorer.update(0.9, false) - 75) < 1e-9);
+});
+
+test('the integrity score follows a moving average of confidence', () => {
+    const scorer = createIntegrityScorer({ alpha: 0.5 });
+    assert.equal(scorer.update(1, false), 100); // The first frame seeds the average
+    assert.equal(scorer.update(0.5, false), 75);
+    assert.equal(scorer.update(0.5, false), 62.5);
+});
+
+test('rolling series keep only the window and the point cap', () => {
+    const points = [0, 10, 20, 70, 80].map((x) => ({ x, y: 1 }));
+    assert.deepEqual(trimRollingSeries(points, 80, 60).map(({ x }) => x), [20, 70, 80]);
+    assert.deepEqual(trimRollingSeries(points, 80, 60, 2).map(({ x }) => x), [70, 80]);
+});
+
+test('thinning halves the series but keeps the newest point', () => {
+    const points = Array.from({ length: 5 }, (_, x) => ({ x, y: x }));
+    assert.deepEqual(thinSeries(points, 4).map(({ x }) => x), [0, 2, 4]);
+});
+
+test('face series that leave the window are removed from the chart and its legend', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    const charts = createSessionCharts({}, {});
+    const labels = () => charts.confidenceChart.data.datasets.map(({ label }) => label);
+
+    // A hundred short-lived tracks, one after another, as faces come and go or get re-identified
+    for (let track = 1; track <= 100; track++) {
+        now += 5000;
+        charts.recordFrame([{ key: `Guest Face #${track}`, confidence: 0.9, isAnomaly: false }]);
+    }
+    const windowTracks = Math.floor((CONFIDENCE_WINDOW_SECONDS * 1000) / 5000) + 1;
+    assert.equal(labels().length, windowTracks);
+    assert.equal(labels()[labels().length - 1], 'Guest Face #100');
+
+    now += (CONFIDENCE_WINDOW_SECONDS + 1) * 1000;
+    charts.recordFrame([]);
+    assert.deepEqual(labels(), []);
+});
+
+test('createSessionCharts needs Chart.js and both canvases', () => {
+    assert.equal(createSessionCharts(null, {}), null);
+    assert.equal(createSessionCharts({}, null), null);
+});
+
+test('each face gets its own coloured confidence series, and the weakest face drives the integrity score', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    const charts = createSessionCharts({}, {}, { alpha: 1 });
+
+    now = 500;
+    const score = charts.recordFrame([
+        { key: 'Host Face #1', confidence: 0.9, isAnomaly: false },
+        { key: 'Guest Face #1', confidence: 0.4, isAnomaly: false }
+    ]);
+    assert.equal(score, 40);
+    const [host, guest] = charts.confidenceChart.data.datasets;
+    assert.deepEqual([host.label, guest.label], ['Host Face #1', 'Guest Face #1']);
+    assert.deepEqual(host.data, [{ x: 0.5, y: 90 }]);
+    assert.deepEqual(guest.data, [{ x: 0.5, y: 40 }]);
+    assert.notEqual(host.borderColor, guest.borderColor);
+    assert.deepEqual(charts.integrityChart.data.datasets[0].data, [{ x: 0.5, y: 40 }]);
+});
+
+test('the integrity timeline takes one point per second and stays bounded', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let now = 0;
+    t.mock.method(performance, 'now', () => now);
+    const charts = createSessionCharts({}, {});
+    const integrity = charts.integrityChart.data.datasets[0].data;
+
+    // Ten frames a second for two seconds
+    for (let frame = 0; frame < 20; frame++) {
+        now = frame * 100;
+        charts.recordFrame([{ key: 'Guest Face #1', confidence: 1, isAnomaly: false }]);
+    }
+    assert.deepEqual(integrity.map(({ x }) => x), [0, 1]);
+
+    // A long call is thinned instead of growing without limit
+    for (let second = 2; second < 2 + MAX_INTEGRITY_POINTS * 2; second++) {
+        now = second * 1000;
+        charts.recordFrame([]);
+    }
+    assert.ok(integrity.length <= MAX_INTEGRITY_POINTS);
+    assert.equal(integrity[integrity.length - 1].x, 1 + MAX_INTEGRITY_POINTS * 2);
+});
+
+test('frames arriving together are drawn in one redraw', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(performance, 'now', () => 0);
+    const charts = createSessionCharts({}, {});
+
+    for (let frame = 0; frame < 5; frame++) charts.recordFrame([{ key: 'Guest Face #1', confidence: 1, isAnomaly: false }]);
+    assert.equal(charts.confidenceChart.updates, 0);
+    t.mock.timers.tick(500);
+    assert.equal(charts.confidenceChart.updates, 1);
+    assert.equal(charts.integrityChart.updates, 1);
+});
@@ -0,0 +1,103 @@
+// classifier.js runs as a classic browser script that expects TensorFlow.js as the global `tf`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.tf = require('@tensorflow/tfjs');
+const {
+    clampFaceBox,
+    classifyFaces,
+    createEmbeddingConsistencyClassifier
+} = require('../classifier.js');
+
+tf.setBackend('cpu');
+
+// A black 64x64 frame with one white square face and one grey one
+function fixedFrame() {
+    const pixels = new Float32Array(64 * 64 * 3);
+    const paint = (x0, y0, size, value) => {
+        for (let y = y0; y < y0 + size; y++) {
+            for (let x = x0; x < x0 + size; x++) pixels.fill(value, (y * 64 + x) * 3, (y * 64 + x) * 3 + 3);
+        }
+    };
+    paint(4, 4, 20, 255);
+    paint(36, 36, 20, 128);
+    return tf.tensor3d(pixels, [64, 64, 3], 'int32');
+}
+
+const box = (x, y, size) => ({ topLeft: [x, y], bottomRight: [x + size, y + size] });
+
+// Scores a face by its mean brightness, so every expected score follows from the fixed frame
+function brightnessClassifier() {
+    const calls = [];
+    return {
+        calls,
+        async predict(faceTensor, context) {
+            calls.push({ shape: faceTensor.shape, key: context.key });
+            const mean = faceTensor.mean();
+            const [brightness] = await mean.data();
+            mean.dispose();
+            return brightness;
+        }
+    };
+}
+
+test('clampFaceBox rounds to whole pixels and clips to the frame', () => {
+    assert.deepEqual(clampFaceBox({ topLeft: [-3.2, 10.7], bottomRight: [30.2, 80] }, 64, 64), { x: 0, y: 10, width: 31, height: 54 });
+});
+
+test('clampFaceBox drops boxes too small to classify', () => {
+    assert.equal(clampFaceBox(box(10, 10, 5), 64, 64), null);
+    assert.equal(clampFaceBox(box(60, 60, 20), 64, 64), null); // Only 4x4 pixels left inside the frame
+});
+
+test('classifyFaces scores each face crop of a fixed frame', async () => {
+    const frame = fixedFrame();
+    const classifier = brightnessClassifier();
+    const results = await classifyFaces(frame, [box(4, 4, 20), box(36, 36, 20)], classifier, (_, index) => `frame:${index}`);
+
+    assert.deepEqual(results.map(({ index, key, box: faceBox }) => ({ index, key, faceBox })), [
+        { index: 0, key: 'frame:0', faceBox: { x: 4, y: 4, width: 20, height: 20 } },
+        { index: 1, key: 'frame:1', faceBox: { x: 36, y: 36, width: 20, height: 20 } }
+    ]);
+    assert.ok(Math.abs(results[0].confidence - 1) < 1e-6);
+    assert.ok(Math.abs(results[1].confidence - 128 / 255) < 1e-6);
+    assert.deepEqual(classifier.calls.map(({ shape }) => shape), [[224, 224, 3], [224, 224, 3]]);
+    frame.dispose();
+});
+
+test('classifyFaces skips unusable boxes but keeps prediction indices', async () => {
+    const frame = fixedFrame();
+    const results = await classifyFaces(frame, [box(0, 0, 4), box(36, 36, 20)], brightnessClassifier());
+
+    assert.deepEqual(results.map(({ index, key }) => ({ index, key })), [{ index: 1, key: 'face:1' }]);
+    frame.dispose();
+});
+
+test('classifyFaces leaves no tensors behind, even when the classifier throws', async () => {
+    const frame = fixedFrame();
+    const before = tf.memory().numTensors;
+    await classifyFaces(frame, [box(4, 4, 20)], brightnessClassifier());
+    await assert.rejects(classifyFaces(frame, [box(4, 4, 20)], { predict: async () => { throw new Error('boom'); } }), /boom/);
+
+    assert.equal(tf.memory().numTensors, before);
+    frame.dispose();
+});
+
+test('the consistency heuristic scores a face against its own earlier appearance', async () => {
+    // Stub model: the "embedding" is the crop's mean colour
+    const model = { infer: (input) => input.mean([0, 1]) };
+    const classifier = createEmbeddingConsistencyClassifier(model);
+    const face = (r, g, b) => tf.tidy(() => tf.ones([8, 8, 3]).mul(tf.tensor1d([r, g, b])));
+
+    const red = face(1, 0, 0);
+    const green = face(0, 1, 0);
+    assert.equal(await classifier.predict(red, { key: 'a' }), 1);  // First sight sets the reference
+    assert.equal(await classifier.predict(red, { key: 'a' }), 1);
+    assert.equal(await classifier.predict(green, { key: 'a' }), 0); // Orthogonal embedding
+    assert.equal(await classifier.predict(green, { key: 'b' }), 1); // Other faces keep their own reference
+
+    classifier.reset('a');
+    assert.equal(await classifier.predict(green, { key: 'a' }), 1);
+    red.dispose();
+    green.dispose();
+});
@@ -0,0 +1,163 @@
+// Timers are mocked, so the backoff schedule runs instantly; peers and calls are bare event emitters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const {
+    CONNECTION_STATUS,
+    MAX_CONNECTION_RETRIES,
+    retryDelay,
+    createRetrier,
+    createConnectionManager
+} = require('../connection-manager.js');
+
+function fakePeer() {
+    const peer = new EventEmitter();
+    peer.disconnected = false;
+    peer.destroyed = false;
+    peer.reconnect = () => {};
+    return peer;
+}
+
+// Advances the mocked clock a second at a time, so timers scheduled by other timers fire too
+function advance(t, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 1000) t.mock.timers.tick(1000);
+}
+
+function fakeCall() {
+    const call = new EventEmitter();
+    call.close = () => call.emit('close');
+    return call;
+}
+
+test('retryDelay doubles from the base and stops at the cap', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map((attempt) => retryDelay(attempt)), [1000, 2000, 4000, 8000, 10000, 10000]);
+    assert.equal(retryDelay(3, 100, 500), 500);
+});
+
+test('the retrier follows the backoff schedule and gives up once the last attempt has had its wait', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const attempts = [];
+    let exhausted = 0;
+    const retrier = createRetrier({ attempt: (n) => attempts.push(n), onExhausted: () => exhausted++, maxAttempts: 3 });
+
+    retrier.start();
+    assert.deepEqual(attempts, [1]); // The first attempt is immediate
+    t.mock.timers.tick(999);
+    assert.deepEqual(attempts, [1]);
+    t.mock.timers.tick(1);
+    assert.deepEqual(attempts, [1, 2]);
+    t.mock.timers.tick(2000);
+    assert.deepEqual(attempts, [1, 2, 3]);
+    t.mock.timers.tick(3999);
+    assert.equal(exhausted, 0);
+    t.mock.timers.tick(1);
+    assert.equal(exhausted, 1);
+    assert.equal(retrier.active, false);
+});
+
+test('success stops the retrier and a later start begins the schedule again', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const attempts = [];
+    let exhausted = 0;
+    const retrier = createRetrier({ attempt: (n) => attempts.push(n), onExhausted: () => exhausted++ });
+
+    retrier.start();
+    t.mock.timers.tick(1000);
+    retrier.succeeded();
+    assert.equal(retrier.active, false);
+    assert.equal(retrier.attempts, 0);
+    advance(t, 60000);
+    assert.deepEqual(attempts, [1, 2]);
+
+    retrier.start();
+    assert.deepEqual(attempts, [1, 2, 1]);
+    assert.equal(exhausted, 0);
+});
+
+test('a dropped call is redialed with backoff until a stream arrives', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const statuses = [];
+    const calls = [];
+    const manager = createConnectionManager({
+        peer: fakePeer(),
+        redial: () => {
+            calls.push(fakeCall());
+            return calls[calls.length - 1];
+        },
+        onStatusChange: (status) => statuses.push(status)
+    });
+    const first = fakeCall();
+    manager.watchCall(first);
+
+    first.emit('close');
+    assert.equal(calls.length, 1);
+    assert.equal(manager.status, CONNECTION_STATUS.RECONNECTING);
+    t.mock.timers.tick(1000);
+    assert.equal(calls.length, 2);
+
+    calls[1].emit('stream');
+    assert.equal(manager.status, CONNECTION_STATUS.CONNECTED);
+    advance(t, 60000);
+    assert.equal(calls.length, 2);
+});
+
+test('the manager gives up after MAX_CONNECTION_RETRIES redials', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const causes = [];
+    let redials = 0;
+    const manager = createConnectionManager({
+        peer: fakePeer(),
+        redial: () => {
+            redials++;
+            return fakeCall();
+        },
+        onGiveUp: (cause) => causes.push(cause)
+    });
+    const call = fakeCall();
+    manager.watchCall(call);
+
+    call.emit('close');
+    advance(t, 60000);
+    assert.equal(redials, MAX_CONNECTION_RETRIES);
+    assert.deepEqual(causes, ['media']);
+    assert.equal(manager.status, CONNECTION_STATUS.FAILED);
+});
+
+test('peer-unavailable is part of a redial only while media is being restored', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const manager = createConnectionManager({ peer: fakePeer(), redial: fakeCall });
+    const call = fakeCall();
+    manager.watchCall(call);
+
+    assert.equal(manager.handlePeerError({ type: 'peer-unavailable' }), false); // A wrong meeting ID
+    call.emit('close');
+    assert.equal(manager.handlePeerError({ type: 'peer-unavailable' }), true);  // The host isn't back yet
+    assert.equal(manager.handlePeerError({ type: 'browser-incompatible' }), false);
+});
+
+test('after a hang-up closing calls are not redialed and errors are ignored', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let redials = 0;
+    let gaveUp = false;
+    const manager = createConnectionManager({
+        peer: fakePeer(),
+        redial: () => {
+            redials++;
+            return fakeCall();
+        },
+        onGiveUp: () => {
+            gaveUp = true;
+        }
+    });
+    const call = fakeCall();
+    manager.watchCall(call);
+
+    manager.hangUp();
+    call.emit('close');
+    advance(t, 60000);
+    assert.equal(redials, 0);
+    assert.equal(gaveUp, false);
+    assert.equal(manager.status, CONNECTION_STATUS.ENDED);
+    assert.equal(manager.handlePeerError({ type: 'peer-unavailable' }), true);
+});
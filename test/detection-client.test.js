@@ -0,0 +1,188 @@
+// detection-client.js runs as a classic browser script; in Node there is no Worker, so the client takes its
+// main-thread path, which is given just enough of detector.js's globals here to run
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MIN_SAMPLE_INTERVAL_MS,
+    MAX_SAMPLE_INTERVAL_MS,
+    preferredBackends,
+    smoothLatency,
+    sampleDelay,
+    createDetectionClient
+} = require('../detection-client.js');
+
+test('preferredBackends puts a forced backend first', () => {
+    assert.deepEqual(preferredBackends(''), ['webgl', 'wasm', 'cpu']);
+    assert.deepEqual(preferredBackends('?backend=cpu'), ['cpu', 'webgl', 'wasm']);
+});
+
+test('smoothLatency starts at the first sample and then moves a fifth of the way per sample', () => {
+    assert.equal(smoothLatency(null, 40), 40);
+    assert.equal(smoothLatency(40, 90), 50);
+});
+
+test('sampleDelay leaves headroom over the latency, within the sampling bounds', () => {
+    assert.equal(sampleDelay(null), MIN_SAMPLE_INTERVAL_MS);
+    assert.equal(sampleDelay(5), MIN_SAMPLE_INTERVAL_MS);  // Fast machine: capped at 30 fps
+    assert.equal(sampleDelay(100), 150);                   // Slow machine: fewer frames instead of a queue
+    assert.equal(sampleDelay(5000), MAX_SAMPLE_INTERVAL_MS);
+    assert.equal(sampleDelay(5, 200), 200);                // A lower sample rate setting raises the floor
+});
+
+// The main-thread detector copies each frame onto a canvas before analyzing it
+function fakeDocument() {
+    return {
+        createElement: () => {
+            const canvas = { width: 0, height: 0 };
+            canvas.getContext = () => ({
+                canvas,
+                drawImage() {},
+                getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4), width, height })
+            });
+            return canvas;
+        }
+    };
+}
+
+test('the client adapts its sampling delay to the configured rate and the measured latency', async () => {
+    const policies = [];
+    const analyzed = [];
+    Object.assign(global, {
+        document: fakeDocument(),
+        tf: { getBackend: () => 'cpu' },
+        loadDetectionModels: async () => {},
+        setDetectionPolicy: (policy) => policies.push(policy),
+        policyTrackerOptions: () => ({}),
+        createFaceTracker: () => ({ worstState: () => 'clean' }),
+        analyzeFrame: (source, tracker, timestamp, key, pixels) => {
+            analyzed.push({ source, pixels });
+            return new Promise((resolve) => setTimeout(() => resolve([]), 50));
+        }
+    });
+    const client = createDetectionClient({ backends: ['cpu'], assets: { libraries: {}, models: {} } });
+    await client.ready;
+    assert.deepEqual(client.stats(), { mode: 'main-thread', backend: 'cpu', latencyMs: null, fps: 0 });
+
+    client.configure({ threshold: 0.6, minFaceSize: 20, maxFaces: 2, sampleRate: 5 });
+    assert.deepEqual(policies.at(-1), { threshold: 0.6, minFaceSize: 20, maxFaces: 2 }); // Page copy and detector
+    assert.equal(client.nextSampleDelay(), 200);
+
+    client.configure({ threshold: 0.6, minFaceSize: 20, maxFaces: 2, sampleRate: 30 });
+    const { latencyMs } = await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'video', 0);
+    assert.ok(latencyMs >= 45);
+    // The pipeline gets a still copy of the frame, the same one its pixel measurements come from
+    assert.equal(analyzed[0].source, analyzed[0].pixels);
+    assert.deepEqual([analyzed[0].pixels.width, analyzed[0].pixels.height], [4, 2]);
+
+    // Only a kept frame is handed back, as its own copy so the next sample cannot overwrite it
+    assert.equal((await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'video', 100)).frame, null);
+    const { frame } = await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'video', 200, { keepFrame: true });
+    assert.deepEqual([frame.width, frame.height], [4, 2]);
+    assert.notEqual(frame, (await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'video', 300, { keepFrame: true })).frame);
+    assert.equal(client.nextSampleDelay(), sampleDelay(client.stats().latencyMs));
+    assert.ok(client.nextSampleDelay() >= 1.5 * 45);
+});
+
+// Stands in for detection-worker.js: answers 'init' with 'ready' and leaves 'analyze' requests pending
+class FakeWorker {
+    constructor() {
+        FakeWorker.last = this;
+        this.posted = [];
+    }
+    postMessage(message) {
+        this.posted.push(message.type);
+        if (message.type === 'init') setImmediate(() => this.onmessage({ data: { type: 'ready', backend: 'webgl' } }));
+    }
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+// Worker detection needs these three browser globals; the fallback warnings are expected
+function useFakeWorker(t) {
+    Object.assign(global, { Worker: FakeWorker, OffscreenCanvas: class {}, createImageBitmap: async () => ({}) });
+    t.mock.method(console, 'warn', () => {});
+    t.after(() => {
+        delete global.Worker;
+        delete global.OffscreenCanvas;
+        delete global.createImageBitmap;
+    });
+}
+
+test('a worker that crashes mid-analysis rejects the frame in flight and the client falls back to the main thread', async (t) => {
+    useFakeWorker(t);
+    Object.assign(global, {
+        document: fakeDocument(),
+        tf: { getBackend: () => 'cpu' },
+        loadDetectionModels: async () => {},
+        setDetectionPolicy: () => {},
+        policyTrackerOptions: () => ({}),
+        createFaceTracker: () => ({ worstState: () => 'clean' }),
+        analyzeFrame: async () => []
+    });
+
+    const client = createDetectionClient({ backends: ['webgl'], assets: { libraries: {}, models: {} } });
+    await client.ready;
+    assert.equal(client.stats().mode, 'worker');
+
+    const inFlight = client.analyze({}, 'video', 0);
+    await new Promise((resolve) => setImmediate(resolve)); // Let the request reach the worker
+    FakeWorker.last.onerror({ message: 'RuntimeError: Aborted()', preventDefault() {} });
+    await assert.rejects(inFlight, /Aborted/);
+    assert.equal(FakeWorker.last.terminated, true);
+
+    const { faces } = await client.analyze({}, 'video', 100);
+    assert.deepEqual(faces, []);
+    assert.deepEqual({ mode: client.stats().mode, backend: client.stats().backend }, { mode: 'main-thread', backend: 'cpu' });
+});
+
+test('an error message not tied to a request fails every request in flight', async (t) => {
+    useFakeWorker(t);
+
+    const client = createDetectionClient({ backends: ['webgl'], assets: { libraries: {}, models: {} } });
+    await client.ready;
+    const inFlight = [client.analyze({}, 'a', 0), client.analyze({}, 'b', 0)];
+    await new Promise((resolve) => setImmediate(resolve));
+    FakeWorker.last.onmessage({ data: { type: 'error', message: 'Out of memory' } });
+    for (const request of inFlight) await assert.rejects(request, /Out of memory/);
+    assert.equal(client.stats().mode, 'main-thread');
+});
+
+test('reset drops the tracks and classifier references on the main thread', async () => {
+    const resets = [];
+    let trackersCreated = 0;
+    Object.assign(global, {
+        document: fakeDocument(),
+        tf: { getBackend: () => 'cpu' },
+        loadDetectionModels: async () => {},
+        setDetectionPolicy: () => {},
+        policyTrackerOptions: () => ({}),
+        createFaceTracker: () => {
+            trackersCreated++;
+            return { worstState: () => 'clean' };
+        },
+        resetDetectionSource: (sourceKey) => resets.push(sourceKey),
+        analyzeFrame: async () => []
+    });
+    const client = createDetectionClient({ backends: ['cpu'], assets: { libraries: {}, models: {} } });
+    await client.ready;
+
+    await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'waiting-peer-a', 0);
+    await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'waiting-peer-a', 100);
+    assert.equal(trackersCreated, 1);
+
+    // A caller scanned again under the same peer ID starts from scratch
+    client.reset('waiting-peer-a');
+    assert.deepEqual(resets, ['waiting-peer-a']);
+    await client.analyze({ videoWidth: 4, videoHeight: 2 }, 'waiting-peer-a', 0);
+    assert.equal(trackersCreated, 2);
+});
+
+test('reset reaches the worker, which clears the same state there', async (t) => {
+    useFakeWorker(t);
+    const client = createDetectionClient({ backends: ['webgl'], assets: { libraries: {}, models: {} } });
+    await client.ready;
+    client.reset('participant-video-peer-a');
+    assert.deepEqual(FakeWorker.last.posted, ['init', 'reset']);
+});
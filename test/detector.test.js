@@ -0,0 +1,61 @@
+// detector.js runs as a classic script on top of classifier.js, tracker.js, challenges.js and the model packages; here
+// BlazeFace is a stub that finds one fixed face box and the "embedding" is the face crop's mean colour
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.tf = require('@tensorflow/tfjs');
+Object.assign(global, require('../classifier.js'), require('../tracker.js'), require('../lobby.js'), require('../challenges.js'));
+global.blazeface = {
+    load: async () => ({ estimateFaces: async () => [{ topLeft: [4, 4], bottomRight: [24, 24], probability: [0.99], landmarks: null }] })
+};
+global.mobilenet = { load: async () => ({ infer: (input) => input.mean([0, 1]) }) };
+const { loadDetectionModels, analyzeFrame, resetDetectionSource } = require('../detector.js');
+
+tf.setBackend('cpu');
+
+// A black 64x64 frame with a 20x20 face square of the given colour
+function faceFrame([r, g, b]) {
+    return tf.tidy(() => {
+        const face = tf.ones([20, 20, 3]).mul(tf.tensor1d([r, g, b])).pad([[4, 40], [4, 40], [0, 0]]);
+        return face.toInt();
+    });
+}
+
+// Runs `colours` as consecutive frames 100 ms apart and returns each frame's { track id, confidence }
+async function runSequence(tracker, sourceKey, colours, startMs = 0) {
+    const results = [];
+    for (let i = 0; i < colours.length; i++) {
+        const frame = faceFrame(colours[i]);
+        const [face] = await analyzeFrame(frame, tracker, startMs + i * 100, sourceKey);
+        frame.dispose();
+        results.push({ track: face.track.id, confidence: face.confidence });
+    }
+    return results;
+}
+
+const RED = [255, 0, 0];
+const GREEN = [0, 255, 0];
+
+test('a reset source starts the next video with fresh classifier references', async () => {
+    await loadDetectionModels();
+
+    const first = await runSequence(createFaceTracker(), 'file', [RED, RED, RED]);
+    assert.deepEqual(first, [{ track: 1, confidence: 1 }, { track: 1, confidence: 1 }, { track: 1, confidence: 1 }]);
+
+    // A second video through the same source: its new tracker numbers the face #1 again
+    resetDetectionSource('file');
+    const second = await runSequence(createFaceTracker(), 'file', [GREEN, GREEN], 10000);
+    assert.deepEqual(second, [{ track: 1, confidence: 1 }, { track: 1, confidence: 1 }]);
+});
+
+test('without a reset the next tracker inherits the old face references', async () => {
+    await loadDetectionModels();
+    await runSequence(createFaceTracker(), 'tile', [RED, RED]);
+    const [{ confidence }] = await runSequence(createFaceTracker(), 'tile', [GREEN], 10000);
+    assert.equal(confidence, 0);
+
+    // Resetting one source leaves the others alone
+    resetDetectionSource('other');
+    const [{ confidence: still }] = await runSequence(createFaceTracker(), 'tile', [GREEN], 20000);
+    assert.equal(still, 0);
+});
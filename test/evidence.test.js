@@ -0,0 +1,85 @@
+// The zip writer is read back with a minimal parser that follows the end-of-central-directory record,
+// so every offset and size the writer computed is checked against the bytes it produced
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { crc32, createZip } = require('../evidence.js');
+
+const encode = (text) => new TextEncoder().encode(text);
+
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const endOffset = bytes.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+    const count = view.getUint16(endOffset + 10, true);
+    const centralSize = view.getUint32(endOffset + 12, true);
+    const centralOffset = view.getUint32(endOffset + 16, true);
+    assert.equal(view.getUint16(endOffset + 8, true), count);
+    assert.equal(centralOffset + centralSize, endOffset); // The central directory ends right at the end record
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    let position = centralOffset;
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength;
+
+        // The local header at the recorded offset describes the same file
+        assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+        assert.equal(view.getUint16(localOffset + 8, true), 0); // Stored
+        assert.equal(view.getUint32(localOffset + 14, true), crc);
+        assert.equal(view.getUint32(localOffset + 18, true), size);
+        assert.equal(view.getUint32(localOffset + 22, true), size);
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        assert.equal(decoder.decode(bytes.subarray(localOffset + 30, localOffset + 30 + localNameLength)), name);
+        const dataStart = localOffset + 30 + localNameLength;
+        const data = bytes.subarray(dataStart, dataStart + size);
+
+        entries.push({ name, crc, data, time: view.getUint16(localOffset + 10, true), day: view.getUint16(localOffset + 12, true) });
+    }
+    assert.equal(position, endOffset);
+    return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(encode('123456789')), 0xcbf43926);
+    assert.equal(crc32(encode('The quick brown fox jumps over the lazy dog')), 0x414fa339);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip stores every file with headers that point at each other', async () => {
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]);
+    const files = [
+        { name: 'snapshot-1/frame.jpg', data: new Blob([jpeg]) },
+        { name: 'snapshot-1/face.jpg', data: jpeg.subarray(2) },
+        { name: 'snapshot-1/metadata.json', data: '{"participant":"Zoë"}' },
+        { name: 'index.json', data: '' }
+    ];
+    const zip = await createZip(files, new Date(2024, 4, 17, 13, 45, 30));
+    assert.equal(zip.type, 'application/zip');
+
+    const entries = readZip(new Uint8Array(await zip.arrayBuffer()));
+    assert.deepEqual(entries.map(({ name }) => name), files.map(({ name }) => name));
+
+    const expected = [jpeg, jpeg.subarray(2), encode('{"participant":"Zoë"}'), new Uint8Array(0)];
+    entries.forEach(({ data, crc }, index) => {
+        assert.deepEqual(Array.from(data), Array.from(expected[index]));
+        assert.equal(crc, crc32(expected[index]));
+    });
+
+    // DOS date and time: 2024-05-17 13:45:30
+    assert.equal(entries[0].time, (13 << 11) | (45 << 5) | 15);
+    assert.equal(entries[0].day, ((2024 - 1980) << 9) | (5 << 5) | 17);
+});
+
+test('an empty zip is just the end-of-central-directory record', async () => {
+    const zip = await createZip([]);
+    const bytes = new Uint8Array(await zip.arrayBuffer());
+    assert.equal(bytes.length, 22);
+    assert.deepEqual(readZip(bytes), []);
+});
@@ -0,0 +1,41 @@
+// invites.js uses meeting-id.js's helpers as page globals
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, require('../meeting-id.js'));
+const { parseJoinInput, createInviteBook, INVITE_STATUS } = require('../invites.js');
+
+const future = (Date.now() + 60 * 60 * 1000).toString(36);
+const token = `${future}-0123456789abcdef`;
+
+test('parseJoinInput accepts a bare meeting code', () => {
+    assert.deepEqual(parseJoinInput(' ab12-cd34 '), { meetingId: 'AB12CD34', invite: null, search: '?id=AB12CD34' });
+});
+
+test('parseJoinInput keeps only the meeting ID and invite from a pasted link', () => {
+    const link = `https://meet.example/meeting.html?id=ab12cd34&invite=${token}&peerHost=evil.example&iceServers=%5B%5D`;
+    assert.deepEqual(parseJoinInput(link), { meetingId: 'AB12CD34', invite: token, search: `?id=AB12CD34&invite=${token}` });
+});
+
+test('parseJoinInput rejects links without a valid meeting ID or with an expired invite', () => {
+    assert.ok(parseJoinInput('https://meet.example/meeting.html?id=nope').error);
+    const expired = `${(Date.now() - 1000).toString(36)}-0123456789abcdef`;
+    assert.match(parseJoinInput(`https://meet.example/meeting.html?id=AB12CD34&invite=${expired}`).error, /expired/);
+});
+
+test('an invite is single use but can be redeemed again by the same peer', () => {
+    let now = 1000;
+    const book = createInviteBook('AB12CD34', { now: () => now });
+    const invite = book.create('  Ada   Lovelace ', 15);
+
+    assert.equal(invite.name, 'Ada Lovelace');
+    assert.equal(book.redeem(invite.token, 'peer-a').accepted, true);
+    assert.equal(book.redeem(invite.token, 'peer-a').accepted, true);
+    assert.match(book.redeem(invite.token, 'peer-b').reason, /already been used/);
+    assert.equal(book.forPeer('peer-a'), invite);
+
+    const other = book.create('Grace', 15);
+    now += 16 * 60 * 1000;
+    assert.match(book.redeem(other.token, 'peer-c').reason, /expired/);
+    assert.deepEqual(book.list().map(({ status }) => status), [INVITE_STATUS.USED, INVITE_STATUS.EXPIRED]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CONSENT_NOTICE_VERSION,
+    measureLighting,
+    selfCheckGuidance,
+    createConsentRecord,
+    isValidConsent
+} = require('../lobby.js');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const GOOD_LIGHTING = { brightness: 120, contrast: 50 };
+
+// A BlazeFace prediction `size` pixels wide centered at (cx, cy)
+const face = (size, cx = WIDTH / 2, cy = HEIGHT / 2) => ({
+    topLeft: [cx - size / 2, cy - size / 2],
+    bottomRight: [cx + size / 2, cy + size / 2]
+});
+
+function guidanceFor(predictions, lighting = GOOD_LIGHTING, faceLighting = null) {
+    return selfCheckGuidance({ predictions, width: WIDTH, height: HEIGHT, lighting, faceLighting });
+}
+
+const texts = (guidance) => guidance.map(({ level, text }) => `${level}: ${text}`);
+
+test('a single centered face in good light passes both checks', () => {
+    assert.deepEqual(texts(guidanceFor([face(200)])), ['ok: Face clearly visible.', 'ok: Lighting looks good.']);
+});
+
+test('no face is a blocking problem and more than one face is a warning', () => {
+    assert.deepEqual(guidanceFor([], null), [{ level: 'bad', text: 'No face detected. Face the camera and make sure nothing covers it.' }]);
+    assert.deepEqual(guidanceFor([face(150, 200), face(150, 450)], null), [{ level: 'warn', text: '2 faces in view. Only you should be in the frame.' }]);
+});
+
+test('face size and position are judged as fractions of the frame', () => {
+    assert.deepEqual(texts(guidanceFor([face(80)], null)), ['warn: Your face is small in the frame. Move closer to the camera.']);
+    assert.deepEqual(texts(guidanceFor([face(460)], null)), ['warn: You are very close to the camera. Move back a little.']);
+    assert.deepEqual(texts(guidanceFor([face(150, 100)], null)), ['warn: Center your face in the preview.']);
+    // A box cut off by the frame edge is off-center even if its middle is near enough
+    assert.deepEqual(texts(guidanceFor([face(200, 320, 100)], null)), ['warn: Center your face in the preview.']);
+    // Both problems at once are both reported
+    assert.equal(guidanceFor([face(60, 40, 40)], null).length, 2);
+});
+
+test('lighting problems are reported most severe first, one at a time', () => {
+    const lightingText = (lighting, faceLighting) => texts(guidanceFor([face(200)], lighting, faceLighting))[1];
+    assert.equal(lightingText({ brightness: 40, contrast: 10 }), 'bad: The image is too dark. Turn on a light in front of you.');
+    assert.equal(lightingText({ brightness: 230, contrast: 50 }), 'warn: The image is overexposed. Reduce direct light on the camera.');
+    assert.equal(lightingText({ brightness: 150, contrast: 50 }, { brightness: 90, contrast: 30 }),
+        'warn: Your face is backlit. Avoid sitting with a window or lamp behind you.');
+    assert.equal(lightingText({ brightness: 150, contrast: 50 }, { brightness: 120, contrast: 30 }), 'ok: Lighting looks good.');
+    assert.equal(lightingText({ brightness: 120, contrast: 10 }), 'warn: The image looks washed out. Try more even lighting.');
+});
+
+test('measureLighting reports mean luma and its spread, optionally within a region', () => {
+    // 4x1 image: two black pixels, then two white ones
+    const data = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255, 255, 255, 255, 255, 255]);
+    const image = { data, width: 4, height: 1 };
+    const whole = measureLighting(image);
+    assert.ok(Math.abs(whole.brightness - 127.5) < 1e-9);
+    assert.ok(Math.abs(whole.contrast - 127.5) < 1e-9);
+    const right = measureLighting(image, { x: 2, y: 0, width: 5, height: 1 }); // Clipped to the image
+    assert.ok(Math.abs(right.brightness - 255) < 1e-9);
+    assert.ok(Math.abs(right.contrast) < 1e-4);
+    assert.equal(measureLighting(image, { x: 10, y: 0, width: 2, height: 1 }), null);
+});
+
+test('a consent record is valid only when accepted for the current notice version', () => {
+    const record = createConsentRecord('abc-defg-hij', Date.UTC(2024, 0, 2, 3, 4, 5));
+    assert.deepEqual(record, {
+        accepted: true,
+        noticeVersion: CONSENT_NOTICE_VERSION,
+        meetingId: 'abc-defg-hij',
+        acceptedAt: '2024-01-02T03:04:05.000Z'
+    });
+    assert.equal(isValidConsent(record), true);
+    assert.equal(isValidConsent({ ...record, noticeVersion: CONSENT_NOTICE_VERSION - 1 }), false);
+    assert.equal(isValidConsent({ ...record, accepted: 'yes' }), false);
+    assert.equal(isValidConsent(null), false);
+    assert.equal(isValidConsent(undefined), false);
+});
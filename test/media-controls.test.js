@@ -0,0 +1,134 @@
+// media-controls.js talks to MediaStream tracks, RTCRtpSenders and navigator.mediaDevices; each is faked
+// with just the members the module uses
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMediaControls, renderMediaBadges } = require('../media-controls.js');
+
+function fakeTrack(kind, deviceId) {
+    return { kind, deviceId, enabled: true, stopped: false, getSettings: () => ({ deviceId }), stop() { this.stopped = true; } };
+}
+
+function fakeStream(tracks) {
+    return {
+        getAudioTracks: () => tracks.filter((track) => track.kind === 'audio'),
+        getVideoTracks: () => tracks.filter((track) => track.kind === 'video'),
+        addTrack: (track) => tracks.push(track),
+        removeTrack: (track) => tracks.splice(tracks.indexOf(track), 1)
+    };
+}
+
+function fakePeerConnection(tracks) {
+    const senders = tracks.map((track) => ({ track, replaceTrack(next) { this.track = next; return Promise.resolve(); } }));
+    return { getSenders: () => senders };
+}
+
+function fakeSelect() {
+    const select = { disabled: false, options: [], appendChild: (option) => select.options.push(option) };
+    Object.defineProperty(select, 'innerHTML', { set() { select.options = []; } });
+    return select;
+}
+
+function useMediaDevices(mediaDevices) {
+    Object.defineProperty(global, 'navigator', { value: { mediaDevices }, configurable: true, writable: true });
+    global.document = { createElement: () => ({}) };
+}
+
+test('toggling flips every track of one kind and reports both states', () => {
+    const camera = fakeTrack('video', 'cam-1');
+    const mic = fakeTrack('audio', 'mic-1');
+    const changes = [];
+    const controls = createMediaControls({
+        getStream: () => fakeStream([camera, mic]),
+        getPeerConnections: () => [],
+        onChange: (state) => changes.push(state)
+    });
+
+    assert.deepEqual(controls.state(), { audio: true, video: true });
+    assert.equal(controls.toggleAudio(), false);
+    assert.equal(mic.enabled, false);
+    assert.equal(camera.enabled, true);
+    assert.equal(controls.toggleVideo(), false);
+    assert.equal(controls.toggleAudio(), true);
+    assert.deepEqual(changes, [{ audio: false, video: true }, { audio: false, video: false }, { audio: true, video: false }]);
+});
+
+test('a kind with no tracks, or no stream at all, counts as off', () => {
+    const controls = createMediaControls({ getStream: () => fakeStream([fakeTrack('audio', 'mic-1')]), getPeerConnections: () => [] });
+    assert.deepEqual(controls.state(), { audio: true, video: false });
+    assert.deepEqual(createMediaControls({ getStream: () => null, getPeerConnections: () => [] }).state(), { audio: false, video: false });
+});
+
+test('switchDevice replaces the sent track on every connection and keeps the mute state', async () => {
+    const oldCamera = fakeTrack('video', 'cam-1');
+    const mic = fakeTrack('audio', 'mic-1');
+    const tracks = [oldCamera, mic];
+    const connections = [fakePeerConnection([mic, oldCamera]), fakePeerConnection([oldCamera])];
+    const requested = [];
+    const newCamera = fakeTrack('video', 'cam-2');
+    useMediaDevices({
+        getUserMedia: async (constraints) => {
+            requested.push(constraints);
+            return fakeStream([newCamera]);
+        }
+    });
+    const controls = createMediaControls({ getStream: () => fakeStream(tracks), getPeerConnections: () => connections });
+    controls.toggleVideo();
+
+    assert.equal(await controls.switchDevice('video', 'cam-2'), newCamera);
+    assert.deepEqual(requested, [{ video: { deviceId: { exact: 'cam-2' } } }]);
+    assert.equal(newCamera.enabled, false); // Still camera-off after the switch
+    assert.ok(oldCamera.stopped);
+    assert.deepEqual(tracks, [mic, newCamera]);
+    assert.deepEqual(connections.map((connection) => connection.getSenders().map((sender) => sender.track)), [[mic, newCamera], [newCamera]]);
+});
+
+test('a failed switch leaves the current track in place', async () => {
+    const camera = fakeTrack('video', 'cam-1');
+    const tracks = [camera];
+    useMediaDevices({ getUserMedia: async () => { throw new Error('NotReadableError'); } });
+    const controls = createMediaControls({ getStream: () => fakeStream(tracks), getPeerConnections: () => [fakePeerConnection([camera])] });
+
+    await assert.rejects(controls.switchDevice('video', 'cam-2'), /NotReadableError/);
+    assert.deepEqual(tracks, [camera]);
+    assert.equal(camera.stopped, false);
+});
+
+test('populateDeviceSelect lists one kind of device and selects the one in use', async () => {
+    useMediaDevices({
+        enumerateDevices: async () => [
+            { kind: 'videoinput', deviceId: 'cam-1', label: 'Built-in Camera' },
+            { kind: 'audioinput', deviceId: 'mic-1', label: 'Built-in Microphone' },
+            { kind: 'videoinput', deviceId: 'cam-2', label: '' }
+        ]
+    });
+    const controls = createMediaControls({ getStream: () => fakeStream([fakeTrack('video', 'cam-2'), fakeTrack('audio', 'mic-1')]), getPeerConnections: () => [] });
+
+    const cameras = fakeSelect();
+    await controls.populateDeviceSelect(cameras, 'video');
+    assert.deepEqual(cameras.options.map(({ value, textContent, selected }) => [value, textContent, selected]),
+        [['cam-1', 'Built-in Camera', false], ['cam-2', 'Camera 2', true]]); // Unlabelled devices get a numbered name
+    assert.equal(cameras.disabled, false);
+
+    // A single device leaves nothing to choose
+    const mics = fakeSelect();
+    await controls.populateDeviceSelect(mics, 'audio');
+    assert.equal(mics.options.length, 1);
+    assert.equal(mics.disabled, true);
+});
+
+test('populateDeviceSelect passes on an enumerateDevices failure for the caller to handle', async () => {
+    useMediaDevices({ enumerateDevices: async () => { throw new Error('NotAllowedError'); } });
+    const controls = createMediaControls({ getStream: () => null, getPeerConnections: () => [] });
+    await assert.rejects(controls.populateDeviceSelect(fakeSelect(), 'video'), /NotAllowedError/);
+    // Nothing to fill is not an error
+    await controls.populateDeviceSelect(null, 'video');
+});
+
+test('renderMediaBadges shows only the states that are off', () => {
+    const element = { innerHTML: 'stale' };
+    renderMediaBadges(element, { audio: false, video: true });
+    assert.equal(element.innerHTML, '<span class="media-badge">🔇 Muted</span>');
+    renderMediaBadges(element, { audio: true, video: true });
+    assert.equal(element.innerHTML, '');
+});
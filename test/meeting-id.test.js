@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MEETING_ID_LENGTH, generateMeetingId, normalizeMeetingId, validateMeetingId, meetingIdFromUrl } = require('../meeting-id.js');
+
+const FORMAT_ERROR = `Invalid Meeting ID format. Must be an ${MEETING_ID_LENGTH}-character code (0-9, A-F).`;
+
+test('generated meeting IDs are valid and differ between calls', () => {
+    const ids = Array.from({ length: 20 }, generateMeetingId);
+    ids.forEach((id) => assert.equal(validateMeetingId(id), null, id));
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('validateMeetingId accepts exactly eight uppercase hex characters', () => {
+    ['0123ABCD', 'FFFFFFFF', '00000000'].forEach((id) => assert.equal(validateMeetingId(id), null, id));
+    ['0123abcd', '0123ABC', '0123ABCDE', '0123-ABC', 'GHIJKLMN', ' 0123ABC', '0123ABCD\n'].forEach((id) => {
+        assert.equal(validateMeetingId(id), FORMAT_ERROR, JSON.stringify(id));
+    });
+});
+
+test('validateMeetingId asks for an ID when none was entered', () => {
+    assert.equal(validateMeetingId(''), 'Please enter a Meeting ID.');
+    assert.equal(validateMeetingId(null), 'Please enter a Meeting ID.');
+});
+
+test('normalizeMeetingId strips whitespace and dashes and upper-cases', () => {
+    assert.equal(normalizeMeetingId('ab12cd34'), 'AB12CD34');
+    assert.equal(normalizeMeetingId('  ab12-cd34 '), 'AB12CD34');
+    assert.equal(normalizeMeetingId('AB12 CD34\t'), 'AB12CD34');
+    assert.equal(normalizeMeetingId('a-b-1-2-c-d-3-4'), 'AB12CD34');
+    assert.equal(normalizeMeetingId(null), '');
+    assert.equal(normalizeMeetingId(undefined), '');
+    // Other separators are not guessed at, so the result still fails validation
+    assert.equal(validateMeetingId(normalizeMeetingId('ab12_cd34')), FORMAT_ERROR);
+    assert.equal(validateMeetingId(normalizeMeetingId('ab12.cd34')), FORMAT_ERROR);
+});
+
+test('meetingIdFromUrl reads and normalizes the id query parameter', () => {
+    assert.equal(meetingIdFromUrl('?id=ab12-cd34'), 'AB12CD34');
+    assert.equal(meetingIdFromUrl('?invite=xyz&id=%20ab12cd34'), 'AB12CD34');
+    assert.equal(meetingIdFromUrl('?invite=xyz'), null);
+    assert.equal(meetingIdFromUrl('?id='), null);
+    assert.equal(meetingIdFromUrl(''), null);
+});
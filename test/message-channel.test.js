@@ -0,0 +1,83 @@
+// message-channel.js uses protocol.js's helpers as page globals; a pair of in-memory connections stands in
+// for the PeerJS DataConnection
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+Object.assign(global, require('../protocol.js'));
+const { CHANNEL_STATUS, createMessageChannel } = require('../message-channel.js');
+
+function connectionPair() {
+    const [a, b] = [new EventEmitter(), new EventEmitter()];
+    [[a, b], [b, a]].forEach(([self, other]) => {
+        self.open = true;
+        self.send = (data) => setImmediate(() => other.emit('data', structuredClone(data)));
+        self.close = () => {
+            if (!self.open) return;
+            self.open = false;
+            other.open = false;
+            self.emit('close');
+            other.emit('close');
+        };
+    });
+    return [a, b];
+}
+
+test('a LEAVE is acknowledged by the host before the participant closes the channel', async () => {
+    const [participantConn, hostConn] = connectionPair();
+    const received = [];
+    const participant = createMessageChannel({ onMessage: () => {} });
+    const host = createMessageChannel({ onMessage: (message) => received.push(message.type) });
+    participant.attach(participantConn);
+    host.attach(hostConn);
+
+    assert.equal(await participant.send(MESSAGE_TYPES.LEAVE), true);
+    assert.deepEqual(received, [MESSAGE_TYPES.LEAVE]);
+    participant.close();
+    host.close();
+});
+
+test('an acked message still pending when the channel closes resolves false', async () => {
+    const [participantConn] = connectionPair();
+    participantConn.send = () => {}; // The host never answers
+    const participant = createMessageChannel({ onMessage: () => {} });
+    participant.attach(participantConn);
+
+    const delivered = participant.send(MESSAGE_TYPES.LEAVE);
+    participant.close();
+    assert.equal(await delivered, false);
+});
+
+test('a dial that returns no connection is retried with backoff until one opens', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const statuses = [];
+    const dialed = [null, connectionPair()[0], null, connectionPair()[0]]; // Like Peer.connect() while off signaling
+    let dials = 0;
+    const participant = createMessageChannel({
+        connect: () => dialed[dials++],
+        onMessage: () => {},
+        onStatusChange: (status) => statuses.push(status)
+    });
+
+    assert.equal(dials, 1);
+    assert.equal(participant.status, CHANNEL_STATUS.RECONNECTING);
+    t.mock.timers.tick(1000);
+    assert.equal(dials, 2);
+    assert.equal(participant.open, true);
+
+    dialed[1].close(); // The link drops and the first redial finds the Peer still disconnected
+    t.mock.timers.tick(1000);
+    assert.equal(dials, 3);
+    assert.equal(participant.status, CHANNEL_STATUS.RECONNECTING);
+    t.mock.timers.tick(1999);
+    assert.equal(dials, 3);
+    t.mock.timers.tick(1);
+    assert.equal(dials, 4);
+    assert.deepEqual(statuses, [
+        CHANNEL_STATUS.RECONNECTING,
+        CHANNEL_STATUS.OPEN,
+        CHANNEL_STATUS.RECONNECTING,
+        CHANNEL_STATUS.OPEN
+    ]);
+    participant.close();
+});
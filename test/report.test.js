@@ -0,0 +1,72 @@
+// report.js and session-recorder.js use tracker.js's states as page globals
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, require('../tracker.js'));
+const { createSessionRecorder } = require('../session-recorder.js');
+const { FACE_SCORE_NOTE, escapeHtml, reportToCsv, reportToHtml } = require('../report.js');
+
+const { CLEAN, ANOMALY } = TRACK_STATES;
+
+// A one-participant session on a fake clock: a clean frame, then an anomaly that is confirmed and cleared
+function recordSession() {
+    let now = Date.UTC(2024, 0, 1, 12, 0, 0);
+    const recorder = createSessionRecorder({ meetingId: 'AB12CD34', now: () => now });
+    const face = (confidence, state, previous = state) => ({ face: 1, confidence, smoothed: confidence, state, previous, changed: state !== previous });
+
+    recorder.participantJoined('peer-a', 'Ada, "the Countess"');
+    now += 1000;
+    recorder.recordFrame('peer-a', 'Ada, "the Countess"', [face(0.9, CLEAN)]);
+    recorder.recordIntegrity(100);
+    now += 1000;
+    recorder.recordFrame('peer-a', 'Ada, "the Countess"', [face(0.2, ANOMALY, CLEAN)]);
+    now += 2500;
+    recorder.recordFrame('peer-a', 'Ada, "the Countess"', [face(0.95, CLEAN, ANOMALY)]);
+    recorder.finish();
+    return recorder.buildReport();
+}
+
+test('reportToCsv writes one long-format table with a header row', () => {
+    const lines = reportToCsv(recordSession()).split('\r\n');
+    assert.equal(lines[0], 'record_type,timestamp,elapsed_s,participant,peer_id,face,value,state,details');
+    assert.deepEqual(lines.slice(1).map((line) => line.split(',')[0]), [
+        'score', 'score', 'score',
+        'integrity',
+        'flagged_interval',
+        'event', 'event', 'event', 'event' // Joined, two state changes, session ended
+    ]);
+});
+
+test('reportToCsv quotes cells with commas and quotes', () => {
+    const score = reportToCsv(recordSession()).split('\r\n')[1];
+    assert.equal(score, 'score,2024-01-01T12:00:01.000Z,1.00,"Ada, ""the Countess""",peer-a,1,0.9000,clean,smoothed=0.9000');
+});
+
+test('reportToCsv reports a flagged interval with its lowest score and duration', () => {
+    const interval = reportToCsv(recordSession()).split('\r\n').find((line) => line.startsWith('flagged_interval'));
+    assert.equal(interval,
+        'flagged_interval,2024-01-01T12:00:02.000Z,,"Ada, ""the Countess""",peer-a,1,0.2000,anomaly,end=2024-01-01T12:00:04.500Z;duration_s=2.50');
+});
+
+test('reportToHtml states that face scores are self-consistency, not a real/fake verdict', () => {
+    const html = reportToHtml(recordSession());
+    assert.ok(html.includes(escapeHtml(FACE_SCORE_NOTE)));
+    assert.match(FACE_SCORE_NOTE, /synthetic from its first frame/);
+});
+
+test('reportToCsv keeps cells that a spreadsheet would run as formulas as text', () => {
+    const report = recordSession();
+    report.scores.forEach((sample) => { sample.participant = '=HYPERLINK("http://evil.example","x")'; });
+    report.flaggedIntervals.forEach((interval) => { interval.participant = '@SUM(A1)'; });
+    const lines = reportToCsv(report).split('\r\n');
+    assert.equal(lines[1].split(',')[3], '"\'=HYPERLINK(""http://evil.example""');
+    assert.equal(lines.find((line) => line.startsWith('flagged_interval')).split(',')[3], "'@SUM(A1)");
+
+    report.scores[0].participant = '+1 555 0100';
+    report.scores[1].participant = '-2';
+    const [, plus, minus] = reportToCsv(report).split('\r\n');
+    assert.equal(plus.split(',')[3], "'+1 555 0100");
+    assert.equal(minus.split(',')[3], "'-2");
+    // Values that only contain those characters later on are left alone
+    assert.equal(reportToCsv(recordSession()).split('\r\n')[1].split(',').at(-1), 'smoothed=0.9000');
+});
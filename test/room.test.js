@@ -0,0 +1,140 @@
+// room.js ranks states with tracker.js's TRACK_STATE_SEVERITY as a page global
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(global, require('../tracker.js'));
+const { createRoom } = require('../room.js');
+
+function fakeCall() {
+    return { closed: false, close() { this.closed = true; } };
+}
+
+test('participants are labelled in join order and labels are never reused', () => {
+    const room = createRoom();
+    const first = room.join('peer-a', fakeCall());
+    const second = room.join('peer-b', fakeCall());
+    assert.deepEqual([first.label, second.label], ['Participant 1', 'Participant 2']);
+    assert.equal(room.size, 2);
+
+    assert.equal(room.leave('peer-a'), first);
+    assert.equal(room.get('peer-a'), null);
+    assert.equal(room.join('peer-c', fakeCall()).label, 'Participant 3');
+    assert.deepEqual(room.list().map(({ peerId }) => peerId), ['peer-b', 'peer-c']);
+});
+
+test('a peer that calls again keeps its seat and the old call is closed', () => {
+    const room = createRoom();
+    const oldCall = fakeCall();
+    const participant = room.join('peer-a', oldCall);
+    room.attachStream('peer-a', { id: 'stream-1' });
+    room.setState('peer-a', TRACK_STATES.SUSPICIOUS);
+
+    const newCall = fakeCall();
+    assert.equal(room.join('peer-a', newCall), participant);
+    assert.equal(oldCall.closed, true);
+    assert.equal(participant.call, newCall);
+    assert.equal(participant.stream, null); // The new call brings its own stream
+    assert.equal(participant.label, 'Participant 1');
+    assert.equal(participant.state, TRACK_STATES.SUSPICIOUS);
+    assert.equal(room.size, 1);
+
+    // Re-joining with the same call does not close it
+    room.join('peer-a', newCall);
+    assert.equal(newCall.closed, false);
+});
+
+test('leaving forgets media and consent but not the message channel or a block', () => {
+    const room = createRoom();
+    const channel = {};
+    room.setMedia('peer-a', { audio: false });
+    room.setConsent('peer-a', { accepted: true });
+    room.setChannel('peer-a', channel);
+    room.join('peer-a', fakeCall());
+    room.block('peer-a');
+
+    assert.deepEqual(room.getMedia('peer-a'), { audio: false, video: true });
+    assert.equal(room.hasConsent('peer-a'), true);
+    room.leave('peer-a');
+    assert.deepEqual(room.getMedia('peer-a'), { audio: true, video: true });
+    assert.equal(room.hasConsent('peer-a'), false);
+    assert.equal(room.getConsent('peer-a'), null);
+    assert.equal(room.getChannel('peer-a'), channel);
+    assert.equal(room.isBlocked('peer-a'), true);
+    assert.equal(room.leave('peer-a'), null);
+
+    assert.equal(room.dropChannel('peer-a'), channel);
+    assert.equal(room.getChannel('peer-a'), null);
+    assert.deepEqual(room.listChannels(), []);
+});
+
+test('stream and state updates for unknown peers are ignored', () => {
+    const room = createRoom();
+    assert.equal(room.attachStream('ghost', {}), undefined);
+    assert.equal(room.setState('ghost', TRACK_STATES.ANOMALY), undefined);
+    assert.equal(room.size, 0);
+});
+
+test('waiting callers are held apart from participants until released', () => {
+    const room = createRoom();
+    const call = fakeCall();
+    const entry = room.hold('peer-a', call);
+    assert.equal(entry.call, call);
+    assert.equal(room.getWaiting('peer-a'), entry);
+    assert.deepEqual(room.listWaiting(), [entry]);
+    assert.equal(room.size, 0);
+
+    assert.equal(room.release('peer-a'), entry);
+    assert.equal(room.getWaiting('peer-a'), null);
+    assert.equal(room.release('peer-a'), null);
+    assert.equal(call.closed, false); // Answering or closing the call is up to the caller
+});
+
+test('worstState is the most severe tracked state across participants', () => {
+    const room = createRoom();
+    room.join('peer-a', fakeCall());
+    room.join('peer-b', fakeCall());
+    assert.equal(room.worstState(), null);
+
+    room.setState('peer-a', TRACK_STATES.CLEAN);
+    assert.equal(room.worstState(), TRACK_STATES.CLEAN);
+    room.setState('peer-b', TRACK_STATES.ANOMALY);
+    room.setState('peer-a', TRACK_STATES.SUSPICIOUS);
+    assert.equal(room.worstState(), TRACK_STATES.ANOMALY);
+    room.leave('peer-b');
+    assert.equal(room.worstState(), TRACK_STATES.SUSPICIOUS);
+});
+
+// What forceDisconnect in app.js does to the room: block the peer ID, then remove the participant
+test('a kicked peer loses its seat, and its blocked peer ID is refused on rejoin', () => {
+    const room = createRoom();
+    const kicked = room.join('peer-a', fakeCall());
+    room.join('peer-b', fakeCall());
+    room.setState('peer-a', TRACK_STATES.ANOMALY);
+
+    room.block('peer-a');
+    assert.equal(room.leave('peer-a'), kicked);
+    assert.equal(room.get('peer-a'), null);
+    assert.deepEqual(room.list().map(({ peerId }) => peerId), ['peer-b']);
+    assert.equal(room.worstState(), null); // The kicked peer's anomaly no longer counts
+
+    // Calling back, whether straight in or through the waiting room, gets nothing
+    const retry = fakeCall();
+    assert.equal(room.join('peer-a', retry), null);
+    assert.equal(room.hold('peer-a', retry), null);
+    assert.equal(room.getWaiting('peer-a'), null);
+    assert.equal(room.size, 1);
+    assert.equal(retry.closed, false); // Closing the refused call is up to the caller
+
+    // Other peers are unaffected and labels keep counting
+    assert.equal(room.join('peer-c', fakeCall()).label, 'Participant 3');
+});
+
+test('blocking a seated peer does not unseat it until it leaves', () => {
+    const room = createRoom();
+    const participant = room.join('peer-a', fakeCall());
+    room.block('peer-a');
+    assert.equal(room.get('peer-a'), participant);
+    // But a reconnecting call is refused instead of taking over the seat
+    assert.equal(room.join('peer-a', fakeCall()), null);
+    assert.equal(room.isBlocked('peer-b'), false);
+});
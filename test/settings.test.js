@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_DETECTION_SETTINGS,
+    anomalyActionIncludes,
+    normalizeDetectionSettings,
+    detectionSettingsToJson,
+    parseDetectionSettingsJson,
+    loadDetectionSettings,
+    saveDetectionSettings
+} = require('../settings.js');
+
+// In-memory stand-in for window.localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('missing fields take their defaults without errors', () => {
+    assert.deepEqual(normalizeDetectionSettings({}), { settings: { ...DEFAULT_DETECTION_SETTINGS }, errors: [] });
+    assert.deepEqual(normalizeDetectionSettings(null).settings, DEFAULT_DETECTION_SETTINGS);
+});
+
+test('numbers are snapped to their step and clamped to their range', () => {
+    const { settings, errors } = normalizeDetectionSettings({ threshold: '0.62', minFaceSize: 2, maxFaces: 4.4, sampleRate: 90 });
+    assert.deepEqual(settings, { ...DEFAULT_DETECTION_SETTINGS, threshold: 0.6, minFaceSize: 8, maxFaces: 4, sampleRate: 30 });
+    assert.equal(errors.length, 2); // Only the out-of-range values are reported
+    assert.match(errors[0], /"minFaceSize" must be between 8 and 400; using 8/);
+    assert.match(errors[1], /"sampleRate" must be between 1 and 30; using 30/);
+});
+
+test('invalid values fall back to the default and are explained', () => {
+    const { settings, errors } = normalizeDetectionSettings({ threshold: 'high', anomalyAction: 'explode' });
+    assert.equal(settings.threshold, DEFAULT_DETECTION_SETTINGS.threshold);
+    assert.equal(settings.anomalyAction, DEFAULT_DETECTION_SETTINGS.anomalyAction);
+    assert.match(errors[0], /"threshold" must be a number/);
+    assert.match(errors[1], /"anomalyAction" must be one of log, warn, snapshot, disconnect/);
+});
+
+test('each anomaly action includes the milder ones', () => {
+    assert.equal(anomalyActionIncludes('disconnect', 'snapshot'), true);
+    assert.equal(anomalyActionIncludes('snapshot', 'warn'), true);
+    assert.equal(anomalyActionIncludes('warn', 'snapshot'), false);
+});
+
+test('exported settings import back unchanged', () => {
+    const settings = { threshold: 0.55, minFaceSize: 40, maxFaces: 3, sampleRate: 10, anomalyAction: 'disconnect' };
+    assert.deepEqual(parseDetectionSettingsJson(detectionSettingsToJson(settings, 0)), { settings, errors: [] });
+    assert.deepEqual(parseDetectionSettingsJson(JSON.stringify(settings)).settings, settings); // A bare settings object
+});
+
+test('imports that cannot be used at all are rejected', () => {
+    assert.throws(() => parseDetectionSettingsJson('{'), /not valid JSON/);
+    assert.throws(() => parseDetectionSettingsJson('[1, 2]'), /does not contain detection settings/);
+    assert.throws(() => parseDetectionSettingsJson(JSON.stringify({ format: 'something-else' })), /does not contain detection settings/);
+    assert.throws(() => parseDetectionSettingsJson(JSON.stringify({ format: 'deepfake-detection-settings', version: 99, settings: {} })), /newer version \(v99\)/);
+});
+
+test('settings persist through storage, and unreadable storage means defaults', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadDetectionSettings(storage), DEFAULT_DETECTION_SETTINGS);
+
+    const settings = { ...DEFAULT_DETECTION_SETTINGS, threshold: 0.5 };
+    assert.equal(saveDetectionSettings(settings, storage), true);
+    assert.deepEqual(loadDetectionSettings(storage), settings);
+
+    const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } };
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(loadDetectionSettings(broken), DEFAULT_DETECTION_SETTINGS);
+        assert.equal(saveDetectionSettings(settings, broken), false);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { MAX_MESSAGE_BYTES, createSignalingServer, encodeFrame, decodeFrames } = require('../server/signaling-server.js');
+
+async function startServer(t, options) {
+    const server = createSignalingServer(options);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return { server, base, status: async (pathname) => (await fetch(`${base}${pathname}`)).status };
+}
+
+test('signaling server static files', async (t) => {
+    const { server, base, status } = await startServer(t);
+
+    await t.test('serves the pages', async () => {
+        assert.equal(await status('/'), 200);
+        assert.equal(await status('/host.html'), 200);
+    });
+
+    await t.test('serves only page assets from the checkout', async () => {
+        assert.equal(await status('/style.css'), 200);
+        assert.equal(await status('/peer-config.example.json'), 200);
+        assert.equal(await status('/peer-config.json'), 200); // Generated when the file is absent
+        for (const pathname of ['/.git/config', '/.git/HEAD', '/requests.jsonl', '/server/signaling-server.js', '/package.json',
+            '/test/tracker.test.js', '/%2e%2e/etc/passwd', '/..%2fpackage.json', '/.hidden.js', '/node_modules/x.js']) {
+            assert.equal(await status(pathname), 404, pathname);
+        }
+    });
+
+    await t.test('serves the libraries from node_modules under /vendor/ and points the generated config at them', async () => {
+        const wasm = await fetch(`${base}/vendor/tfjs-backend-wasm.wasm`);
+        assert.equal(wasm.status, 200);
+        assert.equal(wasm.headers.get('content-type'), 'application/wasm');
+        assert.equal(await status('/vendor/peerjs.min.js'), 200);
+        for (const pathname of ['/vendor/', '/vendor/package.json', '/vendor/peerjs/package.json', '/vendor/%2e%2e/package.json']) {
+            assert.equal(await status(pathname), 404, pathname);
+        }
+
+        const config = await (await fetch(`${base}/peer-config.json`)).json();
+        assert.equal(config.libraries.tfjs, 'vendor/tf.min.js');
+        assert.equal(config.libraries.tfjsWasmPaths, 'vendor/');
+        assert.deepEqual(config.models, {}); // No MODELS_ROOT
+        assert.equal(await status('/models/blazeface/model.json'), 404);
+    });
+
+    await t.test('points the generated config at the host and port the page was loaded from', async () => {
+        const configFor = (host) => new Promise((resolve, reject) => {
+            http.get({ port: server.address().port, host: '127.0.0.1', path: '/peer-config.json', headers: { host } }, (res) => {
+                let body = '';
+                res.on('data', (chunk) => { body += chunk; });
+                res.on('end', () => resolve(JSON.parse(body)));
+            }).on('error', reject);
+        });
+        assert.deepEqual(await configFor('[::1]:9000').then(({ host, port }) => ({ host, port })), { host: '[::1]', port: 9000 });
+        assert.deepEqual(await configFor('meet.local').then(({ host, port }) => ({ host, port })), { host: 'meet.local', port: 80 });
+        assert.deepEqual(await configFor('10.0.0.5:8080').then(({ host, port }) => ({ host, port })), { host: '10.0.0.5', port: 8080 });
+    });
+
+    await t.test('answers malformed percent-encoding with 400 and keeps running', async () => {
+        assert.equal(await status('/%E0%A4%A'), 400);
+        assert.equal(await status('/index.html'), 200);
+    });
+
+    await t.test('answers an unparseable request target with 400', async () => {
+        const response = await new Promise((resolve, reject) => {
+            const socket = net.connect(server.address().port, '127.0.0.1', () => {
+                socket.end('GET http://[bad HTTP/1.1\r\nHost: localhost\r\n\r\n');
+            });
+            let data = '';
+            socket.on('data', (chunk) => { data += chunk; });
+            socket.on('end', () => resolve(data));
+            socket.on('error', reject);
+        });
+        assert.match(response, /^HTTP\/1\.1 400/);
+        assert.equal(await status('/index.html'), 200);
+    });
+});
+
+test('signaling server model weights', async (t) => {
+    const modelsRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+    t.after(() => fs.rmSync(modelsRoot, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(modelsRoot, 'blazeface'));
+    fs.writeFileSync(path.join(modelsRoot, 'blazeface', 'model.json'), '{}');
+    fs.writeFileSync(path.join(modelsRoot, 'blazeface', 'group1-shard1of1.bin'), 'weights');
+    fs.writeFileSync(path.join(modelsRoot, '.secret'), 'hidden');
+
+    const { base, status } = await startServer(t, { modelsRoot });
+    assert.equal(await status('/models/blazeface/model.json'), 200);
+    assert.equal(await (await fetch(`${base}/models/blazeface/group1-shard1of1.bin`)).text(), 'weights');
+    for (const pathname of ['/models/.secret', '/models/blazeface/..%2f.secret', '/models/mobilenet/model.json']) {
+        assert.equal(await status(pathname), 404, pathname);
+    }
+
+    const config = await (await fetch(`${base}/peer-config.json`)).json();
+    assert.deepEqual(config.models, { blazeface: 'models/blazeface/model.json' }); // Only weights that exist
+});
+
+// Opens a signaling socket with a raw TCP connection; resolves once the handshake and OPEN message have arrived
+function openSignalingSocket(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+            socket.write('GET /peerjs?key=peerjs&id=alice&token=t1 HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\n' +
+                'Connection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+        });
+        let data = Buffer.alloc(0);
+        const onData = (chunk) => {
+            data = Buffer.concat([data, chunk]);
+            const headerEnd = data.indexOf('\r\n\r\n');
+            if (headerEnd === -1 || decodeFrames(data.subarray(headerEnd + 4)).frames.length === 0) return;
+            socket.off('data', onData);
+            resolve(socket);
+        };
+        socket.on('data', onData);
+        socket.on('error', reject);
+    });
+}
+
+test('decodeFrames flags a frame over the size limit from its header alone', () => {
+    const header = Buffer.from([0x81, 0xff, 0, 0, 0, 0, 0xff, 0xff, 0xff, 0xff]); // Masked text frame claiming 4 GB
+    assert.deepEqual(decodeFrames(header), { frames: [], rest: header, tooLarge: true });
+
+    const ping = encodeFrame(0x9, Buffer.from('hi'));
+    const { frames, tooLarge } = decodeFrames(Buffer.concat([ping, encodeFrame(0x1, Buffer.alloc(MAX_MESSAGE_BYTES + 1))]));
+    assert.equal(frames.length, 1); // Frames before the oversized one are still returned
+    assert.equal(tooLarge, true);
+    assert.equal(decodeFrames(encodeFrame(0x1, Buffer.alloc(MAX_MESSAGE_BYTES))).tooLarge, false);
+});
+
+test('signaling server closes a socket that sends an oversized message with 1009', async (t) => {
+    const { server } = await startServer(t);
+    const socket = await openSignalingSocket(server.address().port);
+    assert.deepEqual(server.peers(), ['alice']);
+
+    const received = [];
+    socket.on('data', (chunk) => received.push(chunk));
+    const closed = new Promise((resolve) => socket.on('close', resolve));
+    socket.write(Buffer.from([0x81, 0xff, 0, 0, 0, 0, 0xff, 0xff, 0xff, 0xff, 1, 2, 3, 4]));
+    await closed;
+
+    const [frame] = decodeFrames(Buffer.concat(received)).frames;
+    assert.equal(frame.opcode, 0x8);
+    assert.equal(frame.payload.readUInt16BE(0), 1009);
+    assert.deepEqual(server.peers(), []);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TRACK_STATES, replayScores, createFaceTracker } = require('../tracker.js');
+
+const { CLEAN, SUSPICIOUS, ANOMALY } = TRACK_STATES;
+const repeat = (score, frames) => Array(frames).fill(score);
+
+test('steady high scores never leave the clean state', () => {
+    assert.deepEqual(replayScores(repeat(0.9, 50)), []);
+});
+
+test('a sustained drop goes suspicious, then confirms after confirmMs below the confirm threshold', () => {
+    // At 100 ms per frame the 8-frame mean reaches 0.7 on the 3rd low frame and 0.6 on the 4th (frame 11);
+    // 1500 ms later (frame 26) the anomaly is confirmed
+    assert.deepEqual(replayScores([...repeat(0.9, 8), ...repeat(0.2, 30)]), [
+        { frame: 10, from: CLEAN, to: SUSPICIOUS },
+        { frame: 26, from: SUSPICIOUS, to: ANOMALY }
+    ]);
+});
+
+test('a dip shorter than confirmMs recovers without an anomaly', () => {
+    const transitions = replayScores([...repeat(0.9, 8), ...repeat(0.2, 8), ...repeat(1, 20)]);
+    assert.deepEqual(transitions.map(({ to }) => to), [SUSPICIOUS, CLEAN]);
+});
+
+test('scores between the suspicious and recover thresholds do not flap back to clean', () => {
+    const transitions = replayScores([...repeat(0.9, 8), ...repeat(0.65, 8), ...repeat(0.75, 40)]);
+    assert.deepEqual(transitions.map(({ to }) => to), [SUSPICIOUS]);
+});
+
+test('a confirmed anomaly clears only after recovering for the whole cooldown', () => {
+    const scores = [...repeat(0.2, 30), ...repeat(1, 60)];
+    const transitions = replayScores(scores);
+    assert.deepEqual(transitions.map(({ to }) => to), [SUSPICIOUS, ANOMALY, CLEAN]);
+
+    const [, confirmed, cleared] = transitions;
+    // The mean first rises above 0.8 on the 7th high frame, and the cooldown is 3000 ms (30 frames)
+    assert.equal(confirmed.frame < 30, true);
+    assert.equal(cleared.frame, 30 + 6 + 30);
+});
+
+test('a recovery interrupted by a low score restarts the cooldown', () => {
+    const uninterrupted = replayScores([...repeat(0.2, 30), ...repeat(1, 60)]);
+    const interrupted = replayScores([...repeat(0.2, 30), ...repeat(1, 20), ...repeat(0, 4), ...repeat(1, 80)]);
+    assert.ok(interrupted[2].frame > uninterrupted[2].frame + 4);
+});
+
+test('options change the thresholds', () => {
+    const scores = [...repeat(0.9, 8), ...repeat(0.75, 40)];
+    assert.deepEqual(replayScores(scores), []);
+    assert.deepEqual(replayScores(scores, { suspiciousThreshold: 0.8 }).map(({ to }) => to), [SUSPICIOUS]);
+});
+
+test('the face tracker keeps a track per face across frames and ends lost ones', () => {
+    const tracker = createFaceTracker({ maxMissingMs: 500 });
+    const face = (x) => ({ topLeft: [x, 10], bottomRight: [x + 50, 60] });
+
+    const first = tracker.update([face(0), face(200)], 0);
+    const second = tracker.update([face(205), face(4)], 100); // Same faces, moved a little, other order
+    assert.deepEqual(second.tracks.map(({ id }) => id), [first.tracks[1].id, first.tracks[0].id]);
+
+    const later = tracker.update([face(8)], 700);
+    assert.deepEqual(later.ended.map(({ id }) => id), [first.tracks[1].id]);
+    assert.equal(tracker.size, 1);
+});
@@ -0,0 +1,209 @@
+// --- Face Tracks & Anomaly State Machine ---
+// Each face is followed across frames as a track, and each track runs its own state machine:
+//   clean -> suspicious -> anomaly (confirmed) -> clean
+// Scores are smoothed over a sliding window, entering and leaving states use different thresholds
+// (hysteresis), and a confirmed anomaly only clears after a sustained cooldown. Nothing in here
+// touches the DOM or the camera, so a scripted score sequence can be replayed with `replayScores`.
+
+const TRACK_STATES = Object.freeze({
+    CLEAN: 'clean',
+    SUSPICIOUS: 'suspicious',
+    ANOMALY: 'anomaly'
+});
+
+const TRACK_STATE_SEVERITY = { clean: 0, suspicious: 1, anomaly: 2 };
+
+// Most severe of several states (nulls ignored), or null when none is set
+function mostSevereState(...states) {
+    return states.reduce((worst, state) => (
+        state && (worst === null || TRACK_STATE_SEVERITY[state] > TRACK_STATE_SEVERITY[worst]) ? state : worst
+    ), null);
+}
+
+const DEFAULT_TRACK_OPTIONS = {
+    windowSize: 8,              // Frames averaged into the smoothed score
+    suspiciousThreshold: 0.7,   // Smoothed score at or below this makes a clean track suspicious
+    confirmThreshold: 0.6,      // ...and at or below this for `confirmMs` confirms the anomaly
+    recoverThreshold: 0.8,      // Smoothed score must rise above this to count as recovering
+    confirmMs: 1500,            // How long a track must stay suspicious before it is confirmed
+    cooldownMs: 3000            // How long a confirmed anomaly must keep recovering before it clears
+};
+
+// State machine thresholds for a different real/anomaly cut, keeping the default hysteresis band around it
+function trackOptionsForThreshold(threshold) {
+    return {
+        suspiciousThreshold: threshold,
+        confirmThreshold: threshold - (DEFAULT_TRACK_OPTIONS.suspiciousThreshold - DEFAULT_TRACK_OPTIONS.confirmThreshold),
+        recoverThreshold: threshold + (DEFAULT_TRACK_OPTIONS.recoverThreshold - DEFAULT_TRACK_OPTIONS.suspiciousThreshold)
+    };
+}
+
+// 1. Per-track state machine
+function createTrackStateMachine(options = {}) {
+    const config = { ...DEFAULT_TRACK_OPTIONS, ...options };
+    const recentScores = [];
+    let state = TRACK_STATES.CLEAN;
+    let lowSince = null;        // When the smoothed score first fell to confirmThreshold in this episode
+    let recoveringSince = null; // When the smoothed score first rose above recoverThreshold after confirmation
+
+    function smoothedScore() {
+        return recentScores.reduce((sum, score) => sum + score, 0) / recentScores.length;
+    }
+
+    function nextState(smoothed, timestamp) {
+        switch (state) {
+            case TRACK_STATES.CLEAN:
+                return smoothed <= config.suspiciousThreshold ? TRACK_STATES.SUSPICIOUS : state;
+
+            case TRACK_STATES.SUSPICIOUS:
+                if (smoothed > config.recoverThreshold) return TRACK_STATES.CLEAN;
+                if (smoothed <= config.confirmThreshold) {
+                    if (lowSince === null) lowSince = timestamp;
+                    if (timestamp - lowSince >= config.confirmMs) return TRACK_STATES.ANOMALY;
+                } else {
+                    lowSince = null;
+                }
+                return state;
+
+            case TRACK_STATES.ANOMALY:
+                if (smoothed > config.recoverThreshold) {
+                    if (recoveringSince === null) recoveringSince = timestamp;
+                    if (timestamp - recoveringSince >= config.cooldownMs) return TRACK_STATES.CLEAN;
+                } else {
+                    recoveringSince = null;
+                }
+                return state;
+
+            default:
+                return state;
+        }
+    }
+
+    return {
+        // Feed one classifier score in [0, 1] (low = anomalous) observed at `timestamp` ms
+        push(score, timestamp) {
+            recentScores.push(score);
+            if (recentScores.length > config.windowSize) recentScores.shift();
+
+            const smoothed = smoothedScore();
+            const previous = state;
+            state = nextState(smoothed, timestamp);
+
+            if (state !== previous) {
+                lowSince = null;
+                recoveringSince = null;
+            }
+            return { state, previous, changed: state !== previous, smoothed };
+        },
+        // New thresholds apply from the next score on; the window and current state are kept
+        configure(options) {
+            Object.assign(config, options);
+        },
+        get state() {
+            return state;
+        }
+    };
+}
+
+// 2. Replay a scripted score sequence and return the transitions it produced
+function replayScores(scores, options = {}, frameMs = 100) {
+    const machine = createTrackStateMachine(options);
+    const transitions = [];
+    scores.forEach((score, frame) => {
+        const result = machine.push(score, frame * frameMs);
+        if (result.changed) transitions.push({ frame, from: result.previous, to: result.state });
+    });
+    return transitions;
+}
+
+// 3. Associate detections across frames (greedy IoU matching) so each face keeps its own track
+function boxIoU(a, b) {
+    const x1 = Math.max(a.topLeft[0], b.topLeft[0]);
+    const y1 = Math.max(a.topLeft[1], b.topLeft[1]);
+    const x2 = Math.min(a.bottomRight[0], b.bottomRight[0]);
+    const y2 = Math.min(a.bottomRight[1], b.bottomRight[1]);
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const area = (box) => (box.bottomRight[0] - box.topLeft[0]) * (box.bottomRight[1] - box.topLeft[1]);
+    const union = area(a) + area(b) - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+function createFaceTracker(options = {}) {
+    const iouThreshold = options.iouThreshold ?? 0.3;
+    const maxMissingMs = options.maxMissingMs ?? 1000;
+    let machineOptions = options.stateMachine;
+    const tracks = new Map();
+    let nextId = 1;
+
+    return {
+        // Returns `{ tracks, ended }`: the track for each prediction (same order) and tracks that timed out
+        update(predictions, timestamp) {
+            const unmatched = new Set(tracks.keys());
+            const assigned = predictions.map((prediction) => {
+                let best = null;
+                let bestIoU = iouThreshold;
+                unmatched.forEach((id) => {
+                    const iou = boxIoU(prediction, tracks.get(id).box);
+                    if (iou >= bestIoU) {
+                        best = id;
+                        bestIoU = iou;
+                    }
+                });
+
+                let track;
+                if (best !== null) {
+                    unmatched.delete(best);
+                    track = tracks.get(best);
+                } else {
+                    track = { id: nextId++, machine: createTrackStateMachine(machineOptions) };
+                    tracks.set(track.id, track);
+                }
+                track.box = { topLeft: prediction.topLeft, bottomRight: prediction.bottomRight };
+                track.lastSeen = timestamp;
+                return track;
+            });
+
+            const ended = [];
+            unmatched.forEach((id) => {
+                const track = tracks.get(id);
+                if (timestamp - track.lastSeen > maxMissingMs) {
+                    tracks.delete(id);
+                    ended.push(track);
+                }
+            });
+
+            return { tracks: assigned, ended };
+        },
+        // Most severe state across all live tracks, or null when nobody is tracked
+        worstState() {
+            let worst = null;
+            tracks.forEach((track) => {
+                const state = track.machine.state;
+                if (worst === null || TRACK_STATE_SEVERITY[state] > TRACK_STATE_SEVERITY[worst]) worst = state;
+            });
+            return worst;
+        },
+        // Change the state machine options of every live and future track
+        configure(stateMachineOptions) {
+            machineOptions = { ...machineOptions, ...stateMachineOptions };
+            tracks.forEach((track) => track.machine.configure(stateMachineOptions));
+        },
+        get size() {
+            return tracks.size;
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRACK_STATES,
+        TRACK_STATE_SEVERITY,
+        DEFAULT_TRACK_OPTIONS,
+        trackOptionsForThreshold,
+        mostSevereState,
+        createTrackStateMachine,
+        replayScores,
+        boxIoU,
+        createFaceTracker
+    };
+}